@@ -3,6 +3,7 @@
  * "We tail everything."
  */
 
+import os from 'os';
 import path from 'path';
 import { fileURLToPath } from 'url';
 import apiRoutes from './routes/api.js';
@@ -11,11 +12,39 @@ import uiRoutes from './routes/ui.js';
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
 
+const DEFAULT_MAX_FILE_SIZE = 100 * 1024 * 1024;
+
+// Leave a core for the host application
+const DEFAULT_PARSE_WORKERS = Math.min(4, Math.max(1, os.cpus().length - 1));
+
 /**
  * Create The Logfather middleware
  * @param {Object} options - Configuration options
- * @param {Array<string>} options.logPaths - Array of log directory paths to scan
+ * @param {Array<string|Object>} options.logPaths - Log directory paths, or source objects with
+ *   name, path, include, exclude, recursive, maxDepth, levels, parser and multiline (see README)
  * @param {number} options.pageSize - Number of log entries per page (default: 100)
+ * @param {number} options.maxFileSize - Maximum bytes indexed per file, keeping the most recent (default: 100 MB, 0 for no limit)
+ * @param {Array<Object>} options.parsers - Custom line parsers, tried before the built-in ones (see README)
+ * @param {number} options.parseWorkers - Worker threads files are read and parsed in, 0 to parse on
+ *   the main thread (default: one less than the CPU count, 1 to 4)
+ * @param {string|number} options.refreshInterval - Re-scan the log files this often in the background,
+ *   as 30s or 5m, or milliseconds (default: none, only refresh when asked)
+ * @param {number} options.maxEntries - Entries kept in the index, oldest evicted first (default: no limit)
+ * @param {string|number} options.maxAge - Evict entries older than this, as 12h or 7d, or milliseconds (default: no limit)
+ * @param {number} options.maxMemoryMB - Estimated index size to stay under, oldest evicted first (default: no limit)
+ * @param {string} options.cacheDir - Directory to save the search index in, so a restart only reads
+ *   files that changed (default: none, the index is rebuilt on every start)
+ * @param {boolean|Object} options.redaction - Redact secrets and personal data before indexing; true for
+ *   the built-in detectors, or settings with detectors, action, hashKey, rules and fields (see README)
+ * @param {number} options.regexTimeBudget - Milliseconds a regex search may scan for before returning partial results (default: 1000)
+ * @param {Array<string>} options.facetFields - Structured fields to count top values for in every search (default: none)
+ * @param {string} options.savedSearchesFile - JSON file to keep saved searches in (default: none, saved searches disabled)
+ * @param {Array<Object>} options.alertRules - Threshold alert rules, checked as entries are indexed (see README)
+ * @param {Function} options.onAlert - Called with every alert fired (optional)
+ * @param {Function} options.authorize - Called as authorize(req, fileInfo) for each log file; return
+ *   (or resolve to) true to let the request see it (optional, see README)
+ * @param {Object} options.roles - Role name to the log paths it may see, or '*' for all (optional)
+ * @param {Function} options.getRoles - Returns a request's roles (default: req.user.roles or req.user.role)
  * @param {Object} options.logger - Logger instance (default: console)
  * @returns {Function} Express middleware function
  */
@@ -24,6 +53,8 @@ function createLogfatherMiddleware(options = {}) {
     express: options.express,
     logPaths: options.logPaths || [],
     pageSize: options.pageSize || 100,
+    maxFileSize: DEFAULT_MAX_FILE_SIZE,
+    parseWorkers: DEFAULT_PARSE_WORKERS,
     logger: options.logger || console,
     ...options
   };
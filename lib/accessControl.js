@@ -0,0 +1,227 @@
+/**
+ * Access Control Module - The Logfather
+ * "Not everyone gets a seat at the table."
+ */
+
+import path from 'path';
+import { normalizeLogPaths, resolveLogFile } from './fileReader.js';
+
+/**
+ * Role mapping value that grants every log path
+ */
+const ALL_PATHS = '*';
+
+/**
+ * Decides which log files a request may see, from a role-to-path mapping
+ * and/or an `authorize(req, fileInfo)` hook. With neither configured,
+ * every request sees everything.
+ */
+class AccessControl {
+  /**
+   * @param {Object} options - Access options
+   * @param {Function} options.authorize - Called as authorize(req, fileInfo), returns
+   *   (or resolves to) true to allow the file (optional)
+   * @param {Object} options.roles - Role name to log paths (directories or files) or '*' (optional)
+   * @param {Function} options.getRoles - Returns the roles of a request (default: req.user.roles or req.user.role)
+   * @param {Array<string|Object>} options.logPaths - Configured log paths
+   * @param {Object} options.logger - Logger instance (default: console)
+   * @throws {Error} If the options are malformed
+   */
+  constructor(options = {}) {
+    if (options.authorize && typeof options.authorize !== 'function') {
+      throw new Error('options.authorize needs to be a function of (req, fileInfo).');
+    }
+    if (options.getRoles && typeof options.getRoles !== 'function') {
+      throw new Error('options.getRoles needs to be a function of (req).');
+    }
+
+    this.authorize = options.authorize || null;
+    this.roles = options.roles ? normalizeRoles(options.roles) : null;
+    this.getRoles = options.getRoles || getUserRoles;
+    this.logPaths = options.logPaths || [];
+    this.logger = options.logger || console;
+    this.enabled = Boolean(this.authorize || this.roles);
+  }
+
+  /**
+   * Start deciding access for a request
+   * @param {Object} req - Express request
+   * @returns {AccessScope|null} Scope of the request, or null if access isn't restricted
+   */
+  forRequest(req) {
+    return this.enabled ? new AccessScope(this, req) : null;
+  }
+
+  /**
+   * Decide whether a request may see a file or log path
+   * @param {Object} req - Express request
+   * @param {Array<string>} roles - Roles of the request
+   * @param {Object} fileInfo - File or log path being checked
+   * @returns {Promise<boolean>} True if allowed
+   */
+  async isAllowed(req, roles, fileInfo) {
+    if (this.roles && !this.rolesAllow(roles, fileInfo)) {
+      return false;
+    }
+    if (!this.authorize) {
+      return true;
+    }
+
+    try {
+      return (await this.authorize(req, fileInfo)) === true;
+    } catch (error) {
+      this.logger.error(`The Logfather's authorize hook failed for ${fileInfo.path}, denying access:`, error);
+      return false;
+    }
+  }
+
+  /**
+   * Check the role mapping. A log path root is allowed if any of its
+   * files could be, a file only if it's inside an allowed path.
+   * @param {Array<string>} roles - Roles of the request
+   * @param {Object} fileInfo - File or log path being checked
+   * @returns {boolean} True if a role grants it
+   */
+  rolesAllow(roles, fileInfo) {
+    return roles.some(role => {
+      const allowed = this.roles.get(role);
+      if (!allowed) return false;
+      if (allowed === ALL_PATHS) return true;
+
+      return allowed.some(allowedPath => {
+        return isWithin(fileInfo.path, allowedPath) || (fileInfo.isDirectory && isWithin(allowedPath, fileInfo.path));
+      });
+    });
+  }
+
+  /**
+   * Describe a file for the authorize hook
+   * @param {string} filePath - Absolute file path
+   * @returns {Object} File info with name, path, relativePath, directory, root and source
+   */
+  describeFile(filePath) {
+    return resolveLogFile(filePath, this.logPaths) || {
+      name: path.basename(filePath),
+      path: filePath,
+      relativePath: null,
+      directory: path.dirname(filePath),
+      root: null,
+      source: null
+    };
+  }
+}
+
+/**
+ * Access decisions for one request, made once per file
+ */
+class AccessScope {
+  /**
+   * @param {AccessControl} control - Access configuration
+   * @param {Object} req - Express request
+   */
+  constructor(control, req) {
+    this.control = control;
+    this.req = req;
+    this.decisions = new Map();
+
+    try {
+      this.roles = [].concat(control.getRoles(req) || []).map(String);
+    } catch (error) {
+      control.logger.error('The Logfather\'s getRoles hook failed, treating the request as having no roles:', error);
+      this.roles = [];
+    }
+  }
+
+  /**
+   * Decide access to files not decided yet
+   * @param {Iterable<string>} filePaths - Absolute file paths
+   * @returns {Promise<AccessScope>} This scope
+   */
+  async resolve(filePaths) {
+    const pending = Array.from(new Set(filePaths)).filter(filePath => !this.decisions.has(filePath));
+
+    await Promise.all(pending.map(async filePath => {
+      const allowed = await this.control.isAllowed(this.req, this.roles, this.control.describeFile(filePath));
+      this.decisions.set(filePath, allowed);
+    }));
+
+    return this;
+  }
+
+  /**
+   * Whether the request may see a file. Files that weren't resolved are hidden.
+   * @param {string} filePath - Absolute file path
+   * @returns {boolean} True if allowed
+   */
+  canRead(filePath) {
+    return this.decisions.get(filePath) === true;
+  }
+
+  /**
+   * Keep the configured log paths the request may see anything in
+   * @returns {Promise<Array<string|Object>>} Visible log paths, as configured
+   */
+  async filterLogPaths() {
+    const sources = normalizeLogPaths(this.control.logPaths);
+    const visible = await Promise.all(sources.map(source => {
+      return this.control.isAllowed(this.req, this.roles, {
+        name: path.basename(source.path),
+        path: source.path,
+        relativePath: '',
+        directory: source.path,
+        root: source.path,
+        source: source.name,
+        isDirectory: true
+      });
+    }));
+
+    return this.control.logPaths.filter((logPath, i) => visible[i]);
+  }
+}
+
+/**
+ * Check and resolve the role mapping
+ * @param {Object} roles - Role name to log paths or '*'
+ * @returns {Map<string, Array<string>|string>} Role to resolved paths, or '*'
+ * @throws {Error} If a role's value is malformed
+ */
+function normalizeRoles(roles) {
+  if (typeof roles !== 'object' || Array.isArray(roles)) {
+    throw new Error('options.roles needs to map role names to arrays of log paths, or to \'*\'.');
+  }
+
+  return new Map(Object.entries(roles).map(([role, paths]) => {
+    const list = [].concat(paths);
+    if (list.includes(ALL_PATHS)) {
+      return [role, ALL_PATHS];
+    }
+    if (list.some(item => typeof item !== 'string' || !item)) {
+      throw new Error(`options.roles.${role} needs to be an array of log paths, or '*'.`);
+    }
+    return [role, list.map(item => path.resolve(item))];
+  }));
+}
+
+/**
+ * Default role lookup: `req.user.roles`, or `req.user.role`, as set by
+ * most authentication middleware
+ * @param {Object} req - Express request
+ * @returns {Array<string>} Roles
+ */
+function getUserRoles(req) {
+  const user = req.user || {};
+  return [].concat(user.roles || user.role || []);
+}
+
+/**
+ * Check whether a path is a directory or file at or below another
+ * @param {string} childPath - Path to check
+ * @param {string} parentPath - Directory or file
+ * @returns {boolean} True if childPath is parentPath or inside it
+ */
+function isWithin(childPath, parentPath) {
+  const relative = path.relative(parentPath, childPath);
+  return relative === '' || (relative.split(path.sep)[0] !== '..' && !path.isAbsolute(relative));
+}
+
+export { AccessControl, AccessScope, ALL_PATHS };
@@ -0,0 +1,298 @@
+/**
+ * Alerts Module - The Logfather
+ * "When something goes wrong, you'll hear from us."
+ */
+
+import http from 'http';
+import https from 'https';
+import { parseQuery } from './queryParser.js';
+import { parseInterval } from './histogram.js';
+
+const DEFAULT_HISTORY_SIZE = 100;
+const WEBHOOK_TIMEOUT = 10000;
+const SAMPLE_SIZE = 5;
+
+/**
+ * Checks threshold rules against newly indexed entries and delivers
+ * alerts to webhooks and callbacks.
+ *
+ * A rule fires when more than `threshold` entries matching its query and
+ * level have a timestamp within the last `window`. Each rule keeps the
+ * matching entries it was given that are still within its window, so
+ * counting doesn't search the index. Rules are only counted when a new
+ * entry matches them, and a rule that fired stays quiet for its
+ * `cooldown` (default: its window).
+ */
+class AlertManager {
+  /**
+   * @param {LogSearchEngine} searchEngine - Engine to count matches in
+   * @param {Object} options - Alert options
+   * @param {Array<Object>} options.rules - Alert rules (see validateRule)
+   * @param {Function} options.onAlert - Called with every alert (optional)
+   * @param {Object} options.logger - Logger instance (default: console)
+   * @param {number} options.historySize - Fired alerts to remember (default: 100)
+   * @throws {Error} If a rule is invalid
+   */
+  constructor(searchEngine, options = {}) {
+    this.searchEngine = searchEngine;
+    this.onAlert = options.onAlert || null;
+    this.logger = options.logger || console;
+    this.historySize = options.historySize || DEFAULT_HISTORY_SIZE;
+    this.history = [];
+
+    const names = new Set();
+    this.rules = (options.rules || []).map(rule => {
+      const compiled = validateRule(rule);
+      if (names.has(compiled.name)) {
+        throw new Error(`Alert rule names need to be unique, "${compiled.name}" is used twice.`);
+      }
+      names.add(compiled.name);
+      return compiled;
+    });
+  }
+
+  /**
+   * Count the new entries each rule matches and check the rules that any
+   * of them match
+   * @param {Array<Object>} entries - Newly indexed entries
+   * @param {number} now - Evaluation time in milliseconds (default: now)
+   * @returns {Array<Object>} Alerts fired
+   */
+  evaluate(entries, now = Date.now()) {
+    const fired = [];
+
+    this.rules.forEach(rule => {
+      const filters = { level: rule.level };
+      const matched = entries.filter(entry => this.searchEngine.matchesEntry(entry, rule.queryTree, filters));
+      if (matched.length === 0) {
+        return;
+      }
+
+      // Keyed by ID, so a re-read entry replaces itself instead of counting twice
+      const { recent } = rule.state;
+      matched.forEach(entry => recent.set(entry.id, entry));
+
+      const since = now - rule.windowMs;
+      const matches = [];
+      recent.forEach((entry, id) => {
+        const time = new Date(entry.timestamp).getTime();
+        if (!(time >= since)) {
+          recent.delete(id);
+        } else if (time <= now) {
+          matches.push(entry);
+        }
+      });
+      matches.sort((a, b) => new Date(b.timestamp) - new Date(a.timestamp));
+
+      const triggered = matches.length > rule.threshold;
+      const coolingDown = rule.state.lastFiredAt !== null && now - rule.state.lastFiredAt < rule.cooldownMs;
+
+      rule.state.lastEvaluation = {
+        at: new Date(now),
+        count: matches.length,
+        triggered,
+        fired: triggered && !coolingDown
+      };
+
+      if (triggered && !coolingDown) {
+        rule.state.lastFiredAt = now;
+        fired.push(this.fire(rule, matches, now));
+      }
+    });
+
+    return fired;
+  }
+
+  /**
+   * Record an alert and deliver it
+   * @param {Object} rule - Compiled rule
+   * @param {Array<Object>} matches - Entries within the window, newest first
+   * @param {number} now - Evaluation time in milliseconds
+   * @returns {Object} The alert
+   */
+  fire(rule, matches, now) {
+    const alert = {
+      rule: rule.name,
+      query: rule.query,
+      level: rule.level,
+      window: rule.window,
+      threshold: rule.threshold,
+      count: matches.length,
+      firedAt: new Date(now),
+      sample: matches.slice(0, SAMPLE_SIZE).map(entry => ({
+        id: entry.id,
+        timestamp: entry.timestamp,
+        level: entry.level,
+        message: entry.message,
+        sourceFile: entry.sourceFile
+      })),
+      delivery: {}
+    };
+
+    this.history.unshift(alert);
+    this.history.length = Math.min(this.history.length, this.historySize);
+    this.logger.warn(`The Logfather raised alert "${rule.name}": ${alert.count} entries in ${rule.window} (threshold ${rule.threshold}).`);
+
+    if (this.onAlert) {
+      // A callback may be async; a rejection mustn't go unhandled
+      alert.delivery.callback = 'pending';
+      Promise.resolve()
+        .then(() => this.onAlert(alert))
+        .then(() => {
+          alert.delivery.callback = 'delivered';
+        })
+        .catch(error => {
+          alert.delivery.callback = `failed: ${error && error.message}`;
+          this.logger.error(`The Logfather's onAlert callback failed for "${rule.name}":`, error);
+        });
+    }
+
+    if (rule.webhook) {
+      alert.delivery.webhook = 'pending';
+      postJson(rule.webhook, alert)
+        .then(() => {
+          alert.delivery.webhook = 'delivered';
+        })
+        .catch(error => {
+          alert.delivery.webhook = `failed: ${error.message}`;
+          this.logger.error(`The Logfather couldn't deliver alert "${rule.name}" to its webhook:`, error.message);
+        });
+    }
+
+    return alert;
+  }
+
+  /**
+   * Describe the rules and how they last evaluated
+   * @returns {Array<Object>} Rules with their state
+   */
+  getRules() {
+    return this.rules.map(rule => ({
+      name: rule.name,
+      query: rule.query,
+      level: rule.level,
+      window: rule.window,
+      threshold: rule.threshold,
+      cooldown: rule.cooldown,
+      webhook: Boolean(rule.webhook),
+      lastEvaluation: rule.state.lastEvaluation,
+      lastFiredAt: rule.state.lastFiredAt === null ? null : new Date(rule.state.lastFiredAt)
+    }));
+  }
+
+  /**
+   * Fired alerts, newest first
+   * @param {string} ruleName - Only alerts of this rule (optional)
+   * @returns {Array<Object>} Alerts
+   */
+  getHistory(ruleName = null) {
+    return ruleName ? this.history.filter(alert => alert.rule === ruleName) : this.history.slice();
+  }
+}
+
+/**
+ * Check a rule and compile its query and intervals.
+ *
+ * A rule is an object with:
+ *   name      - unique name
+ *   query     - search query (default: everything)
+ *   level     - level filter (optional)
+ *   window    - time window such as 5m (required)
+ *   threshold - fire when more than this many entries match (required)
+ *   cooldown  - quiet period after firing (default: the window)
+ *   webhook   - http(s) URL to POST alerts to as JSON (optional)
+ *
+ * @param {Object} rule - Alert rule
+ * @returns {Object} Compiled rule with evaluation state
+ * @throws {Error} If the rule is invalid
+ */
+function validateRule(rule) {
+  if (!rule || typeof rule.name !== 'string' || !rule.name.trim()) {
+    throw new Error('Each alert rule needs a name.');
+  }
+
+  const name = rule.name.trim();
+  const query = rule.query || '';
+  const describe = message => new Error(`Alert rule "${name}": ${message}`);
+
+  if (typeof rule.threshold !== 'number' || !(rule.threshold >= 0)) {
+    throw describe('threshold needs to be a number of entries, 0 or more.');
+  }
+
+  let queryTree;
+  let windowMs;
+  let cooldownMs;
+  try {
+    queryTree = parseQuery(query);
+    windowMs = parseInterval(rule.window);
+    cooldownMs = rule.cooldown ? parseInterval(rule.cooldown) : windowMs;
+  } catch (error) {
+    throw describe(error.message);
+  }
+
+  if (rule.webhook) {
+    let url;
+    try {
+      url = new URL(rule.webhook);
+    } catch (error) {
+      url = null;
+    }
+    if (!url || !['http:', 'https:'].includes(url.protocol)) {
+      throw describe('webhook needs to be an http or https URL.');
+    }
+  }
+
+  return {
+    name,
+    query,
+    queryTree,
+    level: rule.level || null,
+    window: rule.window,
+    windowMs,
+    threshold: rule.threshold,
+    cooldown: rule.cooldown || rule.window,
+    cooldownMs,
+    webhook: rule.webhook || null,
+    state: {
+      lastEvaluation: null,
+      lastFiredAt: null,
+      recent: new Map()
+    }
+  };
+}
+
+/**
+ * POST a JSON body to a URL
+ * @param {string} url - Target URL
+ * @param {Object} body - Payload
+ * @returns {Promise<void>} Resolves on a 2xx response
+ */
+function postJson(url, body) {
+  return new Promise((resolve, reject) => {
+    const payload = JSON.stringify(body);
+    const client = url.startsWith('https:') ? https : http;
+
+    const request = client.request(url, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        'Content-Length': Buffer.byteLength(payload),
+        'User-Agent': 'The-Logfather'
+      },
+      timeout: WEBHOOK_TIMEOUT
+    }, response => {
+      response.resume();
+      if (response.statusCode >= 200 && response.statusCode < 300) {
+        resolve();
+      } else {
+        reject(new Error(`HTTP ${response.statusCode}`));
+      }
+    });
+
+    request.on('timeout', () => request.destroy(new Error('Timed out')));
+    request.on('error', reject);
+    request.end(payload);
+  });
+}
+
+export { AlertManager, validateRule };
@@ -0,0 +1,142 @@
+/**
+ * Cursor Module - The Logfather
+ * "Remember where we left off. The family never loses its place."
+ */
+
+/**
+ * Directions a cursor can point in: entries after its position in the
+ * sort order, or entries before it
+ */
+const CURSOR_DIRECTIONS = ['after', 'before'];
+
+/**
+ * Error thrown for a cursor that is malformed or belongs to another sort order
+ */
+class CursorError extends Error {
+  /**
+   * @param {string} message - Description of the problem
+   */
+  constructor(message) {
+    super(message);
+    this.name = 'CursorError';
+  }
+}
+
+/**
+ * The position of an entry in a sort order: the sorted value, then the
+ * source file and line number, which no two entries share. Positions
+ * survive the entry being evicted or its file being read again.
+ * @param {Object} entry - Log entry
+ * @param {string} sortBy - Property sorted by
+ * @returns {Array} Sort value, source file and line number
+ */
+function getSortKey(entry, sortBy) {
+  let value = entry[sortBy];
+  if (value instanceof Date) {
+    value = value.getTime();
+  } else if (value === undefined) {
+    value = null;
+  } else if (value !== null && typeof value === 'object') {
+    value = String(value);
+  }
+  return [value, entry.sourceFile, entry.lineNumber];
+}
+
+/**
+ * Compare two sort keys
+ * @param {Array} a - Key from getSortKey
+ * @param {Array} b - Key from getSortKey
+ * @param {number} multiplier - 1 for ascending, -1 for descending
+ * @returns {number} Negative if a comes first, positive if b does
+ */
+function compareSortKeys(a, b, multiplier) {
+  return (compareValues(a[0], b[0]) || compareStrings(a[1], b[1]) || (a[2] || 0) - (b[2] || 0)) * multiplier;
+}
+
+/**
+ * Compare sorted values the way results have always been sorted: numbers
+ * (and times) by size, strings alphabetically, anything else as text
+ * @param {*} a - Value
+ * @param {*} b - Value
+ * @returns {number} Comparison result
+ */
+function compareValues(a, b) {
+  if (typeof a === 'number' && typeof b === 'number') {
+    return a - b;
+  }
+  if (typeof a === 'string' && typeof b === 'string') {
+    return a.localeCompare(b);
+  }
+  return String(a).localeCompare(String(b));
+}
+
+/**
+ * Compare tie-breaking strings by code unit, which doesn't depend on locale
+ * @param {string} a - String
+ * @param {string} b - String
+ * @returns {number} Comparison result
+ */
+function compareStrings(a, b) {
+  if (a === b) return 0;
+  return String(a) < String(b) ? -1 : 1;
+}
+
+/**
+ * Make an opaque cursor pointing after or before an entry
+ * @param {Object} position - What the cursor holds
+ * @param {Array} position.key - Sort key of the entry, from getSortKey
+ * @param {string} position.direction - after or before
+ * @param {string} position.sortBy - Property sorted by
+ * @param {string} position.sortOrder - asc or desc
+ * @param {number} position.version - Index version the cursor was made at
+ * @returns {string} URL-safe cursor
+ */
+function encodeCursor({ key, direction, sortBy, sortOrder, version }) {
+  const json = JSON.stringify({ k: key, d: direction, s: sortBy, o: sortOrder, v: version });
+  return Buffer.from(json, 'utf8').toString('base64')
+    .replace(/\+/g, '-')
+    .replace(/\//g, '_')
+    .replace(/=+$/, '');
+}
+
+/**
+ * Read a cursor made by encodeCursor for a search sorted the same way
+ * @param {string} cursor - Cursor from a previous page
+ * @param {string} sortBy - Property the search sorts by
+ * @param {string} sortOrder - asc or desc
+ * @returns {Object} key, direction and version
+ * @throws {CursorError} If the cursor is malformed or made for another sort order
+ */
+function decodeCursor(cursor, sortBy, sortOrder) {
+  let position;
+  try {
+    if (typeof cursor !== 'string' || !/^[\w-]+$/.test(cursor)) throw new Error();
+    const base64 = cursor.replace(/-/g, '+').replace(/_/g, '/');
+    position = JSON.parse(Buffer.from(base64, 'base64').toString('utf8'));
+  } catch (error) {
+    throw new CursorError('The cursor is malformed. Start again from the first page.');
+  }
+
+  const { k: key, d: direction, s: cursorSortBy, o: cursorSortOrder, v: version } = position || {};
+  const validKey = Array.isArray(key) && key.length === 3 &&
+    (key[0] === null || ['number', 'string', 'boolean'].includes(typeof key[0])) &&
+    typeof key[1] === 'string' && (key[2] === null || typeof key[2] === 'number');
+  if (!validKey || !CURSOR_DIRECTIONS.includes(direction) || !Number.isInteger(version)) {
+    throw new CursorError('The cursor is malformed. Start again from the first page.');
+  }
+  if (cursorSortBy !== sortBy || cursorSortOrder !== sortOrder) {
+    throw new CursorError(`The cursor was made for results sorted by ${cursorSortBy} ${cursorSortOrder}, ` +
+      `not ${sortBy} ${sortOrder}. Start again from the first page.`);
+  }
+
+  return { key, direction, version };
+}
+
+export {
+  CursorError,
+  getSortKey,
+  compareSortKeys,
+  encodeCursor,
+  decodeCursor,
+  CURSOR_DIRECTIONS
+};
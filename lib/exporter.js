@@ -0,0 +1,215 @@
+/**
+ * Exporter Module - The Logfather
+ * "Take the evidence with you. All of it."
+ */
+
+import { FIELDS_PREFIX } from './queryParser.js';
+
+/**
+ * Supported export formats with their content types
+ */
+const EXPORT_FORMATS = {
+  csv: { contentType: 'text/csv; charset=utf-8', extension: 'csv' },
+  ndjson: { contentType: 'application/x-ndjson; charset=utf-8', extension: 'ndjson' },
+  json: { contentType: 'application/json; charset=utf-8', extension: 'json' }
+};
+
+/**
+ * Entry properties that can be exported as columns. Structured fields are
+ * exported as `fields.<path>`, or all at once as `fields` (JSON encoded).
+ */
+const EXPORT_COLUMNS = [
+  'id',
+  'timestamp',
+  'level',
+  'message',
+  'source',
+  'sourceFile',
+  'lineNumber',
+  'endLineNumber',
+  'parser',
+  'trace',
+  'raw',
+  'fields'
+];
+
+const DEFAULT_CSV_COLUMNS = ['timestamp', 'level', 'sourceFile', 'lineNumber', 'message'];
+
+/**
+ * Rows per chunk written to the response
+ */
+const EXPORT_CHUNK_ROWS = 500;
+
+/**
+ * Error thrown for an export request that can't be served
+ */
+class ExportOptionsError extends Error {
+  /**
+   * @param {string} message - Description of the problem
+   */
+  constructor(message) {
+    super(message);
+    this.name = 'ExportOptionsError';
+  }
+}
+
+/**
+ * Validate and normalize export options
+ * @param {Object} options - Raw export options
+ * @param {string} options.format - csv, ndjson or json (default: csv)
+ * @param {string|Array<string>} options.columns - Column names, comma separated or repeated
+ *   (default: a fixed set for CSV, whole entries for NDJSON and JSON)
+ * @param {string|number} options.limit - Maximum rows, 0 for no limit (default: 0)
+ * @returns {Object} Normalized options with format, columns and limit
+ * @throws {ExportOptionsError} If an option is invalid
+ */
+function normalizeExportOptions(options = {}) {
+  const format = String(options.format || 'csv').toLowerCase();
+  if (!EXPORT_FORMATS[format]) {
+    throw new ExportOptionsError(`Unknown export format "${format}". Use ${Object.keys(EXPORT_FORMATS).join(', ')}.`);
+  }
+
+  const columns = [].concat(options.columns || [])
+    .flatMap(value => String(value).split(','))
+    .map(column => column.trim())
+    .filter(Boolean);
+
+  columns.forEach(column => {
+    const isFieldPath = column.startsWith(FIELDS_PREFIX) && column.length > FIELDS_PREFIX.length;
+    if (!EXPORT_COLUMNS.includes(column) && !isFieldPath) {
+      throw new ExportOptionsError(`Unknown export column "${column}". Use ${EXPORT_COLUMNS.join(', ')} or fields.<name>.`);
+    }
+  });
+
+  const limit = options.limit !== undefined && options.limit !== '' ? Number(options.limit) : 0;
+  if (!Number.isInteger(limit) || limit < 0) {
+    throw new ExportOptionsError('The export limit needs to be a whole number of rows, 0 for no limit.');
+  }
+
+  return {
+    format,
+    columns: columns.length > 0 ? columns : (format === 'csv' ? DEFAULT_CSV_COLUMNS : null),
+    limit
+  };
+}
+
+/**
+ * Serialize entries in the requested format, a chunk at a time
+ * @param {Array<Object>} entries - Entries to export
+ * @param {Object} options - Options from normalizeExportOptions
+ * @returns {AsyncGenerator<string>} Chunks of the export
+ */
+async function* createExportChunks(entries, options) {
+  const { format, columns, limit } = options;
+  const count = limit ? Math.min(limit, entries.length) : entries.length;
+  let rows = [];
+
+  if (format === 'csv') {
+    yield toCsvRow(columns) + '\r\n';
+  } else if (format === 'json') {
+    yield '[';
+  }
+
+  for (let i = 0; i < count; i++) {
+    const entry = entries[i];
+
+    if (format === 'csv') {
+      rows.push(toCsvRow(columns.map(column => formatCsvValue(getExportValue(entry, column)))) + '\r\n');
+    } else {
+      const row = JSON.stringify(columns ? pickColumns(entry, columns) : entry);
+      rows.push(format === 'json' ? `${i > 0 ? ',' : ''}\n${row}` : `${row}\n`);
+    }
+
+    if (rows.length >= EXPORT_CHUNK_ROWS) {
+      yield rows.join('');
+      rows = [];
+    }
+  }
+
+  if (rows.length > 0) {
+    yield rows.join('');
+  }
+  if (format === 'json') {
+    yield count > 0 ? '\n]\n' : ']\n';
+  }
+}
+
+/**
+ * Read a column from an entry
+ * @param {Object} entry - Log entry
+ * @param {string} column - Column name
+ * @returns {*} Column value, undefined if the entry doesn't have it
+ */
+function getExportValue(entry, column) {
+  if (!column.startsWith(FIELDS_PREFIX)) {
+    return entry[column];
+  }
+
+  return column
+    .slice(FIELDS_PREFIX.length)
+    .split('.')
+    .reduce((value, key) => (value && typeof value === 'object' ? value[key] : undefined), entry.fields);
+}
+
+/**
+ * Build an object holding only the selected columns
+ * @param {Object} entry - Log entry
+ * @param {Array<string>} columns - Column names
+ * @returns {Object} Selected values keyed by column name
+ */
+function pickColumns(entry, columns) {
+  const picked = {};
+
+  columns.forEach(column => {
+    const value = getExportValue(entry, column);
+    if (value !== undefined) {
+      picked[column] = value;
+    }
+  });
+
+  return picked;
+}
+
+/**
+ * Turn a value into CSV cell text. Cells that a spreadsheet would run as a
+ * formula get a leading quote, since log lines are often attacker-controlled.
+ * @param {*} value - Column value
+ * @returns {string} Cell text
+ */
+function formatCsvValue(value) {
+  if (value === undefined || value === null) return '';
+
+  let text;
+  if (value instanceof Date) {
+    text = isNaN(value.getTime()) ? '' : value.toISOString();
+  } else if (typeof value === 'object') {
+    text = JSON.stringify(value);
+  } else {
+    text = String(value);
+  }
+
+  if (/^[=+\-@\t\r]/.test(text) && !isFinite(Number(text))) {
+    text = `'${text}`;
+  }
+  return text;
+}
+
+/**
+ * Join cells into a CSV row, quoting where needed (RFC 4180)
+ * @param {Array<string>} cells - Cell text
+ * @returns {string} CSV row without a line ending
+ */
+function toCsvRow(cells) {
+  return cells
+    .map(cell => (/[",\r\n]/.test(cell) ? `"${cell.replace(/"/g, '""')}"` : cell))
+    .join(',');
+}
+
+export {
+  normalizeExportOptions,
+  createExportChunks,
+  getExportValue,
+  ExportOptionsError,
+  EXPORT_FORMATS,
+  EXPORT_COLUMNS
+};
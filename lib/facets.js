@@ -0,0 +1,256 @@
+/**
+ * Facets Module - The Logfather
+ * "We know everyone in the family. And how many of them there are."
+ */
+
+import path from 'path';
+import { FIELDS_PREFIX } from './queryParser.js';
+import { getExportValue } from './exporter.js';
+
+const DEFAULT_FACET_SIZE = 10;
+const MAX_FACET_SIZE = 100;
+const MAX_FACET_FIELDS = 10;
+
+/**
+ * Facets every search gets counts for, besides the requested fields
+ */
+const BUILTIN_FACETS = ['source', 'level', 'sourceFile', 'directory'];
+
+/**
+ * Error thrown for a facet request that can't be served
+ */
+class FacetOptionsError extends Error {
+  /**
+   * @param {string} message - Description of the problem
+   */
+  constructor(message) {
+    super(message);
+    this.name = 'FacetOptionsError';
+  }
+}
+
+/**
+ * Turn facet selections into one filter per facet. Values selected in the
+ * same facet are alternatives; different facets all have to match.
+ * @param {Object} selections - Selected values
+ * @param {string|Array<string>} selections.source - Log source names
+ * @param {string|Array<string>} selections.level - Levels
+ * @param {string|Array<string>} selections.sourceFile - File paths, names or path suffixes
+ * @param {string|Array<string>} selections.directory - Directories
+ * @param {string|Array<string>} selections.fields - Field values as `fields.<path>:<value>`
+ * @returns {Array<Object>} Filters with the facet key and a matches(entry) function
+ * @throws {FacetOptionsError} If a field value selection is malformed
+ */
+function createFacetFilters(selections = {}) {
+  const filters = [];
+  const add = (key, values, matches) => {
+    if (values.length > 0) filters.push({ key, values, matches });
+  };
+
+  const sources = toList(selections.source);
+  add('source', sources, entry => sources.includes(entry.source));
+
+  const levels = toList(selections.level);
+  add('level', levels, entry => levels.includes(entry.level));
+
+  const files = toList(selections.sourceFile);
+  add('sourceFile', files, entry => files.some(file => {
+    return entry.sourceFile === file || entry.sourceFile.endsWith(`/${file}`);
+  }));
+
+  const directories = toList(selections.directory).map(directory => directory.replace(/\/+$/, '') || '/');
+  add('directory', directories, entry => directories.includes(path.dirname(entry.sourceFile)));
+
+  const fieldValues = new Map();
+  toList(selections.fields).forEach(selection => {
+    const separator = selection.indexOf(':');
+    const fieldPath = normalizeFieldPath(separator === -1 ? '' : selection.slice(0, separator));
+    if (separator === -1 || !fieldPath) {
+      throw new FacetOptionsError(`Field facet selections look like fields.<name>:<value>, not "${selection}".`);
+    }
+    if (!fieldValues.has(fieldPath)) fieldValues.set(fieldPath, []);
+    fieldValues.get(fieldPath).push(selection.slice(separator + 1));
+  });
+  fieldValues.forEach((values, fieldPath) => {
+    add(fieldPath, values, entry => getFacetValues(entry, fieldPath).some(value => values.includes(value)));
+  });
+
+  return filters;
+}
+
+/**
+ * Check the fields to count top values for
+ * @param {string|Array<string>} fields - Field paths, comma separated or repeated,
+ *   with or without the `fields.` prefix
+ * @returns {Array<string>} Field paths with the `fields.` prefix
+ * @throws {FacetOptionsError} If there are too many fields or one is malformed
+ */
+function normalizeFacetFields(fields) {
+  const paths = toList(fields)
+    .flatMap(value => value.split(','))
+    .map(value => value.trim())
+    .filter(Boolean)
+    .map(value => {
+      const fieldPath = normalizeFieldPath(value.startsWith(FIELDS_PREFIX) ? value : FIELDS_PREFIX + value);
+      if (!fieldPath) {
+        throw new FacetOptionsError(`"${value}" is not a structured field path.`);
+      }
+      return fieldPath;
+    });
+
+  const unique = Array.from(new Set(paths));
+  if (unique.length > MAX_FACET_FIELDS) {
+    throw new FacetOptionsError(`Facets can count up to ${MAX_FACET_FIELDS} fields at once.`);
+  }
+  return unique;
+}
+
+/**
+ * Count entries per value of every facet. Each facet is counted as if
+ * its own selection were cleared, so other values of a facet can be
+ * added to the selection without losing sight of them.
+ * @param {Array<Object>} entries - Entries matching everything but the facet selections
+ * @param {Array<Object>} filters - Result of createFacetFilters
+ * @param {Object} options - Facet options
+ * @param {Array<string>} options.fields - Field paths from normalizeFacetFields
+ * @param {number} options.size - Values per facet, most frequent first (default: 10)
+ * @returns {Object} Values with counts per facet, and selected values per facet
+ */
+function countFacets(entries, filters, options = {}) {
+  const size = Math.min(Number(options.size) || DEFAULT_FACET_SIZE, MAX_FACET_SIZE);
+  const fields = options.fields || [];
+  const keys = [...BUILTIN_FACETS, ...fields];
+  const counts = new Map(keys.map(key => [key, new Map()]));
+
+  entries.forEach(entry => {
+    let excludedBy = null;
+    for (const filter of filters) {
+      if (!filter.matches(entry)) {
+        // An entry outside two selections can't be added back by changing one
+        if (excludedBy) return;
+        excludedBy = filter.key;
+      }
+    }
+
+    keys.forEach(key => {
+      if (excludedBy && excludedBy !== key) return;
+
+      const facetCounts = counts.get(key);
+      getFacetValues(entry, key).forEach(value => {
+        facetCounts.set(value, (facetCounts.get(value) || 0) + 1);
+      });
+    });
+  });
+
+  const selected = {};
+  filters.forEach(filter => {
+    selected[filter.key] = filter.values;
+  });
+
+  const toValues = key => {
+    const facetCounts = counts.get(key);
+    const chosen = selected[key] || [];
+    const values = Array.from(facetCounts, ([value, count]) => ({ value, count }))
+      .sort((a, b) => b.count - a.count || a.value.localeCompare(b.value));
+
+    // Selected values stay listed even when they're rare or have no matches left
+    const top = values.slice(0, key === 'level' ? values.length : size);
+    chosen.forEach(value => {
+      const matching = values.filter(item => isSelectedValue(key, item.value, value));
+      if (matching.length === 0) matching.push({ value, count: 0 });
+      matching.forEach(item => {
+        if (!top.some(existing => existing.value === item.value)) top.push(item);
+      });
+    });
+
+    return {
+      values: key === 'sourceFile'
+        ? top.map(item => ({ ...item, label: path.basename(item.value) }))
+        : top,
+      otherValues: values.filter(item => !top.includes(item)).length
+    };
+  };
+
+  return {
+    source: toValues('source'),
+    level: toValues('level'),
+    sourceFile: toValues('sourceFile'),
+    directory: toValues('directory'),
+    fields: Object.fromEntries(fields.map(field => [field, toValues(field)])),
+    selected
+  };
+}
+
+/**
+ * Check whether a counted facet value is covered by a selected one. Files
+ * can be selected by name or path suffix as well as by full path.
+ * @param {string} key - Facet key
+ * @param {string} value - Counted value
+ * @param {string} selection - Selected value
+ * @returns {boolean} True if the selection includes the value
+ */
+function isSelectedValue(key, value, selection) {
+  if (key === 'sourceFile') {
+    return value === selection || value.endsWith(`/${selection}`);
+  }
+  return value === selection;
+}
+
+/**
+ * Values an entry has for a facet, as strings. Arrays count once per
+ * distinct element; objects aren't counted.
+ * @param {Object} entry - Log entry
+ * @param {string} key - Facet key: source, level, sourceFile, directory or a field path
+ * @returns {Array<string>} Values
+ */
+function getFacetValues(entry, key) {
+  switch (key) {
+    case 'source':
+      return entry.source ? [entry.source] : [];
+    case 'level':
+      return [entry.level];
+    case 'sourceFile':
+      return [entry.sourceFile];
+    case 'directory':
+      return [path.dirname(entry.sourceFile)];
+    default: {
+      const value = getExportValue(entry, key);
+      const values = Array.isArray(value) ? value : [value];
+      return Array.from(new Set(values
+        .filter(item => item !== undefined && (item === null || typeof item !== 'object'))
+        .map(item => String(item))));
+    }
+  }
+}
+
+/**
+ * Check a `fields.<path>` facet key
+ * @param {string} value - Field path
+ * @returns {string|null} The path, or null if it isn't a field path
+ */
+function normalizeFieldPath(value) {
+  const fieldPath = value.trim();
+  if (!fieldPath.startsWith(FIELDS_PREFIX) || fieldPath.length === FIELDS_PREFIX.length) return null;
+  return fieldPath.split('.').every(Boolean) ? fieldPath : null;
+}
+
+/**
+ * Normalize a selection that may be a single value or a list
+ * @param {string|Array<string>} value - Selection
+ * @returns {Array<string>} Non-empty values
+ */
+function toList(value) {
+  if (value === undefined || value === null) return [];
+  return [].concat(value).map(String).filter(item => item !== '');
+}
+
+export {
+  createFacetFilters,
+  normalizeFacetFields,
+  countFacets,
+  getFacetValues,
+  FacetOptionsError,
+  BUILTIN_FACETS,
+  DEFAULT_FACET_SIZE,
+  MAX_FACET_FIELDS
+};
@@ -5,24 +5,86 @@
 
 import fs from 'fs';
 import path from 'path';
+import zlib from 'zlib';
+import { pipeline } from 'stream';
+import { matchGlob } from './glob.js';
 
 const { promises: fsPromises } = fs;
 
+const NEWLINE = 0x0a;
+const READ_CHUNK_SIZE = 64 * 1024;
+const GZIP_TRAILER_SIZE = 18;
+const DEFAULT_MAX_DEPTH = 10;
+
 /**
- * Scan directories for log files matching debug* and error* patterns
- * @param {Array<string>} logPaths - Array of directory paths to scan
+ * Normalize logPaths entries into source objects.
+ * Each entry is either a directory path or an object:
+ * { name, path, include, exclude, recursive, maxDepth, levels, parser, multiline }
+ *
+ * Every source has a name, which entries carry and IDs start with. An
+ * unnamed source is named after its directory, or its whole path when
+ * another source has a directory of the same name.
+ * @param {Array<string|Object>} logPaths - Configured log paths
+ * @returns {Array<Object>} Normalized log sources
+ * @throws {Error} If an entry is malformed or two sources have the same name
+ */
+function normalizeLogPaths(logPaths) {
+  const sources = logPaths.map(logPath => {
+    const source = typeof logPath === 'string' ? { path: logPath } : logPath;
+    
+    if (!source || typeof source.path !== 'string') {
+      throw new Error('Each logPaths entry needs to be a directory path or an object with a path.');
+    }
+    if (source.name !== undefined && (typeof source.name !== 'string' || !source.name || source.name.includes(':'))) {
+      throw new Error(`The name of log source ${source.path} needs to be a non-empty string without ":".`);
+    }
+    
+    return {
+      name: source.name,
+      path: path.resolve(source.path),
+      include: toArray(source.include),
+      exclude: toArray(source.exclude),
+      recursive: Boolean(source.recursive),
+      maxDepth: source.maxDepth !== undefined ? source.maxDepth : DEFAULT_MAX_DEPTH,
+      levels: source.levels || {},
+      parser: source.parser || 'auto',
+      multiline: source.multiline !== undefined ? source.multiline : true
+    };
+  });
+  
+  const directoryNames = sources.map(source => path.basename(source.path) || source.path);
+  const names = new Map();
+  sources.forEach((source, i) => {
+    if (!source.name) {
+      const shared = sources.some((other, j) => other.path !== source.path && directoryNames[j] === directoryNames[i]);
+      source.name = shared ? source.path : directoryNames[i];
+    }
+    
+    // The same directory may be listed twice with different patterns
+    if (names.has(source.name) && names.get(source.name) !== source.path) {
+      throw new Error(`Two log sources are named "${source.name}". Give each a name of its own.`);
+    }
+    names.set(source.name, source.path);
+  });
+  
+  return sources;
+}
+
+/**
+ * Scan log paths for log files
+ * @param {Array<string|Object>} logPaths - Directory paths or source objects to scan
  * @param {Object} logger - Logger instance to use
  * @returns {Promise<Array<Object>>} Array of file info objects
  */
 async function scanLogDirectories(logPaths, logger = console) {
   const allFiles = [];
   
-  for (const logPath of logPaths) {
+  for (const source of normalizeLogPaths(logPaths)) {
     try {
-      const files = await scanSingleDirectory(logPath);
+      const files = await scanSource(source, logger);
       allFiles.push(...files);
     } catch (error) {
-      logger.warn(`The Logfather couldn't access directory: ${logPath}`, error.message);
+      logger.warn(`The Logfather couldn't access directory: ${source.path}`, error.message);
     }
   }
   
@@ -30,53 +92,215 @@ async function scanLogDirectories(logPaths, logger = console) {
 }
 
 /**
- * Scan a single directory for log files
+ * Scan a single directory for log files using the default file pattern
  * @param {string} dirPath - Directory path to scan
  * @returns {Promise<Array<Object>>} Array of file info objects
  */
 async function scanSingleDirectory(dirPath) {
-  try {
+  const [source] = normalizeLogPaths([dirPath]);
+  return scanSource(source);
+}
+
+/**
+ * Scan a log source, descending into subdirectories if it is recursive.
+ * Directories are tracked by real path so symlink loops are visited once.
+ * Unreadable subdirectories and files are skipped with a warning.
+ * @param {Object} source - Normalized log source
+ * @param {Object} logger - Logger instance to use
+ * @returns {Promise<Array<Object>>} Array of file info objects
+ */
+async function scanSource(source, logger = console) {
+  const logFiles = [];
+  const visited = new Set();
+  
+  async function walk(dirPath, depth) {
+    const realPath = await fsPromises.realpath(dirPath);
+    if (visited.has(realPath)) return;
+    visited.add(realPath);
+    
     const entries = await fsPromises.readdir(dirPath, { withFileTypes: true });
-    const logFiles = [];
     
     for (const entry of entries) {
-      if (entry.isFile() && isLogFile(entry.name)) {
-        const filePath = path.join(dirPath, entry.name);
-        const stats = await fsPromises.stat(filePath);
+      const entryPath = path.join(dirPath, entry.name);
+      let isDirectory = entry.isDirectory();
+      let isFile = entry.isFile();
+      
+      if (entry.isSymbolicLink()) {
+        try {
+          const target = await fsPromises.stat(entryPath);
+          isDirectory = target.isDirectory();
+          isFile = target.isFile();
+        } catch (error) {
+          // Dangling symlink
+          continue;
+        }
+      }
+      
+      if (isDirectory && source.recursive && depth < source.maxDepth) {
+        try {
+          await walk(entryPath, depth + 1);
+        } catch (error) {
+          logger.warn(`The Logfather couldn't access directory: ${entryPath}`, error.message);
+        }
+      } else if (isFile) {
+        const fileInfo = describeLogFile(entryPath, source);
+        if (!fileInfo) continue;
         
-        logFiles.push({
-          name: entry.name,
-          path: filePath,
-          size: stats.size,
-          lastModified: stats.mtime,
-          level: extractLogLevel(entry.name),
-          directory: dirPath
-        });
+        try {
+          const stats = await fsPromises.stat(entryPath);
+          
+          logFiles.push({
+            ...fileInfo,
+            size: stats.size,
+            uncompressedSize: fileInfo.compressed ? await getUncompressedSize(entryPath) : stats.size,
+            lastModified: stats.mtime
+          });
+        } catch (error) {
+          logger.warn(`The Logfather couldn't access file: ${entryPath}`, error.message);
+        }
       }
     }
-    
-    return logFiles;
+  }
+  
+  try {
+    await walk(source.path, 0);
   } catch (error) {
-    throw new Error(`Failed to scan directory ${dirPath}: ${error.message}`);
+    throw new Error(`Failed to scan directory ${source.path}: ${error.message}`);
   }
+  
+  return logFiles;
 }
 
 /**
- * Check if filename matches log file pattern
+ * Find which log source a file belongs to, without touching the disk
+ * @param {string} filePath - Path to a file
+ * @param {Array<string|Object>} logPaths - Configured log paths
+ * @returns {Object|null} File info (without size and dates) or null if no source includes it
+ */
+function resolveLogFile(filePath, logPaths) {
+  for (const source of normalizeLogPaths(logPaths)) {
+    const fileInfo = describeLogFile(path.resolve(filePath), source);
+    if (fileInfo) return fileInfo;
+  }
+  
+  return null;
+}
+
+/**
+ * Describe a file if it belongs to a log source
+ * @param {string} filePath - Absolute file path
+ * @param {Object} source - Normalized log source
+ * @returns {Object|null} File info or null if the source doesn't include it
+ */
+function describeLogFile(filePath, source) {
+  const relativePath = path.relative(source.path, filePath).split(path.sep).join('/');
+  if (!relativePath || relativePath.startsWith('../') || path.isAbsolute(relativePath)) {
+    return null;
+  }
+  
+  const depth = relativePath.split('/').length - 1;
+  if (depth > 0 && (!source.recursive || depth > source.maxDepth)) {
+    return null;
+  }
+  
+  if (!matchesSource(relativePath, source)) {
+    return null;
+  }
+  
+  const name = path.basename(filePath);
+  
+  return {
+    name,
+    path: filePath,
+    relativePath,
+    compressed: isCompressedFile(name),
+    level: extractLogLevel(relativePath, source.levels),
+    directory: path.dirname(filePath),
+    root: source.path,
+    source: source.name,
+    parser: source.parser,
+    multiline: source.multiline
+  };
+}
+
+/**
+ * Check a file against a source's include and exclude patterns.
+ * Without include patterns the default debug/error naming is used.
+ * @param {string} relativePath - Path relative to the source directory
+ * @param {Object} source - Normalized log source
+ * @returns {boolean} True if the file should be indexed
+ */
+function matchesSource(relativePath, source) {
+  const included = source.include.length > 0
+    ? source.include.some(pattern => matchGlob(pattern, relativePath))
+    : isLogFile(path.posix.basename(relativePath));
+  
+  return included && !source.exclude.some(pattern => matchGlob(pattern, relativePath));
+}
+
+/**
+ * Check if filename matches log file pattern (plain or gzip-compressed)
  * @param {string} filename - File name to check
  * @returns {boolean} True if file is a log file
  */
 function isLogFile(filename) {
-  return /^(debug|error)(\d+)?\.log$/.test(filename);
+  return /^(debug|error)(\d+)?\.log(\.gz)?$/.test(filename);
+}
+
+/**
+ * Check if a log file is gzip-compressed
+ * @param {string} filename - File name or path to check
+ * @returns {boolean} True if file is gzip-compressed
+ */
+function isCompressedFile(filename) {
+  return filename.endsWith('.gz');
 }
 
 /**
- * Extract log level from filename
- * @param {string} filename - File name
- * @returns {string} Log level (debug or error)
+ * Read the uncompressed size from a gzip trailer (ISIZE, modulo 2^32)
+ * @param {string} filePath - Path to gzip file
+ * @returns {Promise<number|null>} Uncompressed size or null if unreadable
  */
-function extractLogLevel(filename) {
-  return filename.startsWith('debug') ? 'debug' : 'error';
+async function getUncompressedSize(filePath) {
+  let handle;
+  
+  try {
+    handle = await fsPromises.open(filePath, 'r');
+    const { size } = await handle.stat();
+    if (size < GZIP_TRAILER_SIZE) return null;
+    
+    const buffer = Buffer.alloc(4);
+    await handle.read(buffer, 0, 4, size - 4);
+    return buffer.readUInt32LE(0);
+  } catch (error) {
+    return null;
+  } finally {
+    if (handle) {
+      await handle.close();
+    }
+  }
+}
+
+/**
+ * Extract log level from a file's path, using the source's level mapping
+ * first and falling back to the debug/error file name convention
+ * @param {string} filename - File name, or path relative to the log directory
+ * @param {Object} levels - Map of glob pattern to log level (default: none)
+ * @returns {string} Log level (mapped level, debug, error or unknown)
+ */
+function extractLogLevel(filename, levels = {}) {
+  const relativePath = filename.split(path.sep).join('/');
+  
+  for (const [pattern, level] of Object.entries(levels)) {
+    if (matchGlob(pattern, relativePath)) {
+      return level;
+    }
+  }
+  
+  const name = path.posix.basename(relativePath);
+  if (name.startsWith('debug')) return 'debug';
+  if (name.startsWith('error')) return 'error';
+  return 'unknown';
 }
 
 /**
@@ -93,6 +317,85 @@ async function readLogFile(filePath, logger = console) {
   }
 }
 
+/**
+ * Stream complete lines from a log file without loading it into memory.
+ * A trailing line without a newline is not yielded, so callers can resume
+ * from the last `end` offset once the rest of the line has been written.
+ * Compressed files are decompressed on the fly; their offsets refer to
+ * the uncompressed data.
+ * @param {string} filePath - Path to log file
+ * @param {Object} options - Read options
+ * @param {number} options.start - Byte offset to start reading from (default: 0)
+ * @param {number} options.end - Byte offset to stop reading at, exclusive (default: end of file)
+ * @param {boolean} options.compressed - Decompress the file with gzip (default: false)
+ * @returns {AsyncGenerator<Object>} Lines as { line, offset, end } with byte offsets
+ */
+async function* readLogLines(filePath, options = {}) {
+  const { start = 0, end, compressed = false } = options;
+  let stream;
+  let skip = 0;
+  
+  if (compressed) {
+    // Gzip can't seek, so decompress from the top and discard up to start
+    stream = pipeline(
+      fs.createReadStream(filePath, { highWaterMark: READ_CHUNK_SIZE }),
+      zlib.createGunzip(),
+      () => {}
+    );
+    skip = start;
+  } else {
+    stream = fs.createReadStream(filePath, {
+      start,
+      end: end !== undefined ? end - 1 : undefined,
+      highWaterMark: READ_CHUNK_SIZE
+    });
+  }
+  
+  let pending = [];
+  let position = start;
+  
+  try {
+    for await (let chunk of stream) {
+      if (skip > 0) {
+        if (chunk.length <= skip) {
+          skip -= chunk.length;
+          continue;
+        }
+        chunk = chunk.subarray(skip);
+        skip = 0;
+      }
+      
+      let lineStart = 0;
+      let newline = chunk.indexOf(NEWLINE);
+      
+      while (newline !== -1) {
+        const piece = chunk.subarray(lineStart, newline);
+        const lineBuffer = pending.length > 0 ? Buffer.concat([...pending, piece]) : piece;
+        pending = [];
+        
+        const offset = position;
+        position += lineBuffer.length + 1;
+        yield { line: lineBuffer.toString('utf8'), offset, end: position };
+        
+        lineStart = newline + 1;
+        newline = chunk.indexOf(NEWLINE, lineStart);
+      }
+      
+      if (lineStart < chunk.length) {
+        pending.push(chunk.subarray(lineStart));
+      }
+    }
+    
+    // A compressed file is never appended to, so its last line is complete
+    if (compressed && pending.length > 0) {
+      const lineBuffer = Buffer.concat(pending);
+      yield { line: lineBuffer.toString('utf8'), offset: position, end: position + lineBuffer.length };
+    }
+  } catch (error) {
+    throw new Error(`Failed to read log file ${filePath}: ${error.message}`);
+  }
+}
+
 /**
  * Get file metadata without reading contents
  * @param {Array<string>} filePaths - Array of file paths
@@ -106,11 +409,14 @@ async function getFileMetadata(filePaths, logger = console) {
     try {
       const stats = await fsPromises.stat(filePath);
       const filename = path.basename(filePath);
+      const compressed = isCompressedFile(filename);
       
       metadata.push({
         name: filename,
         path: filePath,
         size: stats.size,
+        uncompressedSize: compressed ? await getUncompressedSize(filePath) : stats.size,
+        compressed,
         lastModified: stats.mtime,
         level: extractLogLevel(filename),
         directory: path.dirname(filePath)
@@ -123,11 +429,26 @@ async function getFileMetadata(filePaths, logger = console) {
   return metadata;
 }
 
+/**
+ * Wrap a single value in an array
+ * @param {*} value - Value or array of values
+ * @returns {Array} Array of values
+ */
+function toArray(value) {
+  if (value === undefined || value === null) return [];
+  return Array.isArray(value) ? value : [value];
+}
+
 export {
+  normalizeLogPaths,
   scanLogDirectories,
   scanSingleDirectory,
+  resolveLogFile,
   isLogFile,
+  isCompressedFile,
+  getUncompressedSize,
   extractLogLevel,
   readLogFile,
+  readLogLines,
   getFileMetadata
 };
\ No newline at end of file
@@ -0,0 +1,108 @@
+/**
+ * Glob Module - The Logfather
+ * "We know which files to keep an eye on."
+ */
+
+/**
+ * Compiled patterns kept around. Searches can bring any number of
+ * `file:` globs, so the least recently used ones are dropped.
+ */
+const REGEX_CACHE_SIZE = 200;
+
+const regexCache = new Map();
+
+/**
+ * Error thrown for glob patterns that can't be compiled
+ */
+class GlobSyntaxError extends Error {
+  /**
+   * @param {string} message - Description of the problem
+   */
+  constructor(message) {
+    super(message);
+    this.name = 'GlobSyntaxError';
+  }
+}
+
+/**
+ * Convert a glob pattern to a regular expression.
+ * Supports `*` (any characters except `/`), `**` (any characters including
+ * `/`), `?` (one character) and `{a,b}` alternatives.
+ * @param {string} pattern - Glob pattern
+ * @returns {RegExp} Anchored regular expression
+ * @throws {GlobSyntaxError} If a `{` is nested or never closed
+ */
+function globToRegExp(pattern) {
+  if (regexCache.has(pattern)) {
+    const cached = regexCache.get(pattern);
+    // Move to the back, so it's the last to be dropped
+    regexCache.delete(pattern);
+    regexCache.set(pattern, cached);
+    return cached;
+  }
+
+  let source = '';
+  let inGroup = false;
+
+  for (let i = 0; i < pattern.length; i++) {
+    const char = pattern[i];
+
+    if (char === '*') {
+      if (pattern[i + 1] === '*') {
+        // `**/` also matches zero directories
+        if (pattern[i + 2] === '/') {
+          source += '(?:.*/)?';
+          i += 2;
+        } else {
+          source += '.*';
+          i += 1;
+        }
+      } else {
+        source += '[^/]*';
+      }
+    } else if (char === '?') {
+      source += '[^/]';
+    } else if (char === '{') {
+      if (inGroup) {
+        throw new GlobSyntaxError(`Nested "{" in glob "${pattern}"`);
+      }
+      inGroup = true;
+      source += '(?:';
+    } else if (char === '}' && inGroup) {
+      inGroup = false;
+      source += ')';
+    } else if (char === ',' && inGroup) {
+      source += '|';
+    } else {
+      source += char.replace(/[.+^${}()|[\]\\]/g, '\\$&');
+    }
+  }
+
+  if (inGroup) {
+    throw new GlobSyntaxError(`Missing "}" in glob "${pattern}"`);
+  }
+
+  const regex = new RegExp(`^${source}$`);
+  regexCache.set(pattern, regex);
+  if (regexCache.size > REGEX_CACHE_SIZE) {
+    regexCache.delete(regexCache.keys().next().value);
+  }
+  return regex;
+}
+
+/**
+ * Test a path against a glob pattern. Patterns without a `/` are matched
+ * against the file name only; patterns with one against the whole path.
+ * @param {string} pattern - Glob pattern
+ * @param {string} relativePath - Path relative to the log directory, using `/`
+ * @returns {boolean} True if the path matches
+ */
+function matchGlob(pattern, relativePath) {
+  const target = pattern.includes('/')
+    ? relativePath
+    : relativePath.split('/').pop();
+
+  return globToRegExp(pattern).test(target);
+}
+
+export { globToRegExp, matchGlob, GlobSyntaxError };
@@ -0,0 +1,140 @@
+/**
+ * Histogram Module - The Logfather
+ * "We know when it happened. To the minute."
+ */
+
+const UNIT_MS = {
+  s: 1000,
+  m: 60 * 1000,
+  h: 60 * 60 * 1000,
+  d: 24 * 60 * 60 * 1000
+};
+
+/**
+ * Intervals the automatic bucket size is picked from, smallest first
+ */
+const AUTO_INTERVALS = ['1s', '5s', '10s', '30s', '1m', '5m', '10m', '30m', '1h', '3h', '6h', '12h', '1d', '7d', '30d'];
+
+const DEFAULT_TARGET_BUCKETS = 60;
+const MAX_BUCKETS = 1000;
+
+/**
+ * Error thrown for a histogram request that can't be served
+ */
+class HistogramOptionsError extends Error {
+  /**
+   * @param {string} message - Description of the problem
+   */
+  constructor(message) {
+    super(message);
+    this.name = 'HistogramOptionsError';
+  }
+}
+
+/**
+ * Parse an interval such as `30s`, `5m`, `1h` or `1d`
+ * @param {string} interval - Interval expression
+ * @returns {number} Interval in milliseconds
+ * @throws {HistogramOptionsError} If the interval is malformed
+ */
+function parseInterval(interval) {
+  const match = String(interval).trim().match(/^(\d+)\s*([smhd])$/);
+  if (!match || Number(match[1]) === 0) {
+    throw new HistogramOptionsError(`Invalid interval "${interval}". Use a number and a unit, e.g. 30s, 5m, 1h or 1d.`);
+  }
+  return Number(match[1]) * UNIT_MS[match[2]];
+}
+
+/**
+ * Pick the smallest standard interval that covers a time span in about
+ * the target number of buckets
+ * @param {number} spanMs - Time span in milliseconds
+ * @param {number} targetBuckets - Desired number of buckets (default: 60)
+ * @returns {string} Interval expression
+ */
+function chooseInterval(spanMs, targetBuckets = DEFAULT_TARGET_BUCKETS) {
+  const interval = AUTO_INTERVALS.find(candidate => spanMs / parseInterval(candidate) <= targetBuckets);
+  return interval || AUTO_INTERVALS[AUTO_INTERVALS.length - 1];
+}
+
+/**
+ * Count entries per level in fixed time buckets. Buckets are aligned to
+ * multiples of the interval since the epoch (UTC), and empty buckets
+ * between the first and last are included so the result can be drawn as is.
+ * @param {Array<Object>} entries - Entries to count
+ * @param {Object} options - Histogram options
+ * @param {string} options.interval - Bucket size such as 1m, 1h or 1d, or 'auto' (default: auto)
+ * @param {string|Date} options.startDate - Start of the range (default: oldest entry)
+ * @param {string|Date} options.endDate - End of the range (default: newest entry)
+ * @param {number} options.buckets - Target bucket count for auto intervals (default: 60)
+ * @returns {Object} Interval, range, levels present and buckets with per-level counts
+ * @throws {HistogramOptionsError} If the interval is invalid or yields too many buckets
+ */
+function buildHistogram(entries, options = {}) {
+  const timed = entries.filter(entry => entry.timestamp instanceof Date && !isNaN(entry.timestamp.getTime()));
+  let start = options.startDate ? new Date(options.startDate).getTime() : NaN;
+  let end = options.endDate ? new Date(options.endDate).getTime() : NaN;
+
+  if (isNaN(start) || isNaN(end)) {
+    let oldest = Infinity;
+    let newest = -Infinity;
+    timed.forEach(entry => {
+      const time = entry.timestamp.getTime();
+      if (time < oldest) oldest = time;
+      if (time > newest) newest = time;
+    });
+    if (isNaN(start)) start = oldest;
+    if (isNaN(end)) end = newest;
+  }
+
+  const requested = options.interval && options.interval !== 'auto' ? String(options.interval) : null;
+  const targetBuckets = Math.min(Number(options.buckets) || DEFAULT_TARGET_BUCKETS, MAX_BUCKETS);
+
+  if (!isFinite(start) || !isFinite(end) || end < start) {
+    return { interval: requested || null, intervalMs: null, start: null, end: null, levels: [], buckets: [] };
+  }
+
+  const interval = requested || chooseInterval(end - start, targetBuckets);
+  const intervalMs = parseInterval(interval);
+  const firstBucket = Math.floor(start / intervalMs) * intervalMs;
+  const bucketCount = Math.floor(end / intervalMs) - Math.floor(start / intervalMs) + 1;
+
+  if (bucketCount > MAX_BUCKETS) {
+    throw new HistogramOptionsError(`An interval of ${interval} gives ${bucketCount} buckets, more than ${MAX_BUCKETS}. Pick a larger interval.`);
+  }
+
+  const buckets = Array.from({ length: bucketCount }, (value, i) => ({
+    start: new Date(firstBucket + i * intervalMs),
+    total: 0,
+    counts: {}
+  }));
+  const levels = new Set();
+
+  timed.forEach(entry => {
+    const time = entry.timestamp.getTime();
+    if (time < start || time > end) return;
+
+    const bucket = buckets[Math.floor((time - firstBucket) / intervalMs)];
+    bucket.counts[entry.level] = (bucket.counts[entry.level] || 0) + 1;
+    bucket.total++;
+    levels.add(entry.level);
+  });
+
+  return {
+    interval,
+    intervalMs,
+    start: new Date(firstBucket),
+    end: new Date(firstBucket + bucketCount * intervalMs),
+    levels: Array.from(levels).sort(),
+    buckets
+  };
+}
+
+export {
+  buildHistogram,
+  parseInterval,
+  chooseInterval,
+  HistogramOptionsError,
+  AUTO_INTERVALS,
+  MAX_BUCKETS
+};
@@ -0,0 +1,292 @@
+/**
+ * Index Cache Module - The Logfather
+ * "A man who doesn't remember the family doesn't have one."
+ */
+
+import fs from 'fs';
+import path from 'path';
+import zlib from 'zlib';
+import crypto from 'crypto';
+import { promisify } from 'util';
+import { Readable, Writable, pipeline } from 'stream';
+import { StringDecoder } from 'string_decoder';
+
+const { promises: fsPromises } = fs;
+const pipelineAsync = promisify(pipeline);
+
+/**
+ * Bumped whenever the snapshot layout changes, so older snapshots are ignored
+ */
+const SNAPSHOT_VERSION = 4;
+
+/**
+ * Rows, terms or field paths per line of a snapshot. Lines are written
+ * one at a time, so a save never holds the whole index as one string.
+ */
+const CHUNK_SIZE = 1000;
+
+const SNAPSHOT_FILE = 'logfather-index.json.gz';
+
+/**
+ * Entry properties every entry has. In a snapshot row, null is kept as
+ * null for these and means "not set" for anything else. Compact plain
+ * text entries have no message of their own; the engine reads it from raw.
+ */
+const REQUIRED_KEYS = ['id', 'level', 'timestamp', 'sourceFile', 'lineNumber', 'raw'];
+
+/**
+ * Saves the search index and the loader's file positions to a cache
+ * directory, and restores them on startup so only files that changed
+ * since have to be read again.
+ *
+ * A snapshot is gzipped JSON lines: a header with the settings
+ * fingerprint, file positions, source files and column names, then
+ * chunks of rows, terms and field paths. Entries are stored as rows of
+ * values under the column names, with source files as positions in the
+ * file list and timestamps as milliseconds. Term postings are positions
+ * in the entry list, delta encoded. A snapshot written with different
+ * settings (log paths, parsers, redaction, size and retention limits)
+ * is ignored.
+ */
+class IndexCache {
+  /**
+   * @param {string} cacheDir - Directory to keep the snapshot in
+   * @param {Object} options - Cache options
+   * @param {Object} options.settings - Settings the index depends on; a snapshot
+   *   saved with different settings isn't restored
+   * @param {Object} options.logger - Logger instance (default: console)
+   */
+  constructor(cacheDir, options = {}) {
+    if (typeof cacheDir !== 'string' || !cacheDir) {
+      throw new Error('options.cacheDir needs to be a directory path.');
+    }
+
+    this.filePath = path.join(path.resolve(cacheDir), SNAPSHOT_FILE);
+    this.fingerprint = createFingerprint(options.settings || {});
+    this.logger = options.logger || console;
+  }
+
+  /**
+   * Restore a saved index, keeping only the files that haven't changed
+   * @param {LogSearchEngine} searchEngine - Engine to restore into
+   * @param {LogLoader} loader - Loader to restore file positions into
+   * @returns {Promise<Object|null>} Entries restored and files kept and dropped,
+   *   or null if there was no usable snapshot
+   */
+  async restore(searchEngine, loader) {
+    let snapshot;
+    try {
+      snapshot = await readSnapshot(this.filePath);
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        this.logger.warn(`The Logfather couldn't read its index cache, rebuilding: ${this.filePath}`, error.message);
+      }
+      return null;
+    }
+
+    if (!snapshot || snapshot.version !== SNAPSHOT_VERSION || snapshot.fingerprint !== this.fingerprint) {
+      this.logger.log('The Logfather\'s index cache was saved with other settings, rebuilding.');
+      return null;
+    }
+
+    try {
+      searchEngine.importIndex(decodeIndex(snapshot));
+    } catch (error) {
+      searchEngine.clearIndex();
+      this.logger.warn(`The Logfather couldn't restore its index cache, rebuilding: ${this.filePath}`, error.message);
+      return null;
+    }
+
+    const files = await loader.restoreState(snapshot.files);
+    return { entries: searchEngine.documents.size, ...files };
+  }
+
+  /**
+   * Save the index, replacing the previous snapshot only once the new
+   * one is completely written
+   * @param {LogSearchEngine} searchEngine - Engine to save
+   * @param {LogLoader} loader - Loader whose file positions to save
+   * @returns {Promise<number>} Bytes written
+   */
+  async save(searchEngine, loader) {
+    const header = {
+      version: SNAPSHOT_VERSION,
+      fingerprint: this.fingerprint,
+      savedAt: new Date().toISOString(),
+      files: loader.exportState()
+    };
+    const lines = encodeSnapshot(header, searchEngine.exportIndex());
+    const tempPath = `${this.filePath}.${process.pid}.tmp`;
+
+    await fsPromises.mkdir(path.dirname(this.filePath), { recursive: true });
+    try {
+      // The index holds log contents, so it's only readable by us
+      await pipelineAsync(Readable.from(lines), zlib.createGzip(), fs.createWriteStream(tempPath, { mode: 0o600 }));
+      await fsPromises.rename(tempPath, this.filePath);
+    } catch (error) {
+      await fsPromises.unlink(tempPath).catch(() => {});
+      throw error;
+    }
+
+    return (await fsPromises.stat(this.filePath)).size;
+  }
+}
+
+/**
+ * Turn an exported index into snapshot lines, a chunk at a time
+ * @param {Object} header - Version, fingerprint, savedAt and file positions
+ * @param {Object} index - Result of LogSearchEngine#exportIndex
+ * @yields {string} Lines of JSON, newline included
+ */
+function* encodeSnapshot(header, { entries, terms, fieldPaths, toPositions }) {
+  const sourceFiles = [];
+  const filePositions = new Map();
+  const columns = [...REQUIRED_KEYS];
+  const columnPositions = new Map(columns.map((column, i) => [column, i]));
+
+  entries.forEach(entry => {
+    Object.keys(entry).forEach(key => {
+      if (entry[key] !== undefined && !columnPositions.has(key)) {
+        columnPositions.set(key, columns.length);
+        columns.push(key);
+      }
+    });
+    if (!filePositions.has(entry.sourceFile)) {
+      filePositions.set(entry.sourceFile, sourceFiles.length);
+      sourceFiles.push(entry.sourceFile);
+    }
+  });
+  yield `${JSON.stringify({ ...header, sourceFiles, columns })}\n`;
+
+  const encodeRow = entry => {
+    const row = new Array(columns.length).fill(null);
+    Object.keys(entry).forEach(key => {
+      if (entry[key] !== undefined) {
+        row[columnPositions.get(key)] = entry[key];
+      }
+    });
+    row[columnPositions.get('sourceFile')] = filePositions.get(entry.sourceFile);
+    row[columnPositions.get('timestamp')] = entry.timestamp ? entry.timestamp.getTime() : null;
+    return row;
+  };
+  const encodePostings = ([key, docIds]) => [key, deltaEncode(toPositions(docIds))];
+
+  for (let i = 0; i < entries.length; i += CHUNK_SIZE) {
+    yield `${JSON.stringify({ rows: entries.slice(i, i + CHUNK_SIZE).map(encodeRow) })}\n`;
+  }
+  for (let i = 0; i < terms.length; i += CHUNK_SIZE) {
+    yield `${JSON.stringify({ terms: terms.slice(i, i + CHUNK_SIZE).map(encodePostings) })}\n`;
+  }
+  for (let i = 0; i < fieldPaths.length; i += CHUNK_SIZE) {
+    yield `${JSON.stringify({ fieldPaths: fieldPaths.slice(i, i + CHUNK_SIZE).map(encodePostings) })}\n`;
+  }
+}
+
+/**
+ * Read snapshot lines back into one object, a line at a time
+ * @param {string} filePath - Snapshot file
+ * @returns {Promise<Object>} The header, with rows, terms and fieldPaths
+ * @throws {Error} If the file can't be read, isn't gzipped or a line isn't JSON
+ */
+async function readSnapshot(filePath) {
+  let snapshot = null;
+  let pending = '';
+  const decoder = new StringDecoder('utf8');
+
+  const readLine = line => {
+    if (!line) return;
+    const value = JSON.parse(line);
+    if (!snapshot) {
+      snapshot = { ...value, rows: [], terms: [], fieldPaths: [] };
+      return;
+    }
+    ['rows', 'terms', 'fieldPaths'].forEach(key => {
+      if (value[key]) value[key].forEach(item => snapshot[key].push(item));
+    });
+  };
+  const lines = new Writable({
+    write(chunk, encoding, callback) {
+      const parts = (pending + decoder.write(chunk)).split('\n');
+      pending = parts.pop();
+      try {
+        parts.forEach(readLine);
+        callback();
+      } catch (error) {
+        callback(error);
+      }
+    },
+    final(callback) {
+      try {
+        readLine(pending + decoder.end());
+        callback();
+      } catch (error) {
+        callback(error);
+      }
+    }
+  });
+
+  await pipelineAsync(fs.createReadStream(filePath), zlib.createGunzip(), lines);
+  return snapshot;
+}
+
+/**
+ * Turn a snapshot back into the form LogSearchEngine#importIndex takes
+ * @param {Object} snapshot - Saved snapshot
+ * @returns {Object} Entries, terms and fieldPaths
+ */
+function decodeIndex({ sourceFiles, columns, rows, terms, fieldPaths }) {
+  const entries = rows.map(row => {
+    const entry = {};
+    columns.forEach((column, i) => {
+      const value = row[i] === undefined ? null : row[i];
+      if (value !== null || REQUIRED_KEYS.includes(column)) {
+        entry[column] = value;
+      }
+    });
+
+    entry.sourceFile = sourceFiles[entry.sourceFile];
+    entry.timestamp = entry.timestamp === null ? null : new Date(entry.timestamp);
+    return entry;
+  });
+
+  return {
+    entries,
+    terms: terms.map(([term, deltas]) => [term, deltaDecode(deltas)]),
+    fieldPaths: fieldPaths.map(([fieldPath, deltas]) => [fieldPath, deltaDecode(deltas)])
+  };
+}
+
+/**
+ * Store sorted positions as differences, which are small numbers
+ * @param {Array<number>} positions - Ascending positions
+ * @returns {Array<number>} First position, then the gap to each next one
+ */
+function deltaEncode(positions) {
+  return positions.map((position, i) => (i === 0 ? position : position - positions[i - 1]));
+}
+
+/**
+ * Undo deltaEncode
+ * @param {Array<number>} deltas - Result of deltaEncode
+ * @returns {Array<number>} Ascending positions
+ */
+function deltaDecode(deltas) {
+  let position = 0;
+  return deltas.map(delta => (position += delta));
+}
+
+/**
+ * Hash the settings an index depends on. Functions and patterns are
+ * hashed by their source, so changing a custom parser invalidates it too.
+ * @param {Object} settings - Settings
+ * @returns {string} Hex digest
+ */
+function createFingerprint(settings) {
+  const json = JSON.stringify(settings, (key, value) => {
+    if (typeof value === 'function' || value instanceof RegExp) return String(value);
+    return value;
+  });
+  return crypto.createHash('sha256').update(`${SNAPSHOT_VERSION}:${json}`).digest('hex');
+}
+
+export { IndexCache, SNAPSHOT_FILE };
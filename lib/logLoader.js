@@ -0,0 +1,533 @@
+/**
+ * Log Loader Module - The Logfather
+ * "We remember where we left off."
+ */
+
+import fs from 'fs';
+import { EventEmitter } from 'events';
+import {
+  normalizeLogPaths,
+  scanLogDirectories,
+  resolveLogFile,
+  isCompressedFile,
+  getUncompressedSize
+} from './fileReader.js';
+import { ParserRegistry, BUILTIN_PARSERS } from './logParser.js';
+import { expandEntry } from './searchEngine.js';
+import { parseFileRange } from './parseTask.js';
+import { ParseWorkerPool } from './workerPool.js';
+
+const { promises: fsPromises } = fs;
+
+/**
+ * Incrementally loads log files into a search engine.
+ *
+ * The loader remembers the inode, byte offset and line count of every file
+ * it has read. On each load only bytes appended since the last visit are
+ * parsed. A file that shrank (truncated) or whose inode changed (rotated)
+ * is dropped from the index and read again from the start. Compressed
+ * rotations are never appended to, so they are read once in full and only
+ * re-read if they are replaced.
+ *
+ * With maxFileSize set, only the most recent maxFileSize bytes of a file
+ * are kept in the index. Older entries of a growing file are evicted as
+ * new data arrives. Line numbers of a truncated file count from the first
+ * line that was kept.
+ *
+ * Each file is parsed with the parser configured for its log path, or
+ * with the parser that recognizes most of its first lines. Continuation
+ * lines are merged into the entry before them; the last entry of a file
+ * stays open so a stack trace written across two reads is still merged,
+ * in which case the grown entry replaces the indexed one.
+ *
+ * With parseWorkers set, files are read and parsed in that many worker
+ * threads at once, and only indexed on the calling thread. Files with a
+ * custom parser, or auto-detected while custom parsers are registered,
+ * are parsed on the calling thread, since parsers can't be passed on.
+ *
+ * Emits `entries` with (entries, filePath) whenever entries are indexed,
+ * whether by a full load or by a single file check.
+ */
+class LogLoader extends EventEmitter {
+  /**
+   * @param {LogSearchEngine} searchEngine - Engine to add entries to
+   * @param {Object} options - Loader options
+   * @param {Array<string|Object>} options.logPaths - Directories or source objects to scan
+   * @param {Object} options.logger - Logger instance (default: console)
+   * @param {number} options.maxFileSize - Maximum bytes to index per file, 0 for no limit (default: 0)
+   * @param {ParserRegistry} options.parsers - Line parsers (default: built-in parsers only)
+   * @param {Redactor} options.redactor - Redacts entries before they're indexed (optional)
+   * @param {number} options.parseWorkers - Worker threads to parse files in, 0 to parse
+   *   on the calling thread one file at a time (default: 0)
+   */
+  constructor(searchEngine, options = {}) {
+    super();
+    this.searchEngine = searchEngine;
+    this.logPaths = options.logPaths || [];
+    this.logger = options.logger || console;
+    this.maxFileSize = options.maxFileSize || 0;
+    this.parsers = options.parsers || new ParserRegistry();
+    this.redactor = options.redactor || null;
+    this.workers = options.parseWorkers > 0
+      ? new ParseWorkerPool({ size: options.parseWorkers, redactor: this.redactor })
+      : null;
+    this.files = new Map();
+    this.queues = new Map();
+  }
+
+  /**
+   * Scan all directories and index anything new
+   * @param {Object} options - Load options
+   * @param {Function} options.onProgress - Called with the progress (filesTotal, filesDone,
+   *   entriesParsed and errors) after every file and every batch of entries (optional)
+   * @returns {Promise<Object>} Load summary, with the files that couldn't be read in errors
+   */
+  async load(options = {}) {
+    const { onProgress = () => {} } = options;
+    const files = await scanLogDirectories(this.logPaths, this.logger);
+    const seen = new Set(files.map(file => file.path));
+    const summary = { files: files.length, added: 0, removed: 0, reread: 0, errors: [] };
+    const progress = { filesTotal: files.length, filesDone: 0, entriesParsed: 0, errors: summary.errors };
+    onProgress(progress);
+
+    // Forget files that have disappeared since the last scan
+    for (const filePath of Array.from(this.files.keys())) {
+      if (!seen.has(filePath)) {
+        summary.removed += this.forgetFile(filePath);
+      }
+    }
+
+    const onEntries = count => {
+      progress.entriesParsed += count;
+      onProgress(progress);
+    };
+    const loadNext = async () => {
+      while (files.length > 0) {
+        const file = files.shift();
+        try {
+          const result = await this.loadFile(file.path, file, onEntries);
+          summary.added += result.entries.length;
+          summary.removed += result.removed;
+          if (result.reread) summary.reread++;
+        } catch (error) {
+          this.logger.warn(`The Logfather couldn't read file: ${file.path}`, error.message);
+          summary.errors.push({ path: file.path, message: error.message });
+        }
+        progress.filesDone++;
+        onProgress(progress);
+      }
+    };
+
+    const concurrency = this.workers ? this.workers.size : 1;
+    await Promise.all(Array.from({ length: Math.min(concurrency, files.length) }, loadNext));
+
+    return summary;
+  }
+
+  /**
+   * Index anything appended to a single file. Calls for the same file are
+   * serialized so two reads never race for the same offset.
+   * @param {string} filePath - Path to log file
+   * @param {Object} fileInfo - File info from a scan (optional, resolved from logPaths if missing)
+   * @param {Function} onEntries - Called with the number of entries in every batch indexed (optional)
+   * @returns {Promise<Object>} New entries, removed count and whether the file was re-read
+   */
+  loadFile(filePath, fileInfo = null, onEntries = null) {
+    const previous = this.queues.get(filePath) || Promise.resolve();
+    const next = previous.catch(() => {}).then(() => this.readAppended(filePath, fileInfo, onEntries));
+
+    this.queues.set(filePath, next);
+    const cleanup = () => {
+      if (this.queues.get(filePath) === next) {
+        this.queues.delete(filePath);
+      }
+    };
+    next.then(cleanup, cleanup);
+
+    return next;
+  }
+
+  /**
+   * Read and index the unread part of a file
+   * @param {string} filePath - Path to log file
+   * @param {Object} fileInfo - File info from a scan (optional)
+   * @param {Function} onEntries - Called with the number of entries in every batch indexed (optional)
+   * @returns {Promise<Object>} New entries, removed count and whether the file was re-read
+   */
+  async readAppended(filePath, fileInfo, onEntries) {
+    let stats;
+    try {
+      stats = await fsPromises.stat(filePath);
+    } catch (error) {
+      // Rotated away or deleted
+      const removed = this.forgetFile(filePath);
+      return { entries: [], removed, reread: false };
+    }
+
+    const compressed = isCompressedFile(filePath);
+    let state = this.files.get(filePath);
+    let removed = 0;
+    let reread = false;
+
+    if (state && hasBeenReplaced(state, stats, compressed)) {
+      removed = this.searchEngine.removeSourceFile(filePath);
+      state = null;
+      reread = true;
+    }
+
+    if (!state) {
+      state = this.createFileState(stats, compressed);
+      this.files.set(filePath, state);
+    }
+
+    if (fileInfo || !state.level) {
+      const info = fileInfo || resolveLogFile(filePath, this.logPaths);
+      state.level = info ? info.level : 'unknown';
+      state.directory = info ? info.directory : null;
+      state.source = info ? info.source : null;
+      state.relativePath = info ? info.relativePath : null;
+      state.parserSetting = info ? info.parser : 'auto';
+      state.multiline = info ? info.multiline : true;
+    }
+
+    if (!state.parser && state.parserSetting !== 'auto') {
+      state.parser = this.parsers.get(state.parserSetting);
+    }
+
+    state.size = stats.size;
+    state.lastModified = stats.mtime;
+
+    if (compressed ? state.complete : stats.size === state.offset) {
+      return { entries: [], removed, reread };
+    }
+
+    // Oversized file read from scratch: keep only its tail. Start one byte
+    // early and drop the first line, which is either partial or empty.
+    const totalSize = compressed ? await getUncompressedSize(filePath) : stats.size;
+    let start = state.offset;
+    let skipFirstLine = false;
+    if (start === 0 && this.maxFileSize && totalSize > this.maxFileSize) {
+      start = totalSize - this.maxFileSize - 1;
+      skipFirstLine = true;
+    }
+
+    const lastEntry = state.lastEntryId ? this.searchEngine.getEntry(state.lastEntryId) : null;
+    const resumed = lastEntry ? expandEntry(lastEntry) : null;
+    const task = {
+      filePath,
+      start,
+      end: compressed ? undefined : stats.size,
+      compressed,
+      skipFirstLine,
+      level: state.level,
+      source: state.source,
+      relativePath: state.relativePath,
+      parser: state.parser ? state.parser.name : null,
+      multiline: state.multiline,
+      lineCount: state.lineCount,
+      resumed
+    };
+
+    const entries = [];
+    const addBatch = batch => {
+      batch.entries.forEach((entry, i) => {
+        state.lastEntryId = entry.id;
+
+        // A reopened entry that grew: swap it in without moving its offset
+        if (resumed && entry.id === resumed.id) {
+          this.searchEngine.removeEntries([entry.id]);
+        } else if (this.maxFileSize) {
+          state.entryOffsets.push(batch.offsets[i]);
+          state.entryIds.push(entry.id);
+        }
+      });
+
+      this.searchEngine.addEntries(batch.entries, batch.terms);
+      entries.push(...batch.entries);
+      if (onEntries) onEntries(batch.entries.length);
+    };
+
+    try {
+      this.applyPosition(state, await this.parse(task, addBatch));
+    } catch (error) {
+      if (compressed) {
+        this.forgetFile(filePath);
+      } else if (error.position) {
+        this.applyPosition(state, error.position);
+      }
+      throw error;
+    }
+
+    if (compressed) {
+      state.complete = true;
+      state.uncompressedSize = state.offset;
+    }
+
+    removed += this.enforceMaxFileSize(state);
+
+    if (entries.length > 0) {
+      this.emit('entries', entries, filePath);
+    }
+
+    return { entries, removed, reread };
+  }
+
+  /**
+   * Run a parse task in a worker if there are workers and the file's
+   * parser is one they know, or on this thread otherwise
+   * @param {Object} task - Task for parseFileRange
+   * @param {Function} onBatch - Called with every batch of entries
+   * @returns {Promise<Object>} Position reading got to
+   */
+  parse(task, onBatch) {
+    const builtinOnly = task.parser
+      ? BUILTIN_PARSERS.includes(this.parsers.get(task.parser))
+      : !this.parsers.hasCustomParsers();
+
+    if (this.workers && builtinOnly) {
+      return this.workers.run(task, onBatch);
+    }
+    return parseFileRange(task, { parsers: this.parsers, redactor: this.redactor }, onBatch);
+  }
+
+  /**
+   * Record how far a parse task read
+   * @param {Object} state - File position state
+   * @param {Object} position - Position from parseFileRange
+   */
+  applyPosition(state, position) {
+    state.offset = position.offset;
+    state.lineCount = position.lineCount;
+    if (position.parser && !state.parser) {
+      state.parser = this.parsers.get(position.parser);
+    }
+    if (position.skippedTo !== null) {
+      state.skippedBytes = position.skippedTo;
+      state.retainedFrom = position.skippedTo;
+    }
+  }
+
+  /**
+   * Create position state for a file that has not been read yet
+   * @param {fs.Stats} stats - File stats
+   * @param {boolean} compressed - Whether the file is gzip-compressed
+   * @returns {Object} File position state
+   */
+  createFileState(stats, compressed) {
+    return {
+      inode: stats.ino,
+      compressed,
+      level: null,
+      directory: null,
+      source: null,
+      relativePath: null,
+      parserSetting: 'auto',
+      parser: null,
+      multiline: true,
+      lastEntryId: null,
+      complete: false,
+      uncompressedSize: null,
+      offset: 0,
+      lineCount: 0,
+      skippedBytes: 0,
+      retainedFrom: 0,
+      entryOffsets: [],
+      entryIds: []
+    };
+  }
+
+  /**
+   * Evict the oldest entries of a file once it has grown past maxFileSize
+   * @param {Object} state - File position state
+   * @returns {number} Number of entries evicted
+   */
+  enforceMaxFileSize(state) {
+    if (!this.maxFileSize || state.offset - state.retainedFrom <= this.maxFileSize) {
+      return 0;
+    }
+
+    const cutoff = state.offset - this.maxFileSize;
+    let evictCount = 0;
+    while (evictCount < state.entryOffsets.length && state.entryOffsets[evictCount] < cutoff) {
+      evictCount++;
+    }
+
+    const evictedIds = state.entryIds.splice(0, evictCount);
+    state.entryOffsets.splice(0, evictCount);
+    state.retainedFrom = state.entryOffsets.length > 0 ? state.entryOffsets[0] : state.offset;
+    state.skippedBytes = state.retainedFrom;
+
+    return this.searchEngine.removeEntries(evictedIds);
+  }
+
+  /**
+   * Describe how much of a file is indexed
+   * @param {string} filePath - Path to log file
+   * @returns {Object|null} Truncation info or null if the file has not been read
+   */
+  getFileInfo(filePath) {
+    const state = this.files.get(filePath);
+    if (!state) return null;
+
+    return {
+      compressed: state.compressed,
+      uncompressedSize: state.uncompressedSize,
+      truncated: state.skippedBytes > 0,
+      skippedBytes: state.skippedBytes,
+      indexedBytes: state.offset - state.retainedFrom
+    };
+  }
+
+  /**
+   * List every file that is only partially indexed
+   * @returns {Array<Object>} Truncated files with their skipped byte counts
+   */
+  getTruncatedFiles() {
+    const truncated = [];
+
+    this.files.forEach((state, filePath) => {
+      if (state.skippedBytes > 0) {
+        truncated.push({
+          path: filePath,
+          size: state.size,
+          skippedBytes: state.skippedBytes,
+          indexedBytes: state.offset - state.retainedFrom
+        });
+      }
+    });
+
+    return truncated;
+  }
+
+  /**
+   * Drop a file from the index and forget its position
+   * @param {string} filePath - Path to log file
+   * @returns {number} Number of entries removed
+   */
+  forgetFile(filePath) {
+    this.files.delete(filePath);
+    return this.searchEngine.removeSourceFile(filePath);
+  }
+
+  /**
+   * Directories worth watching for changes: every configured root plus
+   * every directory a log file has been found in
+   * @returns {Array<string>} Directory paths
+   */
+  getWatchDirectories() {
+    const directories = new Set(normalizeLogPaths(this.logPaths).map(source => source.path));
+
+    this.files.forEach(state => {
+      if (state.directory) {
+        directories.add(state.directory);
+      }
+    });
+
+    return Array.from(directories);
+  }
+
+  /**
+   * Positions of every file read so far, for saving with the index
+   * @returns {Array<Object>} File states with the path, and the parser by name
+   */
+  exportState() {
+    return Array.from(this.files, ([filePath, state]) => ({
+      ...state,
+      path: filePath,
+      parser: state.parser ? state.parser.name : null,
+      lastModified: state.lastModified ? state.lastModified.getTime() : null
+    }));
+  }
+
+  /**
+   * Take back saved file positions whose files are still the ones that
+   * were read. A file that was replaced, rewritten or deleted is dropped
+   * from the index, so the next load reads it again from the start; one
+   * that was only appended to is read from where it was left.
+   * @param {Array<Object>} savedStates - Result of exportState
+   * @returns {Promise<Object>} Paths of the files kept and dropped
+   */
+  async restoreState(savedStates) {
+    const result = { kept: [], dropped: [] };
+
+    for (const saved of savedStates) {
+      const { path: filePath, ...state } = saved;
+      let stats = null;
+      try {
+        stats = await fsPromises.stat(filePath);
+      } catch (error) {
+        // Deleted while we were down
+      }
+
+      if (!stats || !isUnchangedSince(state, stats) || (state.parser && !this.parsers.has(state.parser))) {
+        this.files.delete(filePath);
+        this.searchEngine.removeSourceFile(filePath);
+        result.dropped.push(filePath);
+        continue;
+      }
+
+      this.files.set(filePath, {
+        ...state,
+        parser: state.parser ? this.parsers.get(state.parser) : null,
+        lastModified: new Date(state.lastModified)
+      });
+      result.kept.push(filePath);
+    }
+
+    return result;
+  }
+
+  /**
+   * Forget every file position so the next load reads everything again
+   */
+  reset() {
+    this.files.clear();
+  }
+
+  /**
+   * Stop the parse workers. Loads still running fail.
+   * @returns {Promise<void>} Resolves once the workers have stopped
+   */
+  async close() {
+    if (this.workers) {
+      await this.workers.close();
+    }
+  }
+}
+
+/**
+ * Check whether a file is no longer the one that was read
+ * @param {Object} state - File position state
+ * @param {fs.Stats} stats - Current file stats
+ * @param {boolean} compressed - Whether the file is gzip-compressed
+ * @returns {boolean} True if the file must be re-read from the start
+ */
+function hasBeenReplaced(state, stats, compressed) {
+  if (stats.ino !== state.inode) return true;
+
+  if (compressed) {
+    return stats.size !== state.size || stats.mtime.getTime() !== state.lastModified.getTime();
+  }
+
+  return stats.size < state.offset;
+}
+
+/**
+ * Check whether a file is still the one a saved state describes, or
+ * that file with lines appended
+ * @param {Object} state - Saved file position state
+ * @param {fs.Stats} stats - Current file stats
+ * @returns {boolean} True if the saved state can be resumed
+ */
+function isUnchangedSince(state, stats) {
+  if (stats.ino !== state.inode) return false;
+
+  // Same size but a new mtime means it was rewritten in place
+  if (state.compressed || stats.size <= state.size) {
+    return stats.size === state.size && stats.mtime.getTime() === state.lastModified;
+  }
+
+  return stats.size >= state.offset;
+}
+
+export { LogLoader };
@@ -3,61 +3,407 @@
  * "Every line has a story. We parse them all."
  */
 
+import { jsonParser } from './parsers/jsonParser.js';
+import { pinoParser } from './parsers/pinoParser.js';
+import { logfmtParser } from './parsers/logfmtParser.js';
+import { syslogParser } from './parsers/syslogParser.js';
+import { accessLogParser } from './parsers/accessLogParser.js';
+
+/**
+ * Parsers shipped with The Logfather, in detection priority order
+ */
+const BUILTIN_PARSERS = [pinoParser, jsonParser, logfmtParser, syslogParser, accessLogParser];
+
 /**
  * Parse log file contents into structured log entries
  * @param {string} fileContent - Raw log file content
  * @param {string} filePath - Source file path for context
+ * @param {number} lineOffset - Number of lines already consumed from this file (default: 0)
+ * @param {Object} options - Parse options passed to parseLogLine, plus multiline and redactor (see MultilineGrouper)
  * @returns {Array<Object>} Array of parsed log entries
  */
-function parseLogContent(fileContent, filePath) {
+function parseLogContent(fileContent, filePath, lineOffset = 0, options = {}) {
   if (!fileContent || typeof fileContent !== 'string') {
     return [];
   }
 
   const lines = fileContent.split('\n').filter(line => line.trim());
   const entries = [];
+  const grouper = new MultilineGrouper(filePath, options, entry => entries.push(entry));
   
   for (let i = 0; i < lines.length; i++) {
-    const entry = parseLogLine(lines[i], filePath, i + 1);
-    if (entry) {
-      entries.push(entry);
-    }
+    grouper.push(lines[i], lineOffset + i + 1);
   }
+  grouper.flush();
   
   return entries;
 }
 
+/**
+ * Lines that continue the previous entry by default: indented lines,
+ * stack frames, chained causes and Java's "... 12 more"
+ */
+const DEFAULT_CONTINUATION_PATTERNS = [
+  /^\s+\S/,
+  /^at\s/,
+  /^Caused by:/,
+  /^\.\.\. \d+ (more|common frames omitted)/
+];
+
+/**
+ * Plain text lines that start a new entry by default: a leading date or
+ * time, a syslog-style date, or an upper-case or bracketed level. A
+ * capitalized "Error:" is the first line of a Node stack trace, not a level.
+ */
+const DEFAULT_START_PATTERN = /^(\[?\d{4}-\d{2}-\d{2}|\[?\d{2}:\d{2}:\d{2}|[A-Z][a-z]{2} +\d{1,2} \d{2}:\d{2}:\d{2}|\[?(TRACE|DEBUG|INFO|NOTICE|WARN|WARNING|ERROR|FATAL|CRITICAL)\b|\[(trace|debug|info|notice|warn|warning|error|fatal|critical)\])/;
+
+/**
+ * Most lines merged into one entry, so a runaway dump can't swallow a file
+ */
+const DEFAULT_MAX_GROUP_LINES = 500;
+
+/**
+ * Compile a multiline setting
+ * @param {boolean|Object} multiline - false to disable grouping, true for the defaults,
+ *   or an object with start, continuation and maxLines
+ * @returns {Object|null} Compiled settings, or null if grouping is disabled
+ * @throws {SyntaxError} If a pattern is not a valid regular expression
+ */
+function compileMultiline(multiline = true) {
+  if (multiline === false) return null;
+  
+  const settings = multiline === true || !multiline ? {} : multiline;
+  const toRegExp = pattern => (pattern instanceof RegExp ? pattern : new RegExp(pattern));
+  
+  return {
+    start: settings.start ? toRegExp(settings.start) : null,
+    continuation: settings.continuation
+      ? [].concat(settings.continuation).map(toRegExp)
+      : DEFAULT_CONTINUATION_PATTERNS,
+    maxLines: settings.maxLines || DEFAULT_MAX_GROUP_LINES
+  };
+}
+
+/**
+ * Merges continuation lines (stack traces and the like) into the entry
+ * they belong to.
+ *
+ * A line continues the previous entry if it matches a continuation
+ * pattern, or if it has no recognizable start of its own (the parser
+ * doesn't understand it and it doesn't begin with a date or level) while
+ * the previous entry did. With a `start` pattern configured, every line
+ * that doesn't match it is a continuation instead.
+ *
+ * Merged entries keep the first line's level, message and timestamp. The
+ * extra lines are appended to `raw` and kept as `trace`, and
+ * `endLineNumber` records the last line of the range.
+ */
+class MultilineGrouper {
+  /**
+   * @param {string} filePath - Source file path
+   * @param {Object} options - Parse options passed to parseLogLine
+   * @param {boolean|Object} options.multiline - Grouping settings (default: true)
+   * @param {Redactor} options.redactor - Applied to every finished entry (optional)
+   * @param {Function} onEntry - Called with (entry, offset) for every finished entry
+   */
+  constructor(filePath, options, onEntry) {
+    this.filePath = filePath;
+    this.options = options;
+    this.settings = compileMultiline(options.multiline);
+    this.redactor = options.redactor || null;
+    this.onEntry = onEntry;
+    this.group = null;
+  }
+
+  /**
+   * Reopen an entry that was already emitted, so lines appended to the
+   * file later can still join it. It is only emitted again if it grows.
+   * @param {Object} entry - Last entry read from the file
+   */
+  resume(entry) {
+    if (!this.settings) return;
+    
+    this.group = {
+      entry,
+      offset: null,
+      lines: [],
+      lineCount: (entry.endLineNumber || entry.lineNumber) - entry.lineNumber + 1,
+      endLineNumber: entry.endLineNumber || entry.lineNumber,
+      recognized: this.isStart(entry.raw.split('\n')[0], entry),
+      resumed: true
+    };
+  }
+
+  /**
+   * Add the next line of the file
+   * @param {string} line - Log line
+   * @param {number} lineNumber - Line number in file
+   * @param {number} offset - Byte offset of the line (optional)
+   */
+  push(line, lineNumber, offset = null) {
+    const group = this.group;
+    const canGrow = Boolean(group) && group.lineCount < this.settings.maxLines;
+    
+    if (canGrow && this.isContinuation(line)) {
+      this.append(line, lineNumber);
+      return;
+    }
+    
+    const entry = parseLogLine(line, this.filePath, lineNumber, this.options);
+    if (!entry) return;
+    
+    if (!this.settings) {
+      this.emit(entry, offset);
+      return;
+    }
+    
+    const recognized = this.isStart(line, entry);
+    if (canGrow && !recognized && group.recognized && !this.settings.start) {
+      this.append(line, lineNumber);
+      return;
+    }
+    
+    this.flush();
+    this.group = { entry, offset, lines: [], lineCount: 1, endLineNumber: lineNumber, recognized };
+  }
+
+  /**
+   * Emit the entry being assembled, if any
+   */
+  flush() {
+    const group = this.group;
+    this.group = null;
+    if (!group) return;
+    
+    if (group.lines.length === 0) {
+      if (!group.resumed) this.emit(group.entry, group.offset);
+      return;
+    }
+    
+    const { entry } = group;
+    const added = group.lines.join('\n');
+    this.emit({
+      ...entry,
+      raw: `${entry.raw}\n${added}`,
+      trace: entry.trace ? `${entry.trace}\n${added}` : added,
+      endLineNumber: group.endLineNumber
+    }, group.offset);
+  }
+
+  /**
+   * Hand a finished entry on, redacted first. A resumed entry was already
+   * redacted, so redacting it again after it grows leaves its markers as they are.
+   * @param {Object} entry - Finished entry
+   * @param {number} offset - Byte offset of its first line
+   */
+  emit(entry, offset) {
+    this.onEntry(this.redactor ? this.redactor.redact(entry) : entry, offset);
+  }
+
+  /**
+   * Add a line to the entry being assembled
+   * @param {string} line - Log line
+   * @param {number} lineNumber - Line number in file
+   */
+  append(line, lineNumber) {
+    this.group.lines.push(line);
+    this.group.lineCount++;
+    this.group.endLineNumber = lineNumber;
+  }
+
+  /**
+   * Check whether a line can only belong to the previous entry
+   * @param {string} line - Log line
+   * @returns {boolean} True if the line continues the previous entry
+   */
+  isContinuation(line) {
+    if (!this.settings) return false;
+    if (this.settings.start) return !this.settings.start.test(line);
+    
+    return this.settings.continuation.some(pattern => pattern.test(line));
+  }
+
+  /**
+   * Check whether a line looks like the start of an entry
+   * @param {string} line - Log line
+   * @param {Object} entry - Entry parsed from the line
+   * @returns {boolean} True if the line has a recognizable start
+   */
+  isStart(line, entry) {
+    if (this.settings.start) return this.settings.start.test(line);
+    
+    return entry.isStructured || DEFAULT_START_PATTERN.test(line);
+  }
+}
+
+/**
+ * Number of leading lines used to auto-detect a file's format
+ */
+const DETECTION_SAMPLE_SIZE = 20;
+
+/**
+ * Registry of line parsers.
+ *
+ * A parser is an object with:
+ *   name     - unique name, recorded on every entry it produces
+ *   aliases  - optional alternative names
+ *   detect   - optional (line) => boolean, used for auto-detection
+ *   parse    - (line) => { level, message, timestamp, fields } or null if
+ *              the line isn't in this format
+ *
+ * User parsers are consulted before the built-in ones and replace a
+ * built-in parser with the same name.
+ */
+class ParserRegistry {
+  /**
+   * @param {Array<Object>} parsers - User parsers (default: none)
+   */
+  constructor(parsers = []) {
+    this.parsers = [];
+    
+    parsers.forEach(parser => this.register(parser));
+    BUILTIN_PARSERS.forEach(parser => {
+      if (!this.parsers.some(existing => existing.name === parser.name)) {
+        this.parsers.push(parser);
+      }
+    });
+  }
+
+  /**
+   * Add a parser
+   * @param {Object} parser - Parser with name and parse (see class docs)
+   */
+  register(parser) {
+    if (!parser || typeof parser.name !== 'string' || typeof parser.parse !== 'function') {
+      throw new Error('A log parser needs a name and a parse(line) function.');
+    }
+    
+    this.parsers = this.parsers.filter(existing => existing.name !== parser.name);
+    this.parsers.push(parser);
+  }
+
+  /**
+   * Look up a parser by name or alias
+   * @param {string} name - Parser name
+   * @returns {Object} Parser
+   * @throws {Error} If no parser has that name
+   */
+  get(name) {
+    const parser = this.parsers.find(candidate => {
+      return candidate.name === name || (candidate.aliases || []).includes(name);
+    });
+    
+    if (!parser) {
+      throw new Error(`Unknown log parser "${name}". Available: ${this.parsers.map(p => p.name).join(', ')}`);
+    }
+    return parser;
+  }
+
+  /**
+   * Check whether a parser name or alias is registered
+   * @param {string} name - Parser name
+   * @returns {boolean} True if get(name) would find a parser
+   */
+  has(name) {
+    return this.parsers.some(candidate => candidate.name === name || (candidate.aliases || []).includes(name));
+  }
+
+  /**
+   * Check whether any parser was registered besides the built-in ones,
+   * including one that replaced a built-in parser of the same name
+   * @returns {boolean} True if a user parser is registered
+   */
+  hasCustomParsers() {
+    return this.parsers.some(parser => !BUILTIN_PARSERS.includes(parser));
+  }
+
+  /**
+   * Pick the parser that recognizes the most sample lines
+   * @param {Array<string>} lines - Sample lines from the start of a file
+   * @returns {Object|null} Best parser, or null if none recognizes any line
+   */
+  detect(lines) {
+    let best = null;
+    let bestHits = 0;
+    
+    this.parsers.forEach(parser => {
+      if (typeof parser.detect !== 'function') return;
+      
+      const hits = lines.filter(line => {
+        try {
+          return parser.detect(line);
+        } catch (error) {
+          return false;
+        }
+      }).length;
+      
+      if (hits > bestHits) {
+        best = parser;
+        bestHits = hits;
+      }
+    });
+    
+    return best;
+  }
+}
+
 /**
  * Parse a single log line
  * @param {string} line - Log line to parse
  * @param {string} filePath - Source file path
  * @param {number} lineNumber - Line number in file
+ * @param {Object} options - Parse options
+ * @param {string} options.level - Level configured for the source file, used for plain text lines
+ * @param {Object} options.parser - Parser to use (default: the JSON parser)
+ * @param {string} options.source - Name of the log source the file belongs to (optional)
+ * @param {string} options.relativePath - File path relative to the source directory (optional)
  * @returns {Object|null} Parsed log entry or null if invalid
  */
-function parseLogLine(line, filePath, lineNumber) {
+function parseLogLine(line, filePath, lineNumber, options = {}) {
+  const parser = options.parser || jsonParser;
+  let parsed = null;
+  
   try {
-    // Try to parse as JSON first
-    const parsed = JSON.parse(line);
-    
-    // Validate required fields
-    if (!parsed.level || !parsed.message || !parsed.timestamp) {
-      return createFallbackEntry(line, filePath, lineNumber);
-    }
-    
-    return {
-      id: generateEntryId(filePath, lineNumber),
-      level: normalizeLogLevel(parsed.level),
-      message: cleanMessage(parsed.message),
-      timestamp: parseTimestamp(parsed.timestamp),
-      sourceFile: filePath,
-      lineNumber: lineNumber,
-      raw: line,
-      isStructured: true
-    };
+    parsed = parser.parse(line);
   } catch (error) {
-    // Fall back to plain text parsing
-    return createFallbackEntry(line, filePath, lineNumber);
+    parsed = null;
+  }
+  
+  // Fall back to plain text parsing
+  if (!parsed || typeof parsed.message !== 'string') {
+    return createFallbackEntry(line, filePath, lineNumber, options);
   }
+  
+  return {
+    id: generateEntryId(filePath, lineNumber, options),
+    level: parsed.level ? normalizeLogLevel(parsed.level) : inferLogLevel(line, filePath, options.level),
+    message: cleanMessage(parsed.message),
+    timestamp: parsed.timestamp ? parseTimestamp(parsed.timestamp) : inferTimestamp(line),
+    sourceFile: filePath,
+    ...(options.source ? { source: options.source } : {}),
+    lineNumber: lineNumber,
+    raw: line,
+    isStructured: true,
+    fields: compactFields(parsed.fields),
+    parser: parser.name
+  };
+}
+
+/**
+ * Drop undefined properties so only values that were present are indexed
+ * @param {Object} fields - Fields from a parser
+ * @returns {Object} Fields without undefined values
+ */
+function compactFields(fields) {
+  const compacted = {};
+  
+  Object.keys(fields || {}).forEach(key => {
+    if (fields[key] !== undefined) {
+      compacted[key] = fields[key];
+    }
+  });
+  
+  return compacted;
 }
 
 /**
@@ -65,32 +411,44 @@ function parseLogLine(line, filePath, lineNumber) {
  * @param {string} line - Raw log line
  * @param {string} filePath - Source file path
  * @param {number} lineNumber - Line number
+ * @param {Object} options - Parse options
+ * @param {string} options.level - Level configured for the source file
+ * @param {string} options.source - Name of the log source the file belongs to (optional)
+ * @param {string} options.relativePath - File path relative to the source directory (optional)
  * @returns {Object} Fallback log entry
  */
-function createFallbackEntry(line, filePath, lineNumber) {
-  const level = inferLogLevel(line, filePath);
+function createFallbackEntry(line, filePath, lineNumber, options = {}) {
+  const level = inferLogLevel(line, filePath, options.level);
   const timestamp = inferTimestamp(line);
   
   return {
-    id: generateEntryId(filePath, lineNumber),
+    id: generateEntryId(filePath, lineNumber, options),
     level: level,
     message: line.trim(),
     timestamp: timestamp,
     sourceFile: filePath,
+    ...(options.source ? { source: options.source } : {}),
     lineNumber: lineNumber,
     raw: line,
-    isStructured: false
+    isStructured: false,
+    parser: 'text'
   };
 }
 
 /**
- * Generate unique ID for log entry
+ * Generate unique ID for log entry. Within a named source, the file's
+ * path relative to the source keeps two debug.log files apart; source
+ * names can't contain ":", so no two sources share an ID either.
  * @param {string} filePath - Source file path
  * @param {number} lineNumber - Line number
+ * @param {Object} options - Parse options with source and relativePath (optional)
  * @returns {string} Unique entry ID
  */
-function generateEntryId(filePath, lineNumber) {
+function generateEntryId(filePath, lineNumber, options = {}) {
   const filename = filePath.split('/').pop() || filePath;
+  if (options.source) {
+    return `${options.source}:${options.relativePath || filename}:${lineNumber}`;
+  }
   return `${filename}:${lineNumber}`;
 }
 
@@ -102,16 +460,21 @@ function generateEntryId(filePath, lineNumber) {
 function normalizeLogLevel(level) {
   if (!level) return 'unknown';
   
-  const normalized = level.toLowerCase().trim();
+  const normalized = String(level).toLowerCase().trim();
   
   // Map common variations
   const levelMap = {
     'err': 'error',
     'warn': 'warning',
     'info': 'info',
+    'notice': 'info',
     'debug': 'debug',
     'trace': 'debug',
-    'fatal': 'error'
+    'fatal': 'error',
+    'crit': 'error',
+    'critical': 'error',
+    'alert': 'error',
+    'emerg': 'error'
   };
   
   return levelMap[normalized] || normalized;
@@ -157,22 +520,26 @@ function parseTimestamp(timestamp) {
 }
 
 /**
- * Infer log level from filename or content
+ * Infer log level from the file's configured level, filename or content
  * @param {string} line - Log line content
  * @param {string} filePath - Source file path
+ * @param {string} fileLevel - Level configured for the source file (optional)
  * @returns {string} Inferred log level
  */
-function inferLogLevel(line, filePath) {
-  // First try to infer from filename
+function inferLogLevel(line, filePath, fileLevel) {
+  // A level mapped for the file wins over any guess
+  if (fileLevel && fileLevel !== 'unknown') return fileLevel;
+  
+  // Then try to infer from filename
   if (filePath.includes('error')) return 'error';
   if (filePath.includes('debug')) return 'debug';
   
-  // Then try to infer from content
+  // Then try to infer from content, by whole word so "interrupted" isn't an error
   const lowerLine = line.toLowerCase();
-  if (lowerLine.includes('error') || lowerLine.includes('err')) return 'error';
-  if (lowerLine.includes('warn')) return 'warning';
-  if (lowerLine.includes('info')) return 'info';
-  if (lowerLine.includes('debug')) return 'debug';
+  if (/\b(error|err|fatal|crit|critical|exception)\b/.test(lowerLine)) return 'error';
+  if (/\b(warn|warning)\b/.test(lowerLine)) return 'warning';
+  if (/\b(info|notice)\b/.test(lowerLine)) return 'info';
+  if (/\b(debug|trace)\b/.test(lowerLine)) return 'debug';
   
   return 'unknown';
 }
@@ -241,6 +608,11 @@ export {
   parseLogContent,
   parseLogLine,
   createFallbackEntry,
+  compileMultiline,
+  MultilineGrouper,
+  ParserRegistry,
+  BUILTIN_PARSERS,
+  DETECTION_SAMPLE_SIZE,
   generateEntryId,
   normalizeLogLevel,
   cleanMessage,
@@ -0,0 +1,125 @@
+/**
+ * Log Tailer Module - The Logfather
+ * "We tail everything. Even while you sleep."
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { EventEmitter } from 'events';
+import { resolveLogFile } from './fileReader.js';
+
+/**
+ * Watches log directories and emits newly appended entries.
+ *
+ * Reading is delegated to a LogLoader, so tailed entries are indexed with
+ * the same offsets as a manual refresh and are never read twice. Emits
+ * `entries` with (entries, filePath) whenever complete lines are appended.
+ */
+class LogTailer extends EventEmitter {
+  /**
+   * @param {Array<string|Object>} logPaths - Directories or source objects to watch
+   * @param {LogLoader} loader - Loader that reads and indexes changed files
+   * @param {Object} options - Tailer options
+   * @param {Object} options.logger - Logger instance (default: console)
+   * @param {number} options.debounceMs - Delay before reading a changed file (default: 100)
+   */
+  constructor(logPaths, loader, options = {}) {
+    super();
+    this.logPaths = logPaths;
+    this.loader = loader;
+    this.logger = options.logger || console;
+    this.debounceMs = options.debounceMs !== undefined ? options.debounceMs : 100;
+    this.watchers = new Map();
+    this.timers = new Map();
+    this.running = false;
+  }
+
+  /**
+   * Start watching the configured directories
+   */
+  start() {
+    if (this.running) return;
+    this.running = true;
+    this.syncWatches();
+  }
+
+  /**
+   * Watch every directory the loader knows about. Call again after a
+   * refresh to pick up subdirectories discovered since the last call.
+   */
+  syncWatches() {
+    if (!this.running) return;
+
+    for (const dirPath of this.loader.getWatchDirectories()) {
+      if (this.watchers.has(dirPath)) continue;
+
+      try {
+        const watcher = fs.watch(dirPath, (eventType, filename) => {
+          if (!filename) return;
+
+          const filePath = path.join(dirPath, filename.toString());
+          const fileInfo = resolveLogFile(filePath, this.logPaths);
+          if (fileInfo) {
+            this.scheduleCheck(filePath, fileInfo);
+          }
+        });
+        watcher.on('error', error => {
+          this.logger.warn(`The Logfather lost watch on directory: ${dirPath}`, error.message);
+          watcher.close();
+          this.watchers.delete(dirPath);
+        });
+        // Watching alone shouldn't keep the host process alive (Node 14.3+)
+        if (watcher.unref) watcher.unref();
+        this.watchers.set(dirPath, watcher);
+      } catch (error) {
+        this.logger.warn(`The Logfather couldn't watch directory: ${dirPath}`, error.message);
+      }
+    }
+  }
+
+  /**
+   * Stop watching
+   */
+  stop() {
+    this.running = false;
+    this.watchers.forEach(watcher => watcher.close());
+    this.watchers.clear();
+    this.timers.forEach(timer => clearTimeout(timer));
+    this.timers.clear();
+  }
+
+  /**
+   * Debounce change events for a file, then check it for new lines
+   * @param {string} filePath - Path to log file
+   * @param {Object} fileInfo - File info resolved from logPaths
+   */
+  scheduleCheck(filePath, fileInfo) {
+    clearTimeout(this.timers.get(filePath));
+    this.timers.set(filePath, setTimeout(() => {
+      this.timers.delete(filePath);
+      this.checkFile(filePath, fileInfo);
+    }, this.debounceMs));
+  }
+
+  /**
+   * Index anything appended to a file and emit it
+   * @param {string} filePath - Path to log file
+   * @param {Object} fileInfo - File info resolved from logPaths
+   * @returns {Promise<void>}
+   */
+  async checkFile(filePath, fileInfo) {
+    if (!this.running) return;
+
+    try {
+      const { entries } = await this.loader.loadFile(filePath, fileInfo);
+
+      if (entries.length > 0 && this.running) {
+        this.emit('entries', entries, filePath);
+      }
+    } catch (error) {
+      this.logger.warn(`The Logfather couldn't tail file: ${filePath}`, error.message);
+    }
+  }
+}
+
+export { LogTailer };
@@ -0,0 +1,147 @@
+/**
+ * Parse Task Module - The Logfather
+ * "The work gets done the same way, whoever does it."
+ */
+
+import { readLogLines } from './fileReader.js';
+import { MultilineGrouper, DETECTION_SAMPLE_SIZE } from './logParser.js';
+import { getEntryTerms } from './searchEngine.js';
+
+const BATCH_SIZE = 1000;
+
+/**
+ * Read a range of a log file and turn it into entries ready to index, a
+ * batch at a time. Runs the same on the main thread and in a parse
+ * worker, so a task holds only plain data and names the parser instead
+ * of passing it.
+ *
+ * When reading fails, the error carries a `position` describing how far
+ * reading got, as the return value would. What was read until then has
+ * been handed to onBatch, except for compressed files, which can only be
+ * read again from the start.
+ * @param {Object} task - What to read
+ * @param {string} task.filePath - Path to log file
+ * @param {number} task.start - Byte offset to start at
+ * @param {number} task.end - Byte offset to stop at (undefined to read to the end)
+ * @param {boolean} task.compressed - Whether the file is gzip-compressed
+ * @param {boolean} task.skipFirstLine - Drop the first line, which starts mid-line
+ * @param {string} task.level - Level configured for the file
+ * @param {string} task.source - Name of the log source the file belongs to
+ * @param {string} task.relativePath - File path relative to the source directory
+ * @param {string|null} task.parser - Parser name, or null to detect it from the first lines
+ * @param {boolean|Object} task.multiline - Grouping settings
+ * @param {number} task.lineCount - Lines of the file read before start
+ * @param {Object|null} task.resumed - Last entry read before, which may still grow
+ * @param {Object} context - Where the task runs
+ * @param {ParserRegistry} context.parsers - Parsers to look the parser up in, or detect with
+ * @param {Redactor} context.redactor - Applied to every entry (optional)
+ * @param {Function} onBatch - Called with { entries, offsets, terms } for every batch of
+ *   finished entries; a returned promise is waited for before the next batch
+ * @returns {Promise<Object>} offset and lineCount reached, the parser name, and skippedTo,
+ *   the end of the skipped first line (null if none was skipped)
+ */
+async function parseFileRange(task, context, onBatch) {
+  const { filePath, compressed } = task;
+  const position = {
+    offset: task.start,
+    lineCount: task.lineCount,
+    parser: task.parser,
+    skippedTo: null
+  };
+  let parser = task.parser ? context.parsers.get(task.parser) : null;
+  let skipFirstLine = task.skipFirstLine;
+  let grouper = null;
+  let batch = { entries: [], offsets: [], terms: [] };
+  const sample = [];
+  const pending = [];
+
+  const flush = async () => {
+    if (batch.entries.length > 0) {
+      const full = batch;
+      batch = { entries: [], offsets: [], terms: [] };
+      await onBatch(full);
+    }
+  };
+  const addEntry = (entry, offset) => {
+    batch.entries.push(entry);
+    batch.offsets.push(offset);
+    batch.terms.push(getEntryTerms(entry));
+    if (batch.entries.length >= BATCH_SIZE) {
+      pending.push(flush());
+    }
+  };
+  const parseLine = (line, offset) => {
+    if (!grouper) {
+      grouper = new MultilineGrouper(filePath, {
+        level: task.level,
+        source: task.source,
+        relativePath: task.relativePath,
+        parser,
+        multiline: task.multiline,
+        redactor: context.redactor
+      }, addEntry);
+      if (task.resumed) grouper.resume(task.resumed);
+    }
+
+    position.lineCount++;
+    grouper.push(line, position.lineCount, offset);
+  };
+  const detectParser = () => {
+    parser = context.parsers.detect(sample.map(item => item.line)) || context.parsers.get('json');
+    position.parser = parser.name;
+    sample.splice(0).forEach(({ line, offset }) => parseLine(line, offset));
+  };
+
+  const lines = readLogLines(filePath, { start: task.start, end: task.end, compressed });
+  let discard = false;
+
+  try {
+    for await (const { line, offset, end } of lines) {
+      position.offset = end;
+
+      if (skipFirstLine) {
+        skipFirstLine = false;
+        position.skippedTo = end;
+        continue;
+      }
+
+      if (!line.trim()) continue;
+
+      // Hold the first lines back until there are enough to detect the format
+      if (!parser) {
+        sample.push({ line, offset });
+        if (sample.length >= DETECTION_SAMPLE_SIZE) {
+          detectParser();
+        }
+      } else {
+        parseLine(line, offset);
+      }
+
+      // Let a full batch be indexed before reading on
+      if (pending.length > 0) {
+        await Promise.all(pending.splice(0));
+      }
+    }
+  } catch (error) {
+    // A half-read archive (still being written, or corrupt) can't be resumed
+    discard = compressed;
+    error.position = position;
+    throw error;
+  } finally {
+    // Keep whatever was read before a failure in step with the offset
+    if (!discard) {
+      if (sample.length > 0) {
+        detectParser();
+      }
+      if (grouper) {
+        grouper.flush();
+      }
+      pending.push(flush());
+    }
+    await Promise.all(pending);
+  }
+
+  return position;
+}
+
+export { parseFileRange };
@@ -0,0 +1,58 @@
+/**
+ * Parse Worker - The Logfather
+ * "The family has people for this kind of work."
+ *
+ * Runs parse tasks in a worker thread for ParseWorkerPool, one at a time.
+ * Each batch is sent back as it's finished; the next one is only sent once
+ * the main thread has indexed the one before it, so a large file never
+ * piles up in memory waiting to be indexed.
+ */
+
+import { parentPort, workerData } from 'worker_threads';
+import { ParserRegistry } from './logParser.js';
+import { Redactor } from './redaction.js';
+import { parseFileRange } from './parseTask.js';
+
+const context = {
+  parsers: new ParserRegistry(),
+  redactor: workerData.redaction ? new Redactor(workerData.redaction) : null
+};
+const acknowledgements = new Map();
+let nextBatch = 0;
+
+parentPort.on('message', message => {
+  if (message.type === 'parse') {
+    runTask(message.task);
+  } else if (message.type === 'ack') {
+    const acknowledge = acknowledgements.get(message.batch);
+    acknowledgements.delete(message.batch);
+    if (acknowledge) acknowledge();
+  }
+});
+
+/**
+ * Parse a task and report the result
+ * @param {Object} task - Task for parseFileRange
+ */
+async function runTask(task) {
+  let previous = Promise.resolve();
+  const sendBatch = batch => {
+    const number = nextBatch++;
+    const waitForPrevious = previous;
+    previous = new Promise(resolve => acknowledgements.set(number, resolve));
+    parentPort.postMessage({ type: 'batch', batch: number, ...batch });
+    return waitForPrevious;
+  };
+
+  try {
+    const position = await parseFileRange(task, context, sendBatch);
+    await previous;
+    parentPort.postMessage({ type: 'done', position });
+  } catch (error) {
+    await previous;
+    parentPort.postMessage({
+      type: 'failed',
+      error: { message: error.message, code: error.code, position: error.position }
+    });
+  }
+}
@@ -0,0 +1,79 @@
+/**
+ * Access Log Parser - The Logfather
+ * "Who came, what they asked for, and what they got."
+ */
+
+// host ident user [time] "request" status bytes ["referer" "user-agent"]
+const ACCESS_LOG_PATTERN = /^(\S+) (\S+) (\S+) \[([^\]]+)\] "((?:[^"\\]|\\.)*)" (\d{3}) (\d+|-)(?: "((?:[^"\\]|\\.)*)" "((?:[^"\\]|\\.)*)")?/;
+
+const MONTHS = {
+  Jan: '01', Feb: '02', Mar: '03', Apr: '04', May: '05', Jun: '06',
+  Jul: '07', Aug: '08', Sep: '09', Oct: '10', Nov: '11', Dec: '12'
+};
+
+/**
+ * Convert a common log format time (10/Oct/2000:13:55:36 -0700) to ISO 8601
+ * @param {string} time - Access log time
+ * @returns {string|undefined} ISO 8601 timestamp, or undefined if unrecognized
+ */
+function parseAccessLogTime(time) {
+  const match = time.match(/^(\d{2})\/(\w{3})\/(\d{4}):(\d{2}:\d{2}:\d{2}) ([+-])(\d{2})(\d{2})$/);
+  if (!match || !MONTHS[match[2]]) return undefined;
+
+  const [, day, month, year, clock, sign, offsetHours, offsetMinutes] = match;
+  return `${year}-${MONTHS[month]}-${day}T${clock}${sign}${offsetHours}:${offsetMinutes}`;
+}
+
+/**
+ * Replace the `-` placeholder with undefined
+ * @param {string} value - Field value
+ * @returns {string|undefined} Value, or undefined if empty
+ */
+function dashToUndefined(value) {
+  return value === '-' || value === undefined ? undefined : value;
+}
+
+/**
+ * Parser for nginx/Apache common and combined access logs.
+ * 5xx responses are errors, 4xx warnings and everything else info.
+ */
+const accessLogParser = {
+  name: 'access',
+  aliases: ['nginx', 'apache', 'combined'],
+
+  detect(line) {
+    return ACCESS_LOG_PATTERN.test(line);
+  },
+
+  parse(line) {
+    const match = line.match(ACCESS_LOG_PATTERN);
+    if (!match) return null;
+
+    const [, remoteAddr, , remoteUser, time, request, status, bytes, referer, userAgent] = match;
+    const [method, path, protocol] = request.split(' ');
+    const statusCode = parseInt(status, 10);
+
+    let level = 'info';
+    if (statusCode >= 500) level = 'error';
+    else if (statusCode >= 400) level = 'warning';
+
+    return {
+      level,
+      message: `${request} ${status}`,
+      timestamp: parseAccessLogTime(time),
+      fields: {
+        remoteAddr,
+        remoteUser: dashToUndefined(remoteUser),
+        method,
+        path,
+        protocol,
+        status: statusCode,
+        bytes: bytes === '-' ? 0 : parseInt(bytes, 10),
+        referer: dashToUndefined(referer),
+        userAgent: dashToUndefined(userAgent)
+      }
+    };
+  }
+};
+
+export { accessLogParser };
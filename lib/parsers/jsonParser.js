@@ -0,0 +1,49 @@
+/**
+ * JSON Parser - The Logfather
+ * "Structured logs. Our favourite kind."
+ */
+
+import { numericLevelName } from './pinoParser.js';
+
+/**
+ * Parser for JSON lines with `message` (or `msg`), `level` (or `severity`)
+ * and `timestamp` (or `time` / `@timestamp`). Every other property is kept
+ * as structured fields.
+ */
+const jsonParser = {
+  name: 'json',
+
+  detect(line) {
+    if (!line.startsWith('{')) return false;
+
+    try {
+      const parsed = JSON.parse(line);
+      return Boolean(parsed) && typeof parsed === 'object' && ('message' in parsed || 'msg' in parsed);
+    } catch (error) {
+      return false;
+    }
+  },
+
+  parse(line) {
+    const parsed = JSON.parse(line);
+    if (!parsed || typeof parsed !== 'object' || Array.isArray(parsed)) return null;
+
+    const { message, msg, level, severity, timestamp, time, '@timestamp': atTimestamp, ...fields } = parsed;
+    const text = message !== undefined ? message : msg;
+    if (typeof text !== 'string' || !text) return null;
+
+    // Put aside whichever alternative wasn't used, so nothing is lost
+    if (message !== undefined && msg !== undefined) fields.msg = msg;
+
+    const rawLevel = level !== undefined ? level : severity;
+
+    return {
+      level: typeof rawLevel === 'number' ? numericLevelName(rawLevel) : rawLevel,
+      message: text,
+      timestamp: timestamp || time || atTimestamp,
+      fields
+    };
+  }
+};
+
+export { jsonParser };
@@ -0,0 +1,81 @@
+/**
+ * Logfmt Parser - The Logfather
+ * "key=value. Simple, like a handshake."
+ */
+
+const PAIR_PATTERN = /([^\s=]+)=("(?:[^"\\]|\\.)*"|\S*)/g;
+
+const MESSAGE_KEYS = ['msg', 'message'];
+const LEVEL_KEYS = ['level', 'lvl', 'severity'];
+const TIME_KEYS = ['time', 'ts', 'timestamp', 't'];
+
+/**
+ * Split a logfmt line into key/value pairs
+ * @param {string} line - Log line
+ * @returns {Object} Parsed pairs
+ */
+function parsePairs(line) {
+  const pairs = {};
+  let match;
+
+  PAIR_PATTERN.lastIndex = 0;
+  while ((match = PAIR_PATTERN.exec(line)) !== null) {
+    let value = match[2];
+    if (value.startsWith('"')) {
+      value = value.slice(1, -1).replace(/\\(.)/g, '$1');
+    }
+    pairs[match[1]] = value;
+  }
+
+  return pairs;
+}
+
+/**
+ * Take the first present key from a list, removing it from the pairs
+ * @param {Object} pairs - Parsed pairs
+ * @param {Array<string>} keys - Candidate keys in order of preference
+ * @returns {string|undefined} Value of the first key found
+ */
+function takeFirst(pairs, keys) {
+  for (const key of keys) {
+    if (key in pairs) {
+      const value = pairs[key];
+      delete pairs[key];
+      return value;
+    }
+  }
+  return undefined;
+}
+
+/**
+ * Parser for logfmt lines, e.g. `time=... level=info msg="user login" userId=42`
+ */
+const logfmtParser = {
+  name: 'logfmt',
+
+  detect(line) {
+    if (line.startsWith('{')) return false;
+
+    const pairs = parsePairs(line);
+    const keys = Object.keys(pairs);
+    return keys.length >= 2 && keys.some(key => MESSAGE_KEYS.includes(key) || LEVEL_KEYS.includes(key));
+  },
+
+  parse(line) {
+    const pairs = parsePairs(line);
+    if (Object.keys(pairs).length === 0) return null;
+
+    const message = takeFirst(pairs, MESSAGE_KEYS);
+    const level = takeFirst(pairs, LEVEL_KEYS);
+    const timestamp = takeFirst(pairs, TIME_KEYS);
+
+    return {
+      level,
+      message: message || line.trim(),
+      timestamp,
+      fields: pairs
+    };
+  }
+};
+
+export { logfmtParser };
@@ -0,0 +1,65 @@
+/**
+ * Pino/Bunyan Parser - The Logfather
+ * "Numbers for levels. We speak that dialect too."
+ */
+
+/**
+ * Numeric levels shared by pino and bunyan
+ */
+const NUMERIC_LEVELS = {
+  10: 'trace',
+  20: 'debug',
+  30: 'info',
+  40: 'warn',
+  50: 'error',
+  60: 'fatal'
+};
+
+/**
+ * Convert a pino/bunyan numeric level to its name
+ * @param {number} level - Numeric level
+ * @returns {string} Level name (closest lower standard level for custom values)
+ */
+function numericLevelName(level) {
+  if (NUMERIC_LEVELS[level]) return NUMERIC_LEVELS[level];
+
+  const known = Object.keys(NUMERIC_LEVELS).map(Number).filter(value => value <= level);
+  return known.length > 0 ? NUMERIC_LEVELS[Math.max(...known)] : 'trace';
+}
+
+/**
+ * Parser for pino and bunyan JSON lines: numeric `level`, `msg` and `time`
+ * (epoch milliseconds for pino, ISO string for bunyan)
+ */
+const pinoParser = {
+  name: 'pino',
+  aliases: ['bunyan'],
+
+  detect(line) {
+    if (!line.startsWith('{')) return false;
+
+    try {
+      const parsed = JSON.parse(line);
+      return typeof parsed.level === 'number' && 'msg' in parsed && 'time' in parsed;
+    } catch (error) {
+      return false;
+    }
+  },
+
+  parse(line) {
+    const parsed = JSON.parse(line);
+    if (typeof parsed.level !== 'number' || typeof parsed.msg !== 'string') return null;
+
+    // `v` is bunyan's format version, not something anyone searches for
+    const { level, msg, time, v, ...fields } = parsed;
+
+    return {
+      level: numericLevelName(level),
+      message: msg,
+      timestamp: typeof time === 'number' ? new Date(time) : time,
+      fields
+    };
+  }
+};
+
+export { pinoParser, numericLevelName };
@@ -0,0 +1,109 @@
+/**
+ * Syslog Parser - The Logfather
+ * "Old family traditions, RFC 3164 and RFC 5424."
+ */
+
+// <PRI>VERSION TIMESTAMP HOSTNAME APP-NAME PROCID MSGID [SD] MSG
+const RFC5424_PATTERN = /^<(\d{1,3})>(\d{1,2}) (\S+) (\S+) (\S+) (\S+) (\S+) (-|(?:\[(?:[^\]\\]|\\.)*\])+)(?: (.*))?$/;
+
+// [<PRI>]Mmm dd hh:mm:ss HOSTNAME TAG[PID]: MSG
+const RFC3164_PATTERN = /^(?:<(\d{1,3})>)?([A-Z][a-z]{2} [ \d]\d \d{2}:\d{2}:\d{2}) (\S+) ([^:[\s]+)(?:\[(\d+)\])?: ?(.*)$/;
+
+const SEVERITY_LEVELS = ['emerg', 'alert', 'crit', 'error', 'warning', 'notice', 'info', 'debug'];
+
+/**
+ * Split a PRI value into facility and severity
+ * @param {string} pri - PRI digits
+ * @returns {Object} Facility number and severity level name
+ */
+function decodePriority(pri) {
+  const value = parseInt(pri, 10);
+  return {
+    facility: Math.floor(value / 8),
+    severity: SEVERITY_LEVELS[value % 8]
+  };
+}
+
+/**
+ * RFC 3164 timestamps have no year: assume the current one, unless that
+ * puts the entry more than a day in the future (logs from last December)
+ * @param {string} timestamp - Timestamp like `Oct 19 10:00:00`
+ * @returns {Date} Parsed date
+ */
+function parseLegacyTimestamp(timestamp) {
+  const now = new Date();
+  const date = new Date(`${timestamp} ${now.getFullYear()}`);
+
+  if (date.getTime() - now.getTime() > 24 * 60 * 60 * 1000) {
+    date.setFullYear(now.getFullYear() - 1);
+  }
+  return date;
+}
+
+/**
+ * Replace syslog's `-` placeholder with undefined
+ * @param {string} value - Header value
+ * @returns {string|undefined} Value, or undefined if nil
+ */
+function nilToUndefined(value) {
+  return value === '-' ? undefined : value;
+}
+
+/**
+ * Parser for syslog lines in RFC 5424 or RFC 3164 (BSD) format
+ */
+const syslogParser = {
+  name: 'syslog',
+
+  detect(line) {
+    return RFC5424_PATTERN.test(line) || RFC3164_PATTERN.test(line);
+  },
+
+  parse(line) {
+    const modern = line.match(RFC5424_PATTERN);
+    if (modern) {
+      const [, pri, version, timestamp, hostname, appName, procId, msgId, structuredData, message] = modern;
+      const { facility, severity } = decodePriority(pri);
+
+      return {
+        level: severity,
+        message: message || '',
+        timestamp: nilToUndefined(timestamp),
+        fields: {
+          facility,
+          severity,
+          version: parseInt(version, 10),
+          hostname: nilToUndefined(hostname),
+          appName: nilToUndefined(appName),
+          procId: nilToUndefined(procId),
+          msgId: nilToUndefined(msgId),
+          structuredData: nilToUndefined(structuredData)
+        }
+      };
+    }
+
+    const legacy = line.match(RFC3164_PATTERN);
+    if (legacy) {
+      const [, pri, timestamp, hostname, tag, procId, message] = legacy;
+      const priority = pri !== undefined ? decodePriority(pri) : {};
+
+      return {
+        // Without PRI there's no severity; let the caller infer it
+        level: priority.severity,
+        message,
+        timestamp: parseLegacyTimestamp(timestamp),
+        fields: {
+          facility: priority.facility,
+          severity: priority.severity,
+          hostname,
+          appName: tag,
+          procId
+        }
+      };
+    }
+
+    return null;
+  }
+};
+
+export { syslogParser };
@@ -0,0 +1,330 @@
+/**
+ * Query Parser Module - The Logfather
+ * "Say exactly what you mean. We'll find exactly that."
+ */
+
+import { globToRegExp, GlobSyntaxError } from './glob.js';
+
+/**
+ * Fields that can qualify a term, e.g. `level:error`, `file:error1.log` or `source:api`.
+ * Structured fields are addressed as `fields.<path>`, e.g. `fields.userId:42`.
+ */
+const QUERY_FIELDS = ['level', 'file', 'source'];
+
+const FIELDS_PREFIX = 'fields.';
+
+/**
+ * Error thrown for malformed search queries. The position is a 0-based
+ * character offset into the query, in the message and the property alike.
+ */
+class QuerySyntaxError extends Error {
+  /**
+   * @param {string} message - Description of the problem
+   * @param {number} position - Character offset in the query where it was found
+   */
+  constructor(message, position) {
+    super(`${message} (at position ${position})`);
+    this.name = 'QuerySyntaxError';
+    this.position = position;
+  }
+}
+
+/**
+ * Parse a search query into a syntax tree.
+ *
+ * Syntax:
+ *   payment failed        both terms (implicit AND)
+ *   timeout OR refused    either term
+ *   -healthcheck          exclude a term (also: NOT healthcheck)
+ *   "connection reset"    exact phrase
+ *   (a OR b) c            grouping
+ *   level:error           field qualifier (see QUERY_FIELDS)
+ *   fields.userId:42      structured field equals a value
+ *   fields.err.stack:*    structured field exists
+ *   fields.durationMs>500 numeric comparison (>, >=, <, <=)
+ *
+ * @param {string} query - Search query
+ * @returns {Object|null} Syntax tree, or null for an empty query
+ * @throws {QuerySyntaxError} If the query is malformed
+ */
+function parseQuery(query) {
+  const tokens = tokenize(query || '');
+  if (tokens.length === 0) return null;
+
+  let position = 0;
+
+  const peek = () => tokens[position];
+  const next = () => tokens[position++];
+
+  function parseOr() {
+    const children = [parseAnd()];
+
+    while (peek() && peek().type === 'or') {
+      const operator = next();
+      if (!peek() || peek().type === 'rparen' || peek().type === 'or') {
+        throw new QuerySyntaxError('Expected a search term after OR', operator.position);
+      }
+      children.push(parseAnd());
+    }
+
+    return children.length === 1 ? children[0] : { type: 'or', children };
+  }
+
+  function parseAnd() {
+    const children = [];
+
+    while (peek() && peek().type !== 'or' && peek().type !== 'rparen') {
+      if (peek().type === 'and') {
+        const operator = next();
+        if (children.length === 0) {
+          throw new QuerySyntaxError('Expected a search term before AND', operator.position);
+        }
+        if (!peek() || peek().type === 'rparen' || peek().type === 'or') {
+          throw new QuerySyntaxError('Expected a search term after AND', operator.position);
+        }
+        continue;
+      }
+      children.push(parseUnary());
+    }
+
+    if (children.length === 0) {
+      const token = peek();
+      if (token && token.type === 'or') {
+        throw new QuerySyntaxError('Expected a search term before OR', token.position);
+      }
+      throw new QuerySyntaxError('Expected a search term', token ? token.position : query.length);
+    }
+
+    return children.length === 1 ? children[0] : { type: 'and', children };
+  }
+
+  function parseUnary() {
+    const token = peek();
+
+    if (token.type === 'not') {
+      next();
+      if (!peek() || ['rparen', 'or', 'and'].includes(peek().type)) {
+        throw new QuerySyntaxError('Expected a search term after NOT', token.position);
+      }
+      return { type: 'not', child: parseUnary() };
+    }
+
+    return parsePrimary();
+  }
+
+  function parsePrimary() {
+    const token = next();
+
+    if (token.type === 'lparen') {
+      if (peek() && peek().type === 'rparen') {
+        throw new QuerySyntaxError('Empty parentheses', token.position);
+      }
+      const node = parseOr();
+      if (!peek() || peek().type !== 'rparen') {
+        throw new QuerySyntaxError('Missing closing parenthesis', token.position);
+      }
+      next();
+      return node;
+    }
+
+    if (token.type === 'word') return { type: 'term', value: token.value };
+    if (token.type === 'phrase') return { type: 'phrase', value: token.value };
+    if (token.type === 'field') {
+      return { type: 'field', field: token.field, operator: token.operator, value: token.value };
+    }
+
+    throw new QuerySyntaxError('Unexpected token', token.position);
+  }
+
+  const tree = parseOr();
+
+  if (position < tokens.length) {
+    const token = peek();
+    throw new QuerySyntaxError(
+      token.type === 'rparen' ? 'Unexpected closing parenthesis' : 'Unexpected token',
+      token.position
+    );
+  }
+
+  return tree;
+}
+
+/**
+ * Split a query into tokens
+ * @param {string} query - Search query
+ * @returns {Array<Object>} Tokens with type, value and position
+ * @throws {QuerySyntaxError} If a quoted phrase is not closed
+ */
+function tokenize(query) {
+  const tokens = [];
+  let i = 0;
+
+  while (i < query.length) {
+    const char = query[i];
+
+    if (/\s/.test(char)) {
+      i++;
+    } else if (char === '(') {
+      tokens.push({ type: 'lparen', position: i++ });
+    } else if (char === ')') {
+      tokens.push({ type: 'rparen', position: i++ });
+    } else if (char === '"') {
+      const { value, end } = readPhrase(query, i);
+      tokens.push({ type: 'phrase', value, position: i });
+      i = end;
+    } else if (char === '-' && i + 1 < query.length && !/[\s)]/.test(query[i + 1])) {
+      tokens.push({ type: 'not', position: i++ });
+    } else {
+      const start = i;
+      while (i < query.length && !/[\s()"]/.test(query[i])) {
+        i++;
+      }
+      const word = query.slice(start, i);
+
+      if (word === 'OR' || word === 'AND' || word === 'NOT') {
+        tokens.push({ type: word.toLowerCase(), position: start });
+        continue;
+      }
+
+      const fieldMatch = word.match(/^([A-Za-z][\w.]*?)(:|>=|<=|>|<)(.*)$/);
+      if (fieldMatch && isQueryField(fieldMatch[1])) {
+        const [, name, operator] = fieldMatch;
+        let value = fieldMatch[3];
+
+        // Quoted field value: file:"my app.log"
+        if (!value && query[i] === '"') {
+          const phrase = readPhrase(query, i);
+          value = phrase.value;
+          i = phrase.end;
+        }
+
+        tokens.push(createFieldToken(name, operator, value, start));
+        continue;
+      }
+
+      tokens.push({ type: 'word', value: word, position: start });
+    }
+  }
+
+  return tokens;
+}
+
+/**
+ * Build a field token, validating its operator and value
+ * @param {string} name - Field name
+ * @param {string} operator - Comparison operator
+ * @param {string} value - Value to compare against
+ * @param {number} position - Position of the field in the query
+ * @returns {Object} Field token
+ * @throws {QuerySyntaxError} If the operator or value is not usable
+ */
+function createFieldToken(name, operator, value, position) {
+  const isStructured = name.startsWith(FIELDS_PREFIX);
+  const field = isStructured ? name : name.toLowerCase();
+
+  if (isStructured && name.length === FIELDS_PREFIX.length) {
+    throw new QuerySyntaxError('Missing field name after "fields."', position);
+  }
+  if (!value) {
+    throw new QuerySyntaxError(`Missing value for field "${name}"`, position);
+  }
+  if (operator !== ':' && !isStructured) {
+    throw new QuerySyntaxError(`Field "${name}" only supports ":"`, position);
+  }
+  if (operator !== ':' && !isFinite(Number(value))) {
+    throw new QuerySyntaxError(`"${operator}" needs a number, got "${value}"`, position);
+  }
+  if (field === 'file') {
+    try {
+      globToRegExp(value);
+    } catch (error) {
+      if (!(error instanceof GlobSyntaxError)) throw error;
+      throw new QuerySyntaxError(error.message, position);
+    }
+  }
+
+  return {
+    type: 'field',
+    field,
+    operator: operator === ':' && value === '*' ? 'exists' : operator,
+    value,
+    position
+  };
+}
+
+/**
+ * Parse a single structured field filter such as `fields.durationMs>500`.
+ * The `fields.` prefix is optional.
+ * @param {string} filter - Field filter expression
+ * @returns {Object} Field node, as produced by parseQuery
+ * @throws {QuerySyntaxError} If the filter is not a single field comparison
+ */
+function parseFieldFilter(filter) {
+  const expression = String(filter).trim();
+  const qualified = expression.startsWith(FIELDS_PREFIX) ? expression : FIELDS_PREFIX + expression;
+  const tokens = tokenize(qualified);
+
+  if (tokens.length !== 1 || tokens[0].type !== 'field' || !tokens[0].field.startsWith(FIELDS_PREFIX)) {
+    throw new QuerySyntaxError(`Invalid field filter "${expression}"`, 0);
+  }
+
+  const { field, operator, value } = tokens[0];
+  return { type: 'field', field, operator, value };
+}
+
+/**
+ * Read a double-quoted phrase
+ * @param {string} query - Search query
+ * @param {number} start - Position of the opening quote
+ * @returns {Object} Phrase value and the position after the closing quote
+ * @throws {QuerySyntaxError} If the phrase is not closed
+ */
+function readPhrase(query, start) {
+  const end = query.indexOf('"', start + 1);
+  if (end === -1) {
+    throw new QuerySyntaxError('Unterminated quoted phrase', start);
+  }
+  return { value: query.slice(start + 1, end), end: end + 1 };
+}
+
+/**
+ * Check whether a name can be used as a field qualifier
+ * @param {string} name - Field name
+ * @returns {boolean} True if the field is supported
+ */
+function isQueryField(name) {
+  return name.startsWith(FIELDS_PREFIX) || QUERY_FIELDS.includes(name.toLowerCase());
+}
+
+/**
+ * Collect the terms and phrases a match can be highlighted with.
+ * Negated terms and field qualifiers never appear in results, so they
+ * are left out.
+ * @param {Object|null} tree - Syntax tree from parseQuery
+ * @returns {Array<string>} Terms to highlight
+ */
+function getHighlightTerms(tree) {
+  const terms = new Set();
+
+  function visit(node) {
+    if (!node) return;
+    if (node.type === 'term' || node.type === 'phrase') {
+      if (node.value.trim()) terms.add(node.value);
+    } else if (node.type === 'and' || node.type === 'or') {
+      node.children.forEach(visit);
+    }
+  }
+
+  visit(tree);
+  return Array.from(terms);
+}
+
+export {
+  parseQuery,
+  parseFieldFilter,
+  tokenize,
+  getHighlightTerms,
+  QuerySyntaxError,
+  QUERY_FIELDS,
+  FIELDS_PREFIX
+};
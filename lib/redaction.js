@@ -0,0 +1,442 @@
+/**
+ * Redaction Module - The Logfather
+ * "What's said in the family, stays in the family."
+ */
+
+import crypto from 'crypto';
+import { FIELDS_PREFIX } from './queryParser.js';
+import { findBacktrackingRisk } from './regexSearch.js';
+
+/**
+ * Ways to redact a value: replace it with a marker, replace it with a
+ * keyed hash so equal values still match each other, or remove it
+ */
+const REDACTION_ACTIONS = ['mask', 'hash', 'drop'];
+
+/**
+ * Characters of the hash kept in a hashed value
+ */
+const HASH_LENGTH = 12;
+
+/**
+ * Values that are already the result of redaction, so entries that are
+ * redacted again (a multiline entry that grew) don't change
+ */
+const REDACTED_MARKER = `\\[(?:REDACTED(?::[\\w.-]+)?|[\\w.-]+:[0-9a-f]{${HASH_LENGTH}})\\]`;
+const REDACTED_VALUE = new RegExp(`^${REDACTED_MARKER}$`);
+const REDACTED_SPLIT = new RegExp(`(${REDACTED_MARKER})`);
+
+/**
+ * Secrets and personal data recognized without configuration. When a
+ * pattern has a `value` group, only that part is redacted. A detector
+ * with `keys` also redacts the whole value of structured fields named
+ * like that, such as a JSON "token" or a logfmt password.
+ */
+const BUILTIN_DETECTORS = {
+  email: {
+    pattern: /[A-Za-z0-9._%+-]+@[A-Za-z0-9-]+(?:\.[A-Za-z0-9-]+)*\.[A-Za-z]{2,}/g
+  },
+  bearer: {
+    pattern: /\b(?:Bearer|Basic)\s+(?<value>[A-Za-z0-9\-._~+/]+=*)/gi
+  },
+  jwt: {
+    pattern: /\beyJ[A-Za-z0-9_-]+\.[A-Za-z0-9_-]+\.[A-Za-z0-9_-]+/g
+  },
+  password: {
+    pattern: /\b(?:password|passwd|pwd|secret|token|api[_-]?key|access[_-]?token|client[_-]?secret)=(?<value>[^&\s"',;)]+)/gi,
+    keys: /^(?:[\w-]*[_-])?(?:password|passwd|pwd|secret|token|api[_-]?key|access[_-]?token|client[_-]?secret)$/i
+  },
+  card: {
+    pattern: /\b\d(?:[ -]?\d){12,18}\b/g,
+    validate: value => passesLuhn(value.replace(/\D/g, ''))
+  }
+};
+
+/**
+ * Error thrown for redaction settings that can't be used
+ */
+class RedactionConfigError extends Error {
+  /**
+   * @param {string} message - Description of the problem
+   */
+  constructor(message) {
+    super(message);
+    this.name = 'RedactionConfigError';
+  }
+}
+
+/**
+ * Removes secrets and personal data from entries before they're indexed,
+ * so nothing redacted can be searched, exported or returned. Applies
+ * field rules and detector keys to structured fields first, then text
+ * rules and detectors to the message, raw line, trace and every field
+ * key and value.
+ */
+class Redactor {
+  /**
+   * @param {boolean|Object} options - Redaction settings, true for the built-in detectors
+   * @param {boolean|Array<string>} options.detectors - Built-in detectors to use,
+   *   true for all, false for none (default: true)
+   * @param {string} options.action - Default action: mask, hash or drop (default: mask)
+   * @param {string} options.hashKey - Key for hashed values; set it to keep hashes
+   *   stable across restarts (default: random per process)
+   * @param {Array<Object>} options.rules - Text rules as { name, pattern, action }
+   * @param {Array<Object>} options.fields - Field rules as { path, action }
+   * @throws {RedactionConfigError} If the settings are malformed
+   */
+  constructor(options = {}) {
+    const settings = options === true ? {} : options;
+    this.settings = settings;
+    this.action = normalizeAction(settings.action || 'mask', 'redaction.action');
+    this.hashKey = settings.hashKey ? String(settings.hashKey) : crypto.randomBytes(32).toString('hex');
+    this.textRules = [
+      ...normalizeDetectors(settings.detectors, this.action),
+      ...(settings.rules || []).map((rule, i) => normalizeRule(rule, i, this.action))
+    ];
+    this.fieldRules = (settings.fields || []).map((rule, i) => normalizeFieldRule(rule, i, this.action));
+    this.keyRules = this.textRules.filter(rule => rule.keys);
+    this.hashes = [...this.textRules, ...this.fieldRules].some(rule => rule.action === 'hash');
+  }
+
+  /**
+   * Settings that build an identical redactor, such as in a parse worker
+   * @returns {Object} Redaction settings, with the hash key in use
+   */
+  getSettings() {
+    return { ...this.settings, hashKey: this.hashKey };
+  }
+
+  /**
+   * Redact an entry
+   * @param {Object} entry - Parsed log entry
+   * @returns {Object} Redacted copy of the entry, or the entry itself if nothing matched
+   */
+  redact(entry) {
+    const fieldValues = [];
+    let fields = entry.fields;
+
+    const fieldRules = fields ? [...this.fieldRules, ...this.findKeyFields(fields)] : [];
+    if (fieldRules.length > 0) {
+      fields = JSON.parse(JSON.stringify(fields));
+      fieldRules.forEach(rule => this.redactField(fields, rule, fieldValues));
+    }
+    if (fields) {
+      fields = this.redactStrings(fields);
+    }
+
+    const redactText = text => (typeof text === 'string' ? this.redactText(text, fieldValues) : text);
+    const redacted = {
+      ...entry,
+      message: redactText(entry.message),
+      raw: redactText(entry.raw),
+      ...(entry.trace !== undefined && { trace: redactText(entry.trace) }),
+      ...(fields !== undefined && { fields })
+    };
+
+    const changed = ['message', 'raw', 'trace', 'fields'].some(key => redacted[key] !== entry[key]);
+    return changed ? redacted : entry;
+  }
+
+  /**
+   * Field rules for fields whose key a detector recognizes, such as
+   * "password" or "api_key", at any depth
+   * @param {Object} value - Entry fields, or a value inside them
+   * @param {Array<string>} path - Keys leading to the value
+   * @returns {Array<Object>} Field rules as { name, path, action }
+   */
+  findKeyFields(value, path = []) {
+    if (this.keyRules.length === 0 || !value || typeof value !== 'object') return [];
+
+    return Object.keys(value).flatMap(key => {
+      const rule = this.keyRules.find(keyRule => keyRule.keys.test(key));
+      return rule
+        ? [{ name: rule.name, path: [...path, key], action: rule.action }]
+        : this.findKeyFields(value[key], [...path, key]);
+    });
+  }
+
+  /**
+   * Apply a field rule, remembering the original values so they can be
+   * taken out of the raw line and message too
+   * @param {Object} fields - Entry fields (a copy, changed in place)
+   * @param {Object} rule - Field rule
+   * @param {Array<Object>} fieldValues - Collects { value, replacement } pairs
+   */
+  redactField(fields, rule, fieldValues) {
+    const keys = rule.path;
+    const parent = keys.slice(0, -1).reduce((value, key) => {
+      return value && typeof value === 'object' ? value[key] : undefined;
+    }, fields);
+    const key = keys[keys.length - 1];
+    if (!parent || typeof parent !== 'object' || !(key in parent)) return;
+
+    const value = parent[key];
+    if (value === null || value === undefined || isRedacted(value)) return;
+
+    const original = typeof value === 'object' ? JSON.stringify(value) : String(value);
+    const replacement = this.replace(original, rule);
+    collectLeaves(value).forEach(leaf => {
+      const leafReplacement = rule.action === 'drop' ? '' : this.replace(leaf, rule);
+      // JSON lines hold strings escaped
+      new Set([leaf, JSON.stringify(leaf).slice(1, -1)]).forEach(text => {
+        fieldValues.push({ value: text, replacement: leafReplacement });
+      });
+    });
+
+    if (rule.action === 'drop') {
+      delete parent[key];
+    } else {
+      parent[key] = replacement;
+    }
+  }
+
+  /**
+   * Apply the text rules to every string, number and key inside a value.
+   * A number that matches, such as a card number, becomes a marker.
+   * @param {*} value - Field value
+   * @returns {*} Redacted value; unchanged values are returned as they were
+   */
+  redactStrings(value) {
+    if (typeof value === 'string') {
+      return this.redactText(value, []);
+    }
+    if (typeof value === 'number') {
+      const text = String(value);
+      const redacted = this.redactText(text, []);
+      return redacted === text ? value : redacted;
+    }
+    if (!value || typeof value !== 'object') {
+      return value;
+    }
+
+    let changed = false;
+    const isArray = Array.isArray(value);
+    const copy = isArray ? [] : {};
+    Object.keys(value).forEach(key => {
+      const copyKey = isArray ? key : this.redactText(key, []);
+      copy[copyKey] = this.redactStrings(value[key]);
+      if (copyKey !== key || copy[copyKey] !== value[key]) changed = true;
+    });
+    return changed ? copy : value;
+  }
+
+  /**
+   * Redact a piece of text: values taken out of redacted fields first,
+   * then every text rule
+   * @param {string} text - Text to redact
+   * @param {Array<Object>} fieldValues - { value, replacement } pairs from field rules
+   * @returns {string} Redacted text
+   */
+  redactText(text, fieldValues) {
+    let result = text;
+
+    fieldValues.forEach(({ value, replacement }) => {
+      const pattern = new RegExp(`(?<![\\w])${escapeRegExp(value)}(?![\\w])`, 'g');
+      result = result.replace(pattern, () => replacement);
+    });
+
+    // Markers left by earlier rules or an earlier pass are kept out of reach
+    return this.textRules.reduce((current, rule) => current
+      .split(REDACTED_SPLIT)
+      .map((part, i) => (i % 2 === 0 ? this.applyRule(part, rule) : part))
+      .join(''), result);
+  }
+
+  /**
+   * Apply one text rule
+   * @param {string} text - Text without redaction markers
+   * @param {Object} rule - Text rule
+   * @returns {string} Redacted text
+   */
+  applyRule(text, rule) {
+    rule.pattern.lastIndex = 0;
+    return text.replace(rule.pattern, (...args) => {
+      const match = args[0];
+      const groups = typeof args[args.length - 1] === 'object' ? args[args.length - 1] : null;
+      const value = groups && groups.value !== undefined ? groups.value : match;
+
+      if (!value || (rule.validate && !rule.validate(value))) {
+        return match;
+      }
+
+      const replacement = rule.action === 'drop' ? '' : this.replace(value, rule);
+      return value === match ? replacement : match.replace(value, () => replacement);
+    });
+  }
+
+  /**
+   * Replacement for a redacted value
+   * @param {string} value - Original value
+   * @param {Object} rule - Rule that matched, with name and action
+   * @returns {string} Marker or hash
+   */
+  replace(value, rule) {
+    if (rule.action === 'hash') {
+      const hash = crypto.createHmac('sha256', this.hashKey).update(value).digest('hex').slice(0, HASH_LENGTH);
+      return `[${rule.name}:${hash}]`;
+    }
+    return `[REDACTED:${rule.name}]`;
+  }
+}
+
+/**
+ * Pick the built-in detectors to use
+ * @param {boolean|Array<string>} detectors - true or undefined for all, false for none, or names
+ * @param {string} action - Action for every detector
+ * @returns {Array<Object>} Text rules
+ * @throws {RedactionConfigError} If a detector name is unknown
+ */
+function normalizeDetectors(detectors, action) {
+  if (detectors === false) return [];
+
+  const names = detectors === undefined || detectors === true ? Object.keys(BUILTIN_DETECTORS) : [].concat(detectors);
+  return names.map(name => {
+    const detector = BUILTIN_DETECTORS[name];
+    if (!detector) {
+      throw new RedactionConfigError(`Unknown redaction detector "${name}". Choose from: ${Object.keys(BUILTIN_DETECTORS).join(', ')}.`);
+    }
+    return { name, pattern: new RegExp(detector.pattern), validate: detector.validate, keys: detector.keys, action };
+  });
+}
+
+/**
+ * Check a user-defined text rule
+ * @param {Object} rule - Rule as { name, pattern, action }; pattern is a RegExp or a string
+ * @param {number} index - Position in redaction.rules, for error messages
+ * @param {string} defaultAction - Action if the rule doesn't set one
+ * @returns {Object} Text rule with a global pattern
+ * @throws {RedactionConfigError} If the rule is malformed
+ */
+function normalizeRule(rule, index, defaultAction) {
+  const label = `redaction.rules[${index}]`;
+  if (!rule || typeof rule !== 'object' || !(rule.pattern instanceof RegExp || typeof rule.pattern === 'string') || !rule.pattern) {
+    throw new RedactionConfigError(`${label} needs a pattern, as a RegExp or a string.`);
+  }
+
+  const source = rule.pattern instanceof RegExp ? rule.pattern.source : rule.pattern;
+  const flags = rule.pattern instanceof RegExp ? rule.pattern.flags.replace(/[gy]/g, '') : '';
+  let pattern;
+  try {
+    pattern = new RegExp(source, `${flags}g`);
+  } catch (error) {
+    throw new RedactionConfigError(`${label} has an invalid pattern: ${error.message}`);
+  }
+
+  const risk = findBacktrackingRisk(source);
+  if (risk) {
+    throw new RedactionConfigError(`${label} could make indexing hang: ${risk}.`);
+  }
+  if (pattern.test('')) {
+    throw new RedactionConfigError(`${label} matches empty text.`);
+  }
+
+  return {
+    name: normalizeName(rule.name || `rule${index + 1}`, label),
+    pattern,
+    action: normalizeAction(rule.action || defaultAction, `${label}.action`)
+  };
+}
+
+/**
+ * Check a field rule
+ * @param {Object|string} rule - Rule as { path, action }, or just the path
+ * @param {number} index - Position in redaction.fields, for error messages
+ * @param {string} defaultAction - Action if the rule doesn't set one
+ * @returns {Object} Field rule with the path split into keys
+ * @throws {RedactionConfigError} If the rule is malformed
+ */
+function normalizeFieldRule(rule, index, defaultAction) {
+  const label = `redaction.fields[${index}]`;
+  const settings = typeof rule === 'string' ? { path: rule } : rule || {};
+  const fieldPath = typeof settings.path === 'string' ? settings.path.trim().replace(FIELDS_PREFIX, '') : '';
+  const keys = fieldPath.split('.');
+  if (!fieldPath || !keys.every(Boolean)) {
+    throw new RedactionConfigError(`${label} needs a field path, like "user.email" or "fields.user.email".`);
+  }
+
+  return {
+    name: normalizeName(settings.name || keys[keys.length - 1], label),
+    path: keys,
+    action: normalizeAction(settings.action || defaultAction, `${label}.action`)
+  };
+}
+
+/**
+ * Check an action name
+ * @param {string} action - Action
+ * @param {string} label - Setting name, for error messages
+ * @returns {string} The action
+ * @throws {RedactionConfigError} If the action is unknown
+ */
+function normalizeAction(action, label) {
+  if (!REDACTION_ACTIONS.includes(action)) {
+    throw new RedactionConfigError(`${label} needs to be one of: ${REDACTION_ACTIONS.join(', ')}.`);
+  }
+  return action;
+}
+
+/**
+ * Check a rule name, which ends up inside redacted values
+ * @param {string} name - Rule name
+ * @param {string} label - Setting name, for error messages
+ * @returns {string} The name
+ * @throws {RedactionConfigError} If the name has characters other than letters, digits, '.', '_' and '-'
+ */
+function normalizeName(name, label) {
+  if (!/^[\w.-]+$/.test(name)) {
+    throw new RedactionConfigError(`${label}.name can only use letters, digits, '.', '_' and '-'.`);
+  }
+  return name;
+}
+
+/**
+ * Check whether a value was already redacted
+ * @param {*} value - Value
+ * @returns {boolean} True for a mask or hash marker
+ */
+function isRedacted(value) {
+  return typeof value === 'string' && REDACTED_VALUE.test(value);
+}
+
+/**
+ * Strings and numbers inside a field value, as strings
+ * @param {*} value - Field value
+ * @returns {Array<string>} Non-empty strings
+ */
+function collectLeaves(value) {
+  if (value === null || value === undefined || typeof value === 'boolean') return [];
+  if (typeof value === 'object') {
+    return Object.values(value).flatMap(collectLeaves);
+  }
+  const text = String(value);
+  return text ? [text] : [];
+}
+
+/**
+ * Luhn checksum, so order numbers and timestamps aren't taken for cards
+ * @param {string} digits - Digits only
+ * @returns {boolean} True if the checksum is valid
+ */
+function passesLuhn(digits) {
+  let sum = 0;
+  for (let i = 0; i < digits.length; i++) {
+    let digit = Number(digits[digits.length - 1 - i]);
+    if (i % 2 === 1) {
+      digit *= 2;
+      if (digit > 9) digit -= 9;
+    }
+    sum += digit;
+  }
+  return sum % 10 === 0;
+}
+
+/**
+ * Escape text for use in a regular expression
+ * @param {string} text - Text
+ * @returns {string} Escaped text
+ */
+function escapeRegExp(text) {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+export { Redactor, RedactionConfigError, BUILTIN_DETECTORS, REDACTION_ACTIONS };
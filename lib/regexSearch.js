@@ -0,0 +1,363 @@
+/**
+ * Regex Search Module - The Logfather
+ * "Precise. Patient. But we don't wait forever."
+ */
+
+import vm from 'vm';
+
+const MAX_PATTERN_LENGTH = 256;
+const DEFAULT_TIME_BUDGET = 1000;
+
+/**
+ * Entry properties a pattern can be matched against
+ */
+const REGEX_FIELDS = ['message', 'raw'];
+
+/**
+ * Flags a caller may pass. `g` and `y` make `test` stateful, so they're out.
+ */
+const ALLOWED_FLAGS = 'imsu';
+
+/**
+ * The scan runs in its own context, so the time budget can stop it even
+ * in the middle of one slow match. Arguments go in through the context's
+ * globals, and results come back through `state`.
+ */
+const scanContext = vm.createContext({});
+const scanScript = new vm.Script(`(function (entries, field, regex, state) {
+  for (; state.scanned < entries.length; state.scanned++) {
+    if (regex.test(entries[state.scanned][field] || '')) state.matches.push(entries[state.scanned]);
+  }
+})(entries, field, regex, state)`);
+
+/**
+ * Error thrown for a pattern that is malformed or unsafe to run
+ */
+class RegexSearchError extends Error {
+  /**
+   * @param {string} message - Description of the problem
+   */
+  constructor(message) {
+    super(message);
+    this.name = 'RegexSearchError';
+  }
+}
+
+/**
+ * Compile a user-supplied pattern after checking it is safe to run
+ * against every entry in the index
+ * @param {string} pattern - Regular expression source, without slashes
+ * @param {Object} options - Regex options
+ * @param {string} options.field - Entry property to match: message or raw (default: message)
+ * @param {string} options.flags - Any of i, m, s and u (default: none)
+ * @returns {Object} Compiled regex search with regex, field, pattern and flags
+ * @throws {RegexSearchError} If the pattern is too long, malformed or prone to catastrophic backtracking
+ */
+function compileRegexSearch(pattern, options = {}) {
+  const field = options.field || 'message';
+  const flags = options.flags || '';
+
+  if (typeof pattern !== 'string' || pattern.length === 0) {
+    throw new RegexSearchError('The regex pattern is empty.');
+  }
+  if (pattern.length > MAX_PATTERN_LENGTH) {
+    throw new RegexSearchError(`Regex patterns can be up to ${MAX_PATTERN_LENGTH} characters.`);
+  }
+  if (!REGEX_FIELDS.includes(field)) {
+    throw new RegexSearchError(`Regex search works on ${REGEX_FIELDS.join(' or ')}, not "${field}".`);
+  }
+  if ([...flags].some(flag => !ALLOWED_FLAGS.includes(flag))) {
+    throw new RegexSearchError(`Regex flags can be any of "${ALLOWED_FLAGS}".`);
+  }
+
+  let regex;
+  try {
+    regex = new RegExp(pattern, flags);
+  } catch (error) {
+    throw new RegexSearchError(`Invalid regex: ${error.message}`);
+  }
+
+  const problem = findBacktrackingRisk(pattern, flags);
+  if (problem) {
+    throw new RegexSearchError(`Regex rejected, it could take forever on some lines: ${problem}.`);
+  }
+
+  return { regex, field, pattern, flags };
+}
+
+/**
+ * Look for the constructs that make backtracking exponential or a high
+ * polynomial: a repeated group that itself repeats something, like
+ * `(a+)+`, a repeated alternation whose branches can match the same text,
+ * like `(a|ab)*`, repetitions next to each other that can match the same
+ * characters, like `\s*\s*`, and backreferences.
+ * @param {string} pattern - Regular expression source
+ * @param {string} flags - Flags the pattern is compiled with (default: none)
+ * @returns {string|null} Description of the problem, or null if none was found
+ */
+function findBacktrackingRisk(pattern, flags = '') {
+  // pending holds the variable repetitions the next atom directly follows,
+  // as { text, chars }; a group starts with its parent's and hands its own back
+  const newFrame = (pending, openedAt = 0, lookaround = false) => ({
+    repeats: false,
+    literal: true,
+    alternatives: [''],
+    chars: [],
+    start: pending,
+    pending: pending.slice(),
+    tails: [],
+    openedAt,
+    lookaround
+  });
+  const charSets = new Map();
+  const stack = [newFrame([])];
+  let i = 0;
+
+  while (i < pattern.length) {
+    const frame = stack[stack.length - 1];
+    const char = pattern[i];
+    let atomStart = i;
+    let atom = null;
+
+    if (char === '\\') {
+      const next = pattern[i + 1] || '';
+      if (/[1-9]/.test(next) || next === 'k') {
+        return 'backreferences are not supported';
+      }
+      if (/[A-Za-z0-9]/.test(next)) {
+        frame.literal = false;
+      }
+      frame.alternatives[frame.alternatives.length - 1] += next;
+      const escape = pattern.slice(i).match(/^\\(u\{[0-9A-Fa-f]+\}|u[0-9A-Fa-f]{4}|x[0-9A-Fa-f]{2}|c[A-Za-z]|[pP]\{[^}]*\}|[\s\S])/);
+      i += escape[0].length;
+      // \b and \B match between characters, not characters
+      atom = /^[bB]$/.test(next) ? null : { chars: [escape[0]] };
+    } else if (char === '[') {
+      const end = skipCharacterClass(pattern, i);
+      atom = { chars: [pattern.slice(i, end)] };
+      i = end;
+      frame.literal = false;
+    } else if (char === '(') {
+      i++;
+      // Skip (?: (?= (?! (?<= (?<! and (?<name>
+      const prefix = pattern.slice(i).match(/^\?(<[A-Za-z_$][\w$]*>|<=|<!|[:=!])/);
+      if (prefix) i += prefix[0].length;
+      stack.push(newFrame(frame.pending, atomStart, Boolean(prefix) && /^\?(<=|<!|=|!)$/.test(prefix[0])));
+      continue;
+    } else if (char === ')') {
+      if (stack.length === 1) return 'unbalanced parenthesis';
+      const group = stack.pop();
+      group.tails.push(group.pending);
+      const parent = stack[stack.length - 1];
+      parent.repeats = parent.repeats || group.repeats;
+      parent.literal = false;
+      parent.chars.push(...group.chars);
+      atomStart = group.openedAt;
+      i++;
+      // A lookaround doesn't consume anything
+      atom = group.lookaround ? null : { chars: group.chars, group };
+    } else if (char === '|') {
+      frame.tails.push(frame.pending);
+      frame.pending = frame.start.slice();
+      frame.alternatives.push('');
+      i++;
+      continue;
+    } else if (/[*+?{]/.test(char) && readQuantifier(pattern, i)) {
+      // Quantifiers are read right after their atom, so this one has none
+      i = readQuantifier(pattern, i).end;
+      continue;
+    } else {
+      if (char === '.' || char === '^' || char === '$') {
+        frame.literal = false;
+      }
+      frame.alternatives[frame.alternatives.length - 1] += char;
+      i++;
+      if (char !== '^' && char !== '$') {
+        atom = { chars: [char === '.' ? '.' : char.replace(/[\\^$.*+?()[\]{}|/]/, '\\$&')] };
+      }
+    }
+
+    if (!atom) continue;
+
+    // After a `)` this is the group's parent
+    const current = stack[stack.length - 1];
+    if (!atom.group) current.chars.push(...atom.chars);
+
+    const quantifier = /[*+?{]/.test(pattern[i] || '') ? readQuantifier(pattern, i) : null;
+    if (quantifier) i = quantifier.end;
+
+    if (quantifier && quantifier.repeats) {
+      const group = atom.group;
+      if (group && group.repeats) {
+        return 'a repeated group contains another repetition, as in (a+)+';
+      }
+      if (group && group.alternatives.length > 1 && !hasDistinctAlternatives(group)) {
+        return 'a repeated group has alternatives that can match the same text, as in (a|ab)*';
+      }
+      current.repeats = true;
+    }
+    if (quantifier) current.literal = false;
+
+    if (quantifier && quantifier.min !== quantifier.max) {
+      const repetition = { text: pattern.slice(atomStart, i), chars: atom.chars };
+      const clash = current.pending.find(previous => charsOverlap(previous.chars, atom.chars, flags, charSets));
+      if (clash) {
+        return `${clash.text} and ${repetition.text} are next to each other and can match the same characters`;
+      }
+      // A repetition that can match nothing leaves the ones before it next to the next atom
+      current.pending = quantifier.min === 0 ? [...current.pending, repetition] : [repetition];
+    } else if (atom.group && !quantifier) {
+      // The repetitions a group ends with are next to what follows it
+      current.pending = Array.from(new Set([].concat(...atom.group.tails)));
+    } else {
+      current.pending = [];
+    }
+  }
+
+  return stack.length > 1 ? 'unbalanced parenthesis' : null;
+}
+
+/**
+ * Characters a single-character pattern is tried against to see what it
+ * matches: ASCII, and a few characters beyond it that classes treat specially
+ */
+const SAMPLE_CHARACTERS = Array.from({ length: 128 }, (_, code) => String.fromCharCode(code))
+  .concat([' ', 'é', 'É', 'ß', ' ', '　', '中', '\ud83d']);
+
+/**
+ * Check whether two lists of single-character patterns can match the
+ * same character
+ * @param {Array<string>} first - Patterns such as `a`, `\s`, `.` or `[a-z]`
+ * @param {Array<string>} second - Patterns
+ * @param {string} flags - Flags the pattern is compiled with
+ * @param {Map<string, Array<boolean>>} charSets - Sample matches per pattern, filled as needed
+ * @returns {boolean} True if some character matches a pattern of each list
+ */
+function charsOverlap(first, second, flags, charSets) {
+  const matches = source => {
+    if (!charSets.has(source)) {
+      let regex = null;
+      try {
+        regex = new RegExp(`^(?:${source})$`, flags.replace(/[gmy]/g, ''));
+      } catch (error) {
+        // Unknown: assume it matches anything
+      }
+      charSets.set(source, SAMPLE_CHARACTERS.map(sample => !regex || regex.test(sample)));
+    }
+    return charSets.get(source);
+  };
+
+  return first.some(a => second.some(b => {
+    const matchesA = matches(a);
+    const matchesB = matches(b);
+    return matchesA.some((matched, i) => matched && matchesB[i]);
+  }));
+}
+
+/**
+ * Find the end of a character class
+ * @param {string} pattern - Regular expression source
+ * @param {number} start - Position of the opening bracket
+ * @returns {number} Position after the closing bracket
+ */
+function skipCharacterClass(pattern, start) {
+  let i = start + 1;
+  if (pattern[i] === '^') i++;
+  if (pattern[i] === ']') i++;
+
+  while (i < pattern.length && pattern[i] !== ']') {
+    i += pattern[i] === '\\' ? 2 : 1;
+  }
+  return i + 1;
+}
+
+/**
+ * Read a quantifier
+ * @param {string} pattern - Regular expression source
+ * @param {number} start - Position of the quantifier
+ * @returns {Object|null} Least and most repetitions, whether it can repeat more
+ *   than once and where it ends, or null for a `{` that isn't a quantifier
+ */
+function readQuantifier(pattern, start) {
+  let min;
+  let max;
+  let end;
+
+  if (pattern[start] === '{') {
+    const match = pattern.slice(start).match(/^\{(\d+)(,(\d*))?\}/);
+    if (!match) return null;
+    min = Number(match[1]);
+    max = match[2] ? (match[3] === '' ? Infinity : Number(match[3])) : min;
+    end = start + match[0].length;
+  } else {
+    min = pattern[start] === '+' ? 1 : 0;
+    max = pattern[start] === '?' ? 1 : Infinity;
+    end = start + 1;
+  }
+
+  // Lazy or possessive-looking suffix
+  if (pattern[end] === '?') end++;
+
+  return { min, max, repeats: max > 1, end };
+}
+
+/**
+ * Check that a group's alternatives can never match the same text: all
+ * plain literals, none empty and none a prefix of another
+ * @param {Object} group - Parsed group
+ * @returns {boolean} True if the alternatives are safe to repeat
+ */
+function hasDistinctAlternatives(group) {
+  if (!group.literal) return false;
+
+  const alternatives = group.alternatives;
+  return alternatives.every((alternative, i) => {
+    return alternative.length > 0 && alternatives.every((other, j) => i === j || !other.startsWith(alternative));
+  });
+}
+
+/**
+ * Keep the entries a compiled pattern matches, scanning in order until
+ * the time budget runs out. The budget interrupts a match in progress,
+ * so a pattern that backtracks badly on one long line can't hold up the
+ * process; that line counts as not scanned.
+ * @param {Array<Object>} entries - Candidate entries, in the order results should favour
+ * @param {Object} regexSearch - Result of compileRegexSearch
+ * @param {number} timeBudget - Milliseconds to spend at most (default: 1000)
+ * @returns {Object} Matching entries, how many were scanned, and whether the scan stopped early
+ */
+function filterByRegex(entries, regexSearch, timeBudget = DEFAULT_TIME_BUDGET) {
+  const { regex, field } = regexSearch;
+  const started = Date.now();
+  const state = { scanned: 0, matches: [] };
+  let partial = false;
+
+  Object.assign(scanContext, { entries, field, regex, state });
+  try {
+    scanScript.runInContext(scanContext, { timeout: Math.max(1, Math.floor(timeBudget)) });
+  } catch (error) {
+    if (error.code !== 'ERR_SCRIPT_EXECUTION_TIMEOUT') throw error;
+    partial = true;
+  } finally {
+    // Don't keep the entries alive until the next scan
+    Object.assign(scanContext, { entries: null, field: null, regex: null, state: null });
+  }
+
+  return {
+    entries: state.matches,
+    scanned: state.scanned,
+    total: entries.length,
+    partial,
+    timeMs: Date.now() - started
+  };
+}
+
+export {
+  compileRegexSearch,
+  findBacktrackingRisk,
+  filterByRegex,
+  RegexSearchError,
+  REGEX_FIELDS,
+  MAX_PATTERN_LENGTH,
+  DEFAULT_TIME_BUDGET
+};
@@ -0,0 +1,266 @@
+/**
+ * Saved Searches Module - The Logfather
+ * "A good search is worth keeping. We never forget."
+ */
+
+import fs from 'fs';
+import path from 'path';
+import crypto from 'crypto';
+import { parseQuery, parseFieldFilter } from './queryParser.js';
+import { compileRegexSearch } from './regexSearch.js';
+import { createFacetFilters, normalizeFacetFields } from './facets.js';
+
+const { promises: fsPromises } = fs;
+
+const MAX_NAME_LENGTH = 100;
+
+/**
+ * Search settings a saved search can hold, all optional strings
+ */
+const SEARCH_KEYS = ['q', 'regex', 'regexField', 'regexFlags', 'startDate', 'endDate', 'sortBy', 'sortOrder', 'facetFields'];
+
+/**
+ * Search settings that can hold several values, all optional strings or string arrays
+ */
+const LIST_KEYS = ['source', 'level', 'sourceFile', 'directory', 'facet', 'filter'];
+
+/**
+ * Error thrown for a saved search operation that can't be done.
+ * `code` is `invalid`, `not_found` or `conflict`.
+ */
+class SavedSearchError extends Error {
+  /**
+   * @param {string} message - Description of the problem
+   * @param {string} code - Kind of problem
+   */
+  constructor(message, code) {
+    super(message);
+    this.name = 'SavedSearchError';
+    this.code = code;
+  }
+}
+
+/**
+ * Named searches kept in a JSON file.
+ *
+ * The file is read on first use and rewritten in full after every change,
+ * through a temporary file so a crash never leaves it half-written.
+ * Changes are applied one at a time.
+ */
+class SavedSearchStore {
+  /**
+   * @param {string} filePath - Path of the JSON store file, created if missing
+   */
+  constructor(filePath) {
+    this.filePath = path.resolve(filePath);
+    this.searches = null;
+    this.queue = Promise.resolve();
+  }
+
+  /**
+   * List all saved searches, sorted by name
+   * @returns {Promise<Array<Object>>} Saved searches
+   */
+  async list() {
+    const searches = await this.read();
+    return searches.slice().sort((a, b) => a.name.localeCompare(b.name));
+  }
+
+  /**
+   * Save a new search
+   * @param {Object} input - Name and search settings
+   * @returns {Promise<Object>} The saved search
+   * @throws {SavedSearchError} If the input is invalid or the name is taken
+   */
+  create(input) {
+    return this.change(searches => {
+      const now = new Date().toISOString();
+      const saved = {
+        id: crypto.randomBytes(8).toString('hex'),
+        ...validateSavedSearch(input),
+        createdAt: now,
+        updatedAt: now
+      };
+
+      assertUniqueName(searches, saved.name);
+      searches.push(saved);
+      return saved;
+    });
+  }
+
+  /**
+   * Change the name or settings of a saved search
+   * @param {string} id - Saved search ID
+   * @param {Object} input - Fields to change
+   * @returns {Promise<Object>} The updated search
+   * @throws {SavedSearchError} If it doesn't exist, the input is invalid or the name is taken
+   */
+  update(id, input) {
+    return this.change(searches => {
+      const existing = findSearch(searches, id);
+      const updated = {
+        ...existing,
+        ...validateSavedSearch({ ...existing, ...input, search: { ...existing.search, ...(input || {}).search } }),
+        updatedAt: new Date().toISOString()
+      };
+
+      assertUniqueName(searches.filter(search => search.id !== id), updated.name);
+      searches[searches.indexOf(existing)] = updated;
+      return updated;
+    });
+  }
+
+  /**
+   * Delete a saved search
+   * @param {string} id - Saved search ID
+   * @returns {Promise<Object>} The deleted search
+   * @throws {SavedSearchError} If it doesn't exist
+   */
+  remove(id) {
+    return this.change(searches => {
+      const existing = findSearch(searches, id);
+      searches.splice(searches.indexOf(existing), 1);
+      return existing;
+    });
+  }
+
+  /**
+   * Apply a change to the searches and write them back
+   * @param {Function} mutate - Receives the searches array, returns the result
+   * @returns {Promise<*>} Result of mutate
+   */
+  change(mutate) {
+    const next = this.queue.catch(() => {}).then(async () => {
+      const searches = (await this.read()).slice();
+      const result = mutate(searches);
+      await this.write(searches);
+      this.searches = searches;
+      return result;
+    });
+
+    this.queue = next;
+    return next;
+  }
+
+  /**
+   * Read the store file, once
+   * @returns {Promise<Array<Object>>} Saved searches
+   * @throws {Error} If the file exists but isn't a valid store
+   */
+  async read() {
+    if (this.searches) return this.searches;
+
+    let content;
+    try {
+      content = await fsPromises.readFile(this.filePath, 'utf8');
+    } catch (error) {
+      if (error.code !== 'ENOENT') throw error;
+      content = null;
+    }
+
+    const parsed = content ? JSON.parse(content) : { searches: [] };
+    if (!parsed || !Array.isArray(parsed.searches)) {
+      throw new Error(`The saved searches file ${this.filePath} has no "searches" array.`);
+    }
+
+    this.searches = parsed.searches;
+    return this.searches;
+  }
+
+  /**
+   * Write the searches to the store file
+   * @param {Array<Object>} searches - Saved searches
+   * @returns {Promise<void>}
+   */
+  async write(searches) {
+    const tempPath = `${this.filePath}.${process.pid}.tmp`;
+
+    await fsPromises.mkdir(path.dirname(this.filePath), { recursive: true });
+    await fsPromises.writeFile(tempPath, JSON.stringify({ searches }, null, 2) + '\n');
+    await fsPromises.rename(tempPath, this.filePath);
+  }
+}
+
+/**
+ * Check and normalize a saved search's name and settings
+ * @param {Object} input - Raw input with name and search
+ * @returns {Object} Normalized name and search
+ * @throws {SavedSearchError} If a value is missing or invalid
+ */
+function validateSavedSearch(input) {
+  const { name, search = {} } = input || {};
+
+  if (typeof name !== 'string' || !name.trim()) {
+    throw new SavedSearchError('A saved search needs a name.', 'invalid');
+  }
+  if (name.trim().length > MAX_NAME_LENGTH) {
+    throw new SavedSearchError(`Saved search names can be up to ${MAX_NAME_LENGTH} characters.`, 'invalid');
+  }
+  if (!search || typeof search !== 'object' || Array.isArray(search)) {
+    throw new SavedSearchError('"search" needs to be an object of search settings.', 'invalid');
+  }
+
+  const normalized = {};
+  SEARCH_KEYS.forEach(key => {
+    const value = search[key];
+    if (value === undefined || value === null || value === '') return;
+    if (typeof value !== 'string') {
+      throw new SavedSearchError(`"search.${key}" needs to be a string.`, 'invalid');
+    }
+    normalized[key] = value;
+  });
+
+  LIST_KEYS.forEach(key => {
+    const values = [].concat(search[key] === undefined || search[key] === null ? [] : search[key]);
+    if (values.some(value => typeof value !== 'string')) {
+      throw new SavedSearchError(`"search.${key}" needs to be a string or an array of strings.`, 'invalid');
+    }
+    if (values.some(Boolean)) {
+      normalized[key] = values.filter(Boolean);
+    }
+  });
+
+  try {
+    parseQuery(normalized.q);
+    (normalized.filter || []).forEach(parseFieldFilter);
+    createFacetFilters({ fields: normalized.facet });
+    normalizeFacetFields(normalized.facetFields);
+    if (normalized.regex) {
+      compileRegexSearch(normalized.regex, { field: normalized.regexField, flags: normalized.regexFlags });
+    }
+  } catch (error) {
+    throw new SavedSearchError(error.message, 'invalid');
+  }
+
+  return { name: name.trim(), search: normalized };
+}
+
+/**
+ * Find a saved search by ID
+ * @param {Array<Object>} searches - Saved searches
+ * @param {string} id - Saved search ID
+ * @returns {Object} The saved search
+ * @throws {SavedSearchError} If there is none with that ID
+ */
+function findSearch(searches, id) {
+  const found = searches.find(search => search.id === id);
+  if (!found) {
+    throw new SavedSearchError(`No saved search with ID ${id}.`, 'not_found');
+  }
+  return found;
+}
+
+/**
+ * Make sure no other saved search has a name
+ * @param {Array<Object>} searches - Other saved searches
+ * @param {string} name - Name to check
+ * @throws {SavedSearchError} If the name is taken
+ */
+function assertUniqueName(searches, name) {
+  const lower = name.toLowerCase();
+  if (searches.some(search => search.name.toLowerCase() === lower)) {
+    throw new SavedSearchError(`A saved search named "${name}" already exists.`, 'conflict');
+  }
+}
+
+export { SavedSearchStore, SavedSearchError };
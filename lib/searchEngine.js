@@ -3,45 +3,369 @@
  * "We find what you're looking for. Always."
  */
 
+import { parseQuery, getHighlightTerms, FIELDS_PREFIX } from './queryParser.js';
+import { normalizeLogLevel } from './logParser.js';
+import { buildHistogram } from './histogram.js';
+import { filterByRegex } from './regexSearch.js';
+import { createFacetFilters, countFacets } from './facets.js';
+import { matchGlob } from './glob.js';
+import { parseInterval } from './histogram.js';
+import { TermDictionary } from './termDictionary.js';
+import { getSortKey, compareSortKeys, encodeCursor, decodeCursor } from './cursor.js';
+
+/**
+ * Rough memory costs used for the index size estimate, in bytes: an
+ * entry object with its metadata, one posting in a term's set, and a
+ * term in the dictionary besides its characters
+ */
+const ENTRY_BYTES = 240;
+const POSTING_BYTES = 24;
+const TERM_BYTES = 80;
+
 /**
- * In-memory search engine for log entries
+ * Prototype of compact unstructured entries. A plain text entry's
+ * message is its first line, trimmed, and its trace the lines after it,
+ * so both are read from `raw` instead of being stored again.
+ */
+const TEXT_ENTRY = {
+  get message() {
+    const newline = this.raw.indexOf('\n');
+    return (newline === -1 ? this.raw : this.raw.slice(0, newline)).trim();
+  },
+
+  get trace() {
+    const newline = this.raw.indexOf('\n');
+    return newline === -1 ? undefined : this.raw.slice(newline + 1);
+  },
+
+  toJSON() {
+    const { id, level, ...rest } = this;
+    const trace = this.trace;
+    return { id, level, message: this.message, ...rest, ...(trace !== undefined && { trace }) };
+  }
+};
+
+/**
+ * In-memory search engine for log entries.
+ *
+ * With retention limits, the oldest entries (by timestamp) are evicted
+ * once there are more than maxEntries, the estimated index size is over
+ * maxMemoryMB, or they are older than maxAge. The age limit is applied
+ * as entries are added and whenever enforceRetention is called.
  */
 class LogSearchEngine {
-  constructor() {
-    this.entries = [];
+  /**
+   * @param {Object} options - Engine options
+   * @param {number} options.maxEntries - Entries to keep at most (default: no limit)
+   * @param {string|number} options.maxAge - Drop entries older than this, as 7d, 12h...
+   *   or milliseconds (default: no limit)
+   * @param {number} options.maxMemoryMB - Estimated index size to stay under (default: no limit)
+   * @throws {Error} If a limit is malformed
+   */
+  constructor(options = {}) {
+    this.documents = new Map();
+    this.entryIds = new Map();
+    this.sourceFiles = new Map();
     this.indexedTerms = new Map();
+    this.termDictionary = new TermDictionary();
+    this.fieldPaths = new Map();
+    this.nextDocId = 0;
     this.lastIndexTime = null;
+    // Changes whenever entries are added or removed, so cursors can tell
+    this.version = 0;
+    this.retention = normalizeRetention(options);
+    this.retentionOrder = [];
+    this.memoryBytes = 0;
+    this.evicted = { total: 0, maxEntries: 0, maxAge: 0, maxMemory: 0 };
+  }
+
+  /**
+   * All indexed log entries
+   * @returns {Array<Object>} Indexed entries
+   */
+  get entries() {
+    return Array.from(this.documents.values());
   }
 
   /**
-   * Index log entries for fast searching
+   * Index log entries for fast searching, replacing the current index
    * @param {Array<Object>} entries - Log entries to index
    */
   indexEntries(entries) {
-    this.entries = [...entries];
-    this.indexedTerms.clear();
+    this.clearIndex();
+    this.addEntries(entries);
+  }
+
+  /**
+   * Add log entries to the existing index
+   * @param {Array<Object>} entries - Log entries to add
+   * @param {Array<Array<string>>} terms - Terms of each entry from getEntryTerms, when they
+   *   were extracted elsewhere, such as in a parse worker (optional)
+   */
+  addEntries(entries, terms = null) {
+    const docIds = entries.map((original, i) => {
+      const docId = this.nextDocId++;
+      const entry = compactEntry(original);
+      
+      this.documents.set(docId, entry);
+      this.entryIds.set(entry.id, docId);
+      
+      if (!this.sourceFiles.has(entry.sourceFile)) {
+        this.sourceFiles.set(entry.sourceFile, new Set());
+      }
+      this.sourceFiles.get(entry.sourceFile).add(docId);
+      
+      this.indexEntry(entry, docId, terms ? terms[i] : null);
+      return docId;
+    });
     
-    entries.forEach((entry, index) => {
-      this.indexEntry(entry, index);
+    this.lastIndexTime = new Date();
+    this.version++;
+    
+    if (this.retention.enabled) {
+      this.addToRetentionOrder(docIds);
+      this.enforceRetention();
+    }
+  }
+
+  /**
+   * Merge new documents into the oldest-first eviction order. New entries
+   * are usually the newest, so this is mostly an append. Documents removed
+   * since they were ordered stay in the order until eviction reaches them,
+   * a merge passes them, or they make up most of it.
+   * @param {Array<number>} docIds - Internal IDs of the added documents
+   */
+  addToRetentionOrder(docIds) {
+    const timeOf = docId => getEntryTime(this.documents.get(docId));
+    const added = docIds.slice().sort((a, b) => timeOf(a) - timeOf(b) || a - b);
+    const isLive = docId => this.documents.has(docId);
+    let order = this.retentionOrder;
+    
+    if (order.length > 2 * this.documents.size) {
+      order = order.filter(isLive);
+    }
+    while (order.length > 0 && !isLive(order[order.length - 1])) {
+      order.pop();
+    }
+    
+    if (order.length === 0 || timeOf(order[order.length - 1]) <= timeOf(added[0])) {
+      added.forEach(docId => order.push(docId));
+      this.retentionOrder = order;
+      return;
+    }
+    
+    const merged = [];
+    let i = 0;
+    let j = 0;
+    while (i < order.length || j < added.length) {
+      if (i < order.length && !isLive(order[i])) {
+        i++;
+      } else if (j >= added.length || (i < order.length && timeOf(order[i]) <= timeOf(added[j]))) {
+        merged.push(order[i++]);
+      } else {
+        merged.push(added[j++]);
+      }
+    }
+    this.retentionOrder = merged;
+  }
+
+  /**
+   * Evict the oldest entries until the index is within its limits
+   * @param {number} now - Time maxAge counts back from (default: now)
+   * @returns {number} Number of entries evicted
+   */
+  enforceRetention(now = Date.now()) {
+    const { enabled, maxEntries, maxAgeMs, maxMemoryBytes } = this.retention;
+    if (!enabled) return 0;
+    
+    const cutoff = maxAgeMs ? now - maxAgeMs : -Infinity;
+    const order = this.retentionOrder;
+    let evicted = 0;
+    let i = 0;
+    
+    for (; i < order.length; i++) {
+      const entry = this.documents.get(order[i]);
+      if (!entry) continue;
+      
+      let reason = null;
+      if (maxEntries && this.documents.size > maxEntries) {
+        reason = 'maxEntries';
+      } else if (maxMemoryBytes && this.memoryBytes > maxMemoryBytes) {
+        reason = 'maxMemory';
+      } else if (getEntryTime(entry) < cutoff) {
+        reason = 'maxAge';
+      }
+      if (!reason) break;
+      
+      this.removeDocument(order[i]);
+      this.evicted[reason]++;
+      this.evicted.total++;
+      evicted++;
+    }
+    
+    order.splice(0, i);
+    if (evicted > 0) {
+      this.lastIndexTime = new Date();
+      this.version++;
+    }
+    return evicted;
+  }
+
+  /**
+   * Remove log entries from the index by ID
+   * @param {Array<string>} entryIds - IDs of entries to remove
+   * @returns {number} Number of entries removed
+   */
+  removeEntries(entryIds) {
+    let removed = 0;
+    
+    entryIds.forEach(entryId => {
+      const docId = this.entryIds.get(entryId);
+      if (docId !== undefined) {
+        this.removeDocument(docId);
+        removed++;
+      }
     });
     
+    if (removed > 0) {
+      this.lastIndexTime = new Date();
+      this.version++;
+    }
+    return removed;
+  }
+
+  /**
+   * Remove every entry that came from a source file
+   * @param {string} sourceFile - Source file path
+   * @returns {number} Number of entries removed
+   */
+  removeSourceFile(sourceFile) {
+    const docIds = this.sourceFiles.get(sourceFile);
+    if (!docIds) return 0;
+    
+    const removed = docIds.size;
+    Array.from(docIds).forEach(docId => this.removeDocument(docId));
+    
     this.lastIndexTime = new Date();
+    this.version++;
+    return removed;
+  }
+
+  /**
+   * Remove a single document and its postings
+   * @param {number} docId - Internal document ID
+   */
+  removeDocument(docId) {
+    const entry = this.documents.get(docId);
+    if (!entry) return;
+    
+    let bytes = estimateEntryBytes(entry);
+    const terms = this.extractTerms(this.getSearchableText(entry));
+    terms.forEach(term => {
+      const postings = this.indexedTerms.get(term);
+      if (postings && postings.delete(docId)) {
+        bytes += POSTING_BYTES;
+        if (postings.size === 0) {
+          this.indexedTerms.delete(term);
+          bytes += TERM_BYTES + term.length + this.termDictionary.delete(term) * POSTING_BYTES;
+        }
+      }
+    });
+    this.memoryBytes -= bytes;
+    
+    getFieldPaths(entry.fields).forEach(fieldPath => {
+      const docIds = this.fieldPaths.get(fieldPath);
+      if (docIds) {
+        docIds.delete(docId);
+        if (docIds.size === 0) {
+          this.fieldPaths.delete(fieldPath);
+        }
+      }
+    });
+    
+    const sourceDocs = this.sourceFiles.get(entry.sourceFile);
+    if (sourceDocs) {
+      sourceDocs.delete(docId);
+      if (sourceDocs.size === 0) {
+        this.sourceFiles.delete(entry.sourceFile);
+      }
+    }
+    
+    if (this.entryIds.get(entry.id) === docId) {
+      this.entryIds.delete(entry.id);
+    }
+    this.documents.delete(docId);
+  }
+
+  /**
+   * Look up an indexed entry by ID
+   * @param {string} entryId - Entry ID
+   * @returns {Object|null} Log entry or null if not indexed
+   */
+  getEntry(entryId) {
+    const docId = this.entryIds.get(entryId);
+    return docId === undefined ? null : this.documents.get(docId);
+  }
+
+  /**
+   * Get the entries around an entry in its source file, regardless of any
+   * search or filter
+   * @param {string} entryId - Entry ID
+   * @param {Object} options - Context options
+   * @param {number} options.before - Entries to return before it (default: 10)
+   * @param {number} options.after - Entries to return after it (default: 10)
+   * @returns {Object|null} Entry with before and after lists, ordered by line number,
+   *   and whether there is more in either direction; null if the entry doesn't exist
+   */
+  getContext(entryId, options = {}) {
+    const { before = 10, after = 10 } = options;
+    const entry = this.getEntry(entryId);
+    if (!entry) return null;
+
+    const fileEntries = Array.from(this.sourceFiles.get(entry.sourceFile) || [], docId => this.documents.get(docId))
+      .sort((a, b) => a.lineNumber - b.lineNumber);
+    const index = fileEntries.indexOf(entry);
+    const first = Math.max(0, index - before);
+    const last = Math.min(fileEntries.length, index + 1 + after);
+
+    return {
+      entry,
+      before: fileEntries.slice(first, index),
+      after: fileEntries.slice(index + 1, last),
+      hasMoreBefore: first > 0,
+      hasMoreAfter: last < fileEntries.length
+    };
   }
 
   /**
    * Index a single log entry
    * @param {Object} entry - Log entry to index
-   * @param {number} index - Entry index in array
+   * @param {number} docId - Internal document ID
+   * @param {Array<string>} entryTerms - Terms already extracted from the entry (optional)
    */
-  indexEntry(entry, index) {
-    const searchableText = this.getSearchableText(entry);
-    const terms = this.extractTerms(searchableText);
+  indexEntry(entry, docId, entryTerms = null) {
+    const terms = entryTerms || this.extractTerms(this.getSearchableText(entry));
+    let bytes = estimateEntryBytes(entry);
     
     terms.forEach(term => {
       if (!this.indexedTerms.has(term)) {
         this.indexedTerms.set(term, new Set());
+        bytes += TERM_BYTES + term.length + this.termDictionary.add(term) * POSTING_BYTES;
+      }
+      const postings = this.indexedTerms.get(term);
+      if (!postings.has(docId)) {
+        postings.add(docId);
+        bytes += POSTING_BYTES;
+      }
+    });
+    this.memoryBytes += bytes;
+    
+    // Structured field paths, for existence checks and comparisons
+    getFieldPaths(entry.fields).forEach(fieldPath => {
+      if (!this.fieldPaths.has(fieldPath)) {
+        this.fieldPaths.set(fieldPath, new Set());
       }
-      this.indexedTerms.get(term).add(index);
+      this.fieldPaths.get(fieldPath).add(docId);
     });
   }
 
@@ -73,100 +397,408 @@ class LogSearchEngine {
   }
 
   /**
-   * Search log entries
-   * @param {string} query - Search query
-   * @param {Object} options - Search options
+   * Search log entries, a page at a time. Pages are picked by number, or
+   * by a cursor from a previous page: nextCursor continues after its last
+   * entry and previousCursor before its first, so entries added or removed
+   * elsewhere in the results don't shift what comes next.
+   * @param {string} query - Search query (see parseQuery for the syntax)
+   * @param {Object} options - Search options, as for findMatches, plus:
+   * @param {number} options.page - Page number (default: 1, ignored with a cursor)
+   * @param {number} options.pageSize - Entries per page (default: 100)
+   * @param {string} options.cursor - Cursor from a previous page's pagination (optional)
    * @returns {Object} Search results with entries and metadata
+   * @throws {QuerySyntaxError} If the query is malformed
+   * @throws {CursorError} If the cursor is malformed or made for another sort order
    */
   search(query, options = {}) {
     const {
-      level = null,
-      startDate = null,
-      endDate = null,
-      sourceFile = null,
       page = 1,
       pageSize = 100,
+      cursor = null,
       sortBy = 'timestamp',
-      sortOrder = 'desc'
+      sortOrder = 'desc',
+      queryTree = parseQuery(query)
     } = options;
-
-    let results = this.entries;
-
-    // Text search
-    if (query && query.trim()) {
-      const searchIndices = this.performTextSearch(query.trim());
-      results = searchIndices.map(index => this.entries[index]);
-    }
-
-    // Apply filters
-    results = this.applyFilters(results, {
-      level,
-      startDate,
-      endDate
-    });
-
-    // Sort results
-    results = this.sortResults(results, sortBy, sortOrder);
+    const position = cursor ? decodeCursor(cursor, sortBy, sortOrder) : null;
+    const { entries: results, regexScan, facets } = this.findMatches(query, { ...options, queryTree });
 
     // Calculate pagination
     const totalCount = results.length;
     const totalPages = Math.ceil(totalCount / pageSize);
-    const startIndex = (page - 1) * pageSize;
-    const endIndex = Math.min(startIndex + pageSize, totalCount);
+    let startIndex;
+    let endIndex;
+    if (position) {
+      const boundary = findBoundary(results, position, sortBy, sortOrder);
+      startIndex = position.direction === 'after' ? boundary : Math.max(0, boundary - pageSize);
+      endIndex = position.direction === 'after' ? Math.min(boundary + pageSize, totalCount) : boundary;
+    } else {
+      startIndex = (page - 1) * pageSize;
+      endIndex = Math.min(startIndex + pageSize, totalCount);
+    }
     const paginatedResults = results.slice(startIndex, endIndex);
 
+    // A page with nothing on it hands its own position back, to try again later
+    const cursorAt = (entry, direction) => {
+      if (!sortBy) return null;
+      if (!entry && !position) return null;
+      return encodeCursor({
+        key: entry ? getSortKey(entry, sortBy) : position.key,
+        direction,
+        sortBy,
+        sortOrder,
+        version: this.version
+      });
+    };
+
     return {
       entries: paginatedResults,
       pagination: {
-        currentPage: page,
+        currentPage: position ? Math.floor(startIndex / pageSize) + 1 : page,
         totalPages,
         totalCount,
         pageSize,
-        hasNextPage: page < totalPages,
-        hasPreviousPage: page > 1
+        offset: startIndex,
+        hasNextPage: endIndex < totalCount,
+        hasPreviousPage: startIndex > 0,
+        nextCursor: cursorAt(paginatedResults[paginatedResults.length - 1], 'after'),
+        previousCursor: cursorAt(paginatedResults[0], 'before'),
+        indexVersion: this.version,
+        // Entries were added or removed since the cursor was made
+        indexChanged: position ? position.version !== this.version : false
       },
       searchMeta: {
         query,
         searchTime: this.lastIndexTime,
-        resultsFound: totalCount
+        resultsFound: totalCount,
+        highlightTerms: getHighlightTerms(queryTree).filter(term => this.extractTerms(term).length > 0),
+        regex: regexScan
+      },
+      ...(facets ? { facets } : {})
+    };
+  }
+
+  /**
+   * Find every entry matching a query and filters, sorted, without paging
+   * @param {string} query - Search query (see parseQuery for the syntax)
+   * @param {Object} options - Search options, as for search (page and pageSize are ignored,
+   *   sortBy null leaves the results unsorted)
+   * @returns {Array<Object>} Matching entries
+   * @throws {QuerySyntaxError} If the query is malformed
+   */
+  searchAll(query, options = {}) {
+    return this.findMatches(query, options).entries;
+  }
+
+  /**
+   * Find every entry matching a query, filters and regex. The regex runs
+   * last, over the sorted candidates, so when it runs out of time the
+   * entries it did check are the ones the results would show first.
+   * @param {string} query - Search query (see parseQuery for the syntax)
+   * @param {Object} options - Search options, as for searchAll, plus:
+   * @param {Object} options.regex - Pattern from compileRegexSearch (optional)
+   * @param {number} options.regexTimeBudget - Milliseconds the regex may scan for (default: 1000)
+   * @param {Object} options.facets - Count facets with these options (see countFacets, optional)
+   * @param {Function} options.canReadFile - Only entries of files this returns true for (optional)
+   * @param {Object|null} options.queryTree - The query as parseQuery returned it, to skip parsing it again (optional)
+   * @returns {Object} Matching entries, regexScan describing the regex scan (null without a regex)
+   *   and facets (null unless requested)
+   * @throws {QuerySyntaxError} If the query is malformed
+   */
+  findMatches(query, options = {}) {
+    const {
+      source = null,
+      level = null,
+      sourceFile = null,
+      directory = null,
+      fieldValues = [],
+      startDate = null,
+      endDate = null,
+      fieldFilters = [],
+      sortBy = 'timestamp',
+      sortOrder = 'desc',
+      regex = null,
+      regexTimeBudget,
+      facets = null,
+      canReadFile = null,
+      queryTree = parseQuery(query)
+    } = options;
+
+    let results = this.entries;
+    const filterTree = combineTrees(queryTree, fieldFilters);
+
+    // Text search and structured field filters
+    if (filterTree) {
+      const docIds = this.evaluateQuery(filterTree);
+      results = Array.from(docIds, docId => this.documents.get(docId));
+    }
+
+    // Files the caller may not see don't exist as far as they're concerned
+    if (canReadFile) {
+      results = results.filter(entry => canReadFile(entry.sourceFile));
+    }
+
+    // Apply filters. Facet counts need the entries outside the facet
+    // selections too, so those wait until the facets are counted.
+    const selections = { source, level, sourceFile, directory, fields: fieldValues };
+    results = this.applyFilters(results, facets ? { startDate, endDate } : { startDate, endDate, ...selections });
+
+    if (sortBy) {
+      results = this.sortResults(results, sortBy, sortOrder);
+    }
+
+    let regexScan = null;
+    if (regex) {
+      const scan = filterByRegex(results, regex, regexTimeBudget);
+      results = scan.entries;
+      regexScan = {
+        pattern: regex.pattern,
+        field: regex.field,
+        flags: regex.flags,
+        scanned: scan.scanned,
+        candidates: scan.total,
+        partial: scan.partial,
+        timeMs: scan.timeMs
+      };
+    }
+
+    let facetCounts = null;
+    if (facets) {
+      const facetFilters = createFacetFilters(selections);
+      facetCounts = { ...countFacets(results, facetFilters, facets), availableFields: this.getFieldNames(canReadFile) };
+      results = results.filter(entry => facetFilters.every(filter => filter.matches(entry)));
+    }
+
+    return { entries: results, regexScan, facets: facetCounts };
+  }
+
+  /**
+   * List the files that have entries in the index
+   * @returns {Array<string>} Source file paths
+   */
+  getSourceFiles() {
+    return Array.from(this.sourceFiles.keys());
+  }
+
+  /**
+   * List the structured field paths present in the index
+   * @param {Function} canReadFile - Only fields of entries in files this returns true for (optional)
+   * @returns {Array<string>} Field paths with the `fields.` prefix, sorted
+   */
+  getFieldNames(canReadFile = null) {
+    const visible = docIds => {
+      for (const docId of docIds) {
+        if (canReadFile(this.documents.get(docId).sourceFile)) return true;
       }
+      return false;
     };
+
+    return Array.from(this.fieldPaths)
+      .filter(([, docIds]) => !canReadFile || visible(docIds))
+      .map(([fieldPath]) => FIELDS_PREFIX + fieldPath)
+      .sort();
+  }
+
+  /**
+   * Count matching entries per level in time buckets
+   * @param {string} query - Search query (see parseQuery for the syntax)
+   * @param {Object} options - Search filters as for search, plus interval and buckets (see buildHistogram)
+   * @returns {Object} Histogram
+   * @throws {QuerySyntaxError} If the query is malformed
+   * @throws {HistogramOptionsError} If the interval is invalid
+   */
+  getHistogram(query, options = {}) {
+    const { entries, regexScan } = this.findMatches(query, { ...options, sortBy: null });
+    const histogram = buildHistogram(entries, {
+      interval: options.interval,
+      buckets: options.buckets,
+      startDate: options.startDate,
+      endDate: options.endDate
+    });
+
+    return regexScan ? { ...histogram, regex: regexScan } : histogram;
   }
 
   /**
    * Perform text search using indexed terms
    * @param {string} query - Search query
-   * @returns {Array<number>} Array of matching entry indices
+   * @returns {Array<number>} Array of matching document IDs
+   * @throws {QuerySyntaxError} If the query is malformed
    */
   performTextSearch(query) {
-    const queryTerms = this.extractTerms(query.toLowerCase());
+    const queryTree = parseQuery(query);
     
-    if (queryTerms.length === 0) {
-      return Array.from({ length: this.entries.length }, (_, i) => i);
+    if (!queryTree) {
+      return Array.from(this.documents.keys());
     }
 
-    // Find entries that match any term (OR logic)
-    const matchingIndices = new Set();
-    
-    queryTerms.forEach(term => {
-      // Exact match
-      if (this.indexedTerms.has(term)) {
-        this.indexedTerms.get(term).forEach(index => {
-          matchingIndices.add(index);
+    return Array.from(this.evaluateQuery(queryTree));
+  }
+
+  /**
+   * Evaluate a query syntax tree against the index
+   * @param {Object} node - Syntax tree node from parseQuery
+   * @returns {Set<number>} Matching document IDs
+   */
+  evaluateQuery(node) {
+    switch (node.type) {
+      case 'and': {
+        // Intersect the positive terms, then subtract the negated ones
+        const positives = node.children.filter(child => child.type !== 'not');
+        const negatives = node.children.filter(child => child.type === 'not');
+        
+        let result = positives.length > 0
+          ? intersectSets(positives.map(child => this.evaluateQuery(child)))
+          : new Set(this.documents.keys());
+        
+        negatives.forEach(negative => {
+          this.evaluateQuery(negative.child).forEach(docId => result.delete(docId));
+        });
+        
+        return result;
+      }
+      
+      case 'or': {
+        const result = new Set();
+        node.children.forEach(child => {
+          this.evaluateQuery(child).forEach(docId => result.add(docId));
         });
+        return result;
       }
       
-      // Partial match (for prefix searching)
-      this.indexedTerms.forEach((indices, indexedTerm) => {
-        if (indexedTerm.includes(term)) {
-          indices.forEach(index => {
-            matchingIndices.add(index);
+      case 'not': {
+        const excluded = this.evaluateQuery(node.child);
+        const result = new Set();
+        this.documents.forEach((entry, docId) => {
+          if (!excluded.has(docId)) result.add(docId);
+        });
+        return result;
+      }
+      
+      case 'term':
+        return this.findTermsDocIds(this.extractTerms(node.value.toLowerCase()));
+      
+      case 'phrase': {
+        const candidates = this.findTermsDocIds(this.extractTerms(node.value.toLowerCase()));
+        const phrase = normalizeWhitespace(node.value.toLowerCase());
+        const result = new Set();
+        
+        candidates.forEach(docId => {
+          const text = normalizeWhitespace(this.getSearchableText(this.documents.get(docId)));
+          if (text.includes(phrase)) result.add(docId);
+        });
+        return result;
+      }
+      
+      case 'field': {
+        const result = new Set();
+        
+        if (node.field.startsWith(FIELDS_PREFIX)) {
+          const fieldPath = node.field.slice(FIELDS_PREFIX.length);
+          const candidates = this.fieldPaths.get(fieldPath) || new Set();
+          if (node.operator === 'exists') return new Set(candidates);
+          
+          candidates.forEach(docId => {
+            if (matchesField(this.documents.get(docId), node)) result.add(docId);
           });
+          return result;
         }
-      });
+        
+        this.documents.forEach((entry, docId) => {
+          if (matchesField(entry, node)) result.add(docId);
+        });
+        return result;
+      }
+      
+      default:
+        return new Set();
+    }
+  }
+
+  /**
+   * Find documents containing every one of the given terms. A query term
+   * matches any indexed term it is a substring of.
+   * @param {Array<string>} terms - Lowercase query terms
+   * @returns {Set<number>} Matching document IDs (all documents if no terms)
+   */
+  findTermsDocIds(terms) {
+    if (terms.length === 0) {
+      return new Set(this.documents.keys());
+    }
+    
+    return intersectSets(terms.map(term => this.findTermDocIds(term)));
+  }
+
+  /**
+   * Find documents containing a single term
+   * @param {string} term - Lowercase query term
+   * @returns {Set<number>} Matching document IDs
+   */
+  findTermDocIds(term) {
+    const matchingDocIds = new Set();
+    
+    // Exact and partial matches (for prefix and infix searching)
+    this.termDictionary.findContaining(term).forEach(indexedTerm => {
+      this.indexedTerms.get(indexedTerm).forEach(docId => matchingDocIds.add(docId));
     });
+    
+    return matchingDocIds;
+  }
+
+  /**
+   * Check whether a single entry matches a query and filters.
+   * Uses the same query semantics as search, for entries that are not
+   * (yet) part of the index.
+   * @param {Object} entry - Log entry to test
+   * @param {string|Object} query - Search query, or a tree from parseQuery
+   * @param {Object} filters - Filter criteria (level, startDate, endDate)
+   * @returns {boolean} True if the entry matches
+   * @throws {QuerySyntaxError} If the query is malformed
+   */
+  matchesEntry(entry, query, filters = {}) {
+    const queryTree = typeof query === 'string' ? parseQuery(query) : query;
+    
+    if (queryTree) {
+      const text = this.getSearchableText(entry);
+      const entryTerms = this.extractTerms(text);
+      
+      if (!this.entryMatchesNode(entry, queryTree, text, entryTerms)) {
+        return false;
+      }
+    }
 
-    return Array.from(matchingIndices);
+    return this.applyFilters([entry], filters).length > 0;
+  }
+
+  /**
+   * Evaluate a query syntax tree against a single entry
+   * @param {Object} entry - Log entry
+   * @param {Object} node - Syntax tree node
+   * @param {string} text - Entry's searchable text
+   * @param {Array<string>} entryTerms - Entry's extracted terms
+   * @returns {boolean} True if the entry matches
+   */
+  entryMatchesNode(entry, node, text, entryTerms) {
+    const hasTerms = terms => terms.every(term => {
+      return entryTerms.some(entryTerm => entryTerm.includes(term));
+    });
+    
+    switch (node.type) {
+      case 'and':
+        return node.children.every(child => this.entryMatchesNode(entry, child, text, entryTerms));
+      case 'or':
+        return node.children.some(child => this.entryMatchesNode(entry, child, text, entryTerms));
+      case 'not':
+        return !this.entryMatchesNode(entry, node.child, text, entryTerms);
+      case 'term':
+        return hasTerms(this.extractTerms(node.value.toLowerCase()));
+      case 'phrase':
+        return hasTerms(this.extractTerms(node.value.toLowerCase())) &&
+          normalizeWhitespace(text).includes(normalizeWhitespace(node.value.toLowerCase()));
+      case 'field':
+        return matchesField(entry, node);
+      default:
+        return false;
+    }
   }
 
   /**
@@ -176,9 +808,11 @@ class LogSearchEngine {
    * @returns {Array<Object>} Filtered entries
    */
   applyFilters(entries, filters) {
+    // Source, level, file, directory and field value selections (see createFacetFilters)
+    const facetFilters = createFacetFilters(filters);
+
     return entries.filter(entry => {
-      // Level filter
-      if (filters.level && entry.level !== filters.level) {
+      if (!facetFilters.every(filter => filter.matches(entry))) {
         return false;
       }
 
@@ -202,7 +836,9 @@ class LogSearchEngine {
   }
 
   /**
-   * Sort search results
+   * Sort search results. Entries with the same value are ordered by source
+   * file and line number, so every entry has a fixed place in the order
+   * and cursors can point between them.
    * @param {Array<Object>} entries - Entries to sort
    * @param {string} sortBy - Field to sort by
    * @param {string} sortOrder - Sort order (asc/desc)
@@ -211,64 +847,426 @@ class LogSearchEngine {
   sortResults(entries, sortBy, sortOrder) {
     const multiplier = sortOrder === 'desc' ? -1 : 1;
     
-    return entries.sort((a, b) => {
-      let aValue = a[sortBy];
-      let bValue = b[sortBy];
-      
-      // Handle Date objects
-      if (aValue instanceof Date && bValue instanceof Date) {
-        return (aValue.getTime() - bValue.getTime()) * multiplier;
-      }
-      
-      // Handle strings
-      if (typeof aValue === 'string' && typeof bValue === 'string') {
-        return aValue.localeCompare(bValue) * multiplier;
-      }
-      
-      // Handle numbers
-      if (typeof aValue === 'number' && typeof bValue === 'number') {
-        return (aValue - bValue) * multiplier;
-      }
-      
-      // Fallback comparison
-      return String(aValue).localeCompare(String(bValue)) * multiplier;
-    });
+    return entries
+      .map(entry => ({ entry, key: getSortKey(entry, sortBy) }))
+      .sort((a, b) => compareSortKeys(a.key, b.key, multiplier))
+      .map(({ entry }) => entry);
   }
 
   /**
    * Get statistics about indexed entries
-   * @returns {Object} Index statistics
+   * @param {Function} canReadFile - Only count entries of files this returns true for (optional)
+   * @returns {Object} Index statistics, with the estimated memory use of the whole
+   *   index, and the retention limits, evictions and searchable time window
    */
-  getIndexStats() {
+  getIndexStats(canReadFile = null) {
     const levelCounts = {};
     const sourceFileCounts = {};
+    const sourceCounts = {};
+    let totalEntries = 0;
+    let oldest = Infinity;
+    let newest = -Infinity;
     
-    this.entries.forEach(entry => {
+    this.documents.forEach(entry => {
+      if (canReadFile && !canReadFile(entry.sourceFile)) return;
+      totalEntries++;
+      
+      const time = getEntryTime(entry);
+      if (time < oldest) oldest = time;
+      if (time > newest) newest = time;
+      
       // Count by level
       levelCounts[entry.level] = (levelCounts[entry.level] || 0) + 1;
       
       // Count by source file
       const filename = entry.sourceFile.split('/').pop() || entry.sourceFile;
       sourceFileCounts[filename] = (sourceFileCounts[filename] || 0) + 1;
+
+      // Count by log source
+      if (entry.source) {
+        sourceCounts[entry.source] = (sourceCounts[entry.source] || 0) + 1;
+      }
     });
 
+    const { maxEntries, maxAge, maxMemoryMB } = this.retention;
     return {
-      totalEntries: this.entries.length,
+      totalEntries,
       totalTerms: this.indexedTerms.size,
       lastIndexTime: this.lastIndexTime,
       levelCounts,
-      sourceFileCounts
+      sourceFileCounts,
+      sourceCounts,
+      estimatedMemoryBytes: Math.max(0, Math.round(this.memoryBytes)),
+      retention: {
+        maxEntries,
+        maxAge,
+        maxMemoryMB,
+        evicted: { ...this.evicted },
+        // The time window that can be searched
+        searchableFrom: totalEntries > 0 ? new Date(oldest) : null,
+        searchableTo: totalEntries > 0 ? new Date(newest) : null
+      }
     };
   }
 
+  /**
+   * Take the index apart for saving: entries in insertion order, and a
+   * copy of the postings of every term and field path. Turning postings
+   * into positions in the entry order is slow on a large index, so it's
+   * left to toPositions, for the caller to do a bit at a time.
+   * @returns {Object} Entries, terms and fieldPaths, and toPositions
+   */
+  exportIndex() {
+    const positions = new Map();
+    const entries = [];
+    this.documents.forEach((entry, docId) => {
+      positions.set(docId, entries.length);
+      entries.push(entry);
+    });
+
+    return {
+      entries,
+      terms: Array.from(this.indexedTerms, ([term, postings]) => [term, Array.from(postings)]),
+      fieldPaths: Array.from(this.fieldPaths, ([fieldPath, docIds]) => [fieldPath, Array.from(docIds)]),
+      toPositions: docIds => docIds.map(docId => positions.get(docId)).sort((a, b) => a - b)
+    };
+  }
+
+  /**
+   * Replace the index with one from exportIndex, without extracting terms again
+   * @param {Object} index - Entries, and terms and fieldPaths with postings as positions in
+   *   the entry list (see exportIndex)
+   */
+  importIndex({ entries, terms, fieldPaths }) {
+    this.clearIndex();
+
+    entries.forEach((original, docId) => {
+      const entry = compactEntry(original);
+      this.documents.set(docId, entry);
+      this.memoryBytes += estimateEntryBytes(entry);
+      this.entryIds.set(entry.id, docId);
+
+      if (!this.sourceFiles.has(entry.sourceFile)) {
+        this.sourceFiles.set(entry.sourceFile, new Set());
+      }
+      this.sourceFiles.get(entry.sourceFile).add(docId);
+    });
+    terms.forEach(([term, docIds]) => {
+      this.indexedTerms.set(term, new Set(docIds));
+      const trigrams = this.termDictionary.add(term);
+      this.memoryBytes += TERM_BYTES + term.length + (docIds.length + trigrams) * POSTING_BYTES;
+    });
+    fieldPaths.forEach(([fieldPath, docIds]) => this.fieldPaths.set(fieldPath, new Set(docIds)));
+
+    this.nextDocId = entries.length;
+    this.lastIndexTime = new Date();
+    this.version++;
+
+    if (this.retention.enabled) {
+      this.addToRetentionOrder(Array.from(this.documents.keys()));
+      this.enforceRetention();
+    }
+  }
+
   /**
    * Clear the search index
    */
   clearIndex() {
-    this.entries = [];
+    this.documents.clear();
+    this.entryIds.clear();
+    this.sourceFiles.clear();
     this.indexedTerms.clear();
+    this.termDictionary.clear();
+    this.fieldPaths.clear();
     this.lastIndexTime = null;
+    this.version++;
+    this.retentionOrder = [];
+    this.memoryBytes = 0;
   }
 }
 
-export { LogSearchEngine };
\ No newline at end of file
+/**
+ * Check an entry against a field qualifier such as `level:error` or
+ * `fields.durationMs>500`
+ * @param {Object} entry - Log entry
+ * @param {Object} node - Field node with field, operator and value
+ * @returns {boolean} True if the entry matches
+ */
+function matchesField(entry, node) {
+  const { field, operator, value } = node;
+  
+  if (field.startsWith(FIELDS_PREFIX)) {
+    const fieldValue = getFieldValue(entry.fields, field.slice(FIELDS_PREFIX.length));
+    return compareFieldValue(fieldValue, operator, value);
+  }
+  
+  switch (field) {
+    case 'level':
+      return entry.level === normalizeLogLevel(value);
+    case 'file': {
+      // File name, or a path suffix such as worker-1/worker.log; wildcards allowed
+      const filename = entry.sourceFile.split('/').pop() || entry.sourceFile;
+      if (/[*?{]/.test(value)) {
+        return matchGlob(value, filename);
+      }
+      return filename === value || entry.sourceFile.endsWith(`/${value}`);
+    }
+    case 'source':
+      return entry.source === value;
+    default:
+      return false;
+  }
+}
+
+/**
+ * Compare a structured field value. Arrays match if any element does.
+ * @param {*} fieldValue - Value found on the entry (undefined if missing)
+ * @param {string} operator - One of exists, :, >, >=, <, <=
+ * @param {string} value - Value from the query
+ * @returns {boolean} True if the comparison holds
+ */
+function compareFieldValue(fieldValue, operator, value) {
+  if (fieldValue === undefined) return false;
+  if (operator === 'exists') return true;
+  
+  if (Array.isArray(fieldValue)) {
+    return fieldValue.some(item => compareFieldValue(item, operator, value));
+  }
+  
+  if (operator === ':') {
+    if (fieldValue === null) return value === 'null';
+    if (typeof fieldValue === 'object') return false;
+    return String(fieldValue).toLowerCase() === value.toLowerCase();
+  }
+  
+  const actual = typeof fieldValue === 'number' ? fieldValue : Number(fieldValue);
+  const expected = Number(value);
+  if (fieldValue === null || fieldValue === '' || !isFinite(actual)) return false;
+  
+  switch (operator) {
+    case '>': return actual > expected;
+    case '>=': return actual >= expected;
+    case '<': return actual < expected;
+    case '<=': return actual <= expected;
+    default: return false;
+  }
+}
+
+/**
+ * Read a nested value by dotted path
+ * @param {Object} fields - Structured fields
+ * @param {string} fieldPath - Dotted path, e.g. err.stack
+ * @returns {*} Value, or undefined if the path doesn't exist
+ */
+function getFieldValue(fields, fieldPath) {
+  let value = fields;
+  
+  for (const key of fieldPath.split('.')) {
+    if (value === null || typeof value !== 'object' || !(key in value)) {
+      return undefined;
+    }
+    value = value[key];
+  }
+  
+  return value;
+}
+
+/**
+ * List every dotted path in a structured fields object, including the
+ * paths of nested objects themselves
+ * @param {Object} fields - Structured fields
+ * @param {string} prefix - Path prefix for recursion
+ * @returns {Array<string>} Field paths
+ */
+function getFieldPaths(fields, prefix = '') {
+  if (!fields || typeof fields !== 'object' || Array.isArray(fields)) return [];
+  
+  const paths = [];
+  Object.keys(fields).forEach(key => {
+    const fieldPath = prefix + key;
+    paths.push(fieldPath);
+    paths.push(...getFieldPaths(fields[key], `${fieldPath}.`));
+  });
+  
+  return paths;
+}
+
+/**
+ * Check the retention limits
+ * @param {Object} options - Engine options with maxEntries, maxAge and maxMemoryMB
+ * @returns {Object} Limits as given, maxAgeMs, maxMemoryBytes and whether any is set
+ * @throws {Error} If a limit is malformed
+ */
+function normalizeRetention(options) {
+  const { maxEntries = null, maxAge = null, maxMemoryMB = null } = options;
+
+  if (maxEntries !== null && !(Number.isInteger(maxEntries) && maxEntries > 0)) {
+    throw new Error('options.maxEntries needs to be a whole number of entries, 1 or more.');
+  }
+  if (maxMemoryMB !== null && !(typeof maxMemoryMB === 'number' && maxMemoryMB > 0)) {
+    throw new Error('options.maxMemoryMB needs to be a number of megabytes, more than 0.');
+  }
+
+  let maxAgeMs = null;
+  if (maxAge !== null) {
+    try {
+      maxAgeMs = typeof maxAge === 'number' ? maxAge : parseInterval(maxAge);
+    } catch (error) {
+      maxAgeMs = NaN;
+    }
+    if (!(maxAgeMs > 0)) {
+      throw new Error('options.maxAge needs to be a duration such as 12h or 7d, or milliseconds.');
+    }
+  }
+
+  return {
+    enabled: Boolean(maxEntries || maxAgeMs || maxMemoryMB),
+    maxEntries,
+    maxAge,
+    maxAgeMs,
+    maxMemoryMB,
+    maxMemoryBytes: maxMemoryMB ? maxMemoryMB * 1024 * 1024 : null
+  };
+}
+
+/**
+ * Store an unstructured entry compactly (see TEXT_ENTRY) when its message
+ * and trace are just its raw lines. An entry without a message, as saved
+ * by the index cache, is taken to be one.
+ * @param {Object} entry - Log entry
+ * @returns {Object} Compact entry, or the entry itself
+ */
+function compactEntry(entry) {
+  if (entry.isStructured || typeof entry.raw !== 'string' || Object.getPrototypeOf(entry) === TEXT_ENTRY) {
+    return entry;
+  }
+
+  if (entry.message !== undefined) {
+    const newline = entry.raw.indexOf('\n');
+    const firstLine = newline === -1 ? entry.raw : entry.raw.slice(0, newline);
+    const trace = newline === -1 ? undefined : entry.raw.slice(newline + 1);
+    if (entry.message !== firstLine.trim() || entry.trace !== trace) {
+      return entry;
+    }
+  }
+
+  const compact = Object.create(TEXT_ENTRY);
+  Object.keys(entry).forEach(key => {
+    if (key !== 'message' && key !== 'trace') compact[key] = entry[key];
+  });
+  return compact;
+}
+
+/**
+ * Extract the terms an entry is indexed under, without an engine
+ * @param {Object} entry - Log entry
+ * @returns {Array<string>} Distinct terms
+ */
+function getEntryTerms(entry) {
+  const { getSearchableText, extractTerms } = LogSearchEngine.prototype;
+  return Array.from(new Set(extractTerms(getSearchableText(entry))));
+}
+
+/**
+ * Turn a stored entry back into a plain object, with its message and trace
+ * @param {Object} entry - Entry from the index
+ * @returns {Object} Plain entry
+ */
+function expandEntry(entry) {
+  return Object.getPrototypeOf(entry) === TEXT_ENTRY ? entry.toJSON() : entry;
+}
+
+/**
+ * Estimate the memory an entry takes besides its postings
+ * @param {Object} entry - Stored entry
+ * @returns {number} Bytes
+ */
+function estimateEntryBytes(entry) {
+  let bytes = ENTRY_BYTES;
+  Object.keys(entry).forEach(key => {
+    const value = entry[key];
+    if (typeof value === 'string') {
+      bytes += value.length;
+    } else if (value && typeof value === 'object' && !(value instanceof Date)) {
+      // Parsed objects take about twice their JSON
+      bytes += JSON.stringify(value).length * 2;
+    }
+  });
+  return bytes;
+}
+
+/**
+ * Time an entry is ordered by for eviction
+ * @param {Object} entry - Log entry
+ * @returns {number} Milliseconds since the epoch, 0 without a timestamp
+ */
+function getEntryTime(entry) {
+  if (!entry.timestamp) return 0;
+  return (entry.timestamp instanceof Date ? entry.timestamp.getTime() : Date.parse(entry.timestamp)) || 0;
+}
+
+/**
+ * Find where a cursor falls in sorted results
+ * @param {Array<Object>} results - Entries sorted by sortBy and sortOrder
+ * @param {Object} position - Decoded cursor
+ * @param {string} sortBy - Property sorted by
+ * @param {string} sortOrder - asc or desc
+ * @returns {number} Index of the first entry after the cursor's position, or
+ *   for a `before` cursor, of the entry at or after it
+ */
+function findBoundary(results, position, sortBy, sortOrder) {
+  const multiplier = sortOrder === 'desc' ? -1 : 1;
+  const inclusive = position.direction === 'before';
+  let low = 0;
+  let high = results.length;
+  
+  while (low < high) {
+    const middle = (low + high) >>> 1;
+    const comparison = compareSortKeys(getSortKey(results[middle], sortBy), position.key, multiplier);
+    if (comparison > 0 || (inclusive && comparison === 0)) {
+      high = middle;
+    } else {
+      low = middle + 1;
+    }
+  }
+  return low;
+}
+
+/**
+ * AND a query tree together with structured field filters
+ * @param {Object|null} queryTree - Tree from parseQuery
+ * @param {Array<Object>} fieldFilters - Nodes from parseFieldFilter
+ * @returns {Object|null} Combined tree, or null if there is nothing to match
+ */
+function combineTrees(queryTree, fieldFilters) {
+  const children = [queryTree, ...fieldFilters].filter(Boolean);
+  if (children.length === 0) return null;
+  return children.length === 1 ? children[0] : { type: 'and', children };
+}
+
+/**
+ * Intersect sets, starting from the smallest
+ * @param {Array<Set>} sets - Sets to intersect
+ * @returns {Set} Items present in every set
+ */
+function intersectSets(sets) {
+  const [smallest, ...rest] = sets.slice().sort((a, b) => a.size - b.size);
+  const result = new Set();
+  
+  smallest.forEach(item => {
+    if (rest.every(set => set.has(item))) result.add(item);
+  });
+  
+  return result;
+}
+
+/**
+ * Collapse runs of whitespace so phrases match across spacing differences
+ * @param {string} text - Text to normalize
+ * @returns {string} Normalized text
+ */
+function normalizeWhitespace(text) {
+  return text.replace(/\s+/g, ' ');
+}
+
+export { LogSearchEngine, expandEntry, getEntryTerms };
\ No newline at end of file
@@ -0,0 +1,162 @@
+/**
+ * Term Dictionary Module - The Logfather
+ * "You don't search every house. You know which street to knock on."
+ */
+
+/**
+ * Length of the fragments terms are indexed by
+ */
+const GRAM_SIZE = 3;
+
+/**
+ * Finds the indexed terms that contain a piece of text without looking
+ * at every term. Each term is listed under every three-character
+ * fragment (trigram) in it, so a query only checks the terms that share
+ * all of its trigrams. Shorter queries check the terms under every
+ * trigram that contains them, found through an index of each trigram's
+ * leading and trailing two characters (bigrams).
+ *
+ * Terms are returned in the order they were added, the same order a
+ * scan over the term index would find them in.
+ */
+class TermDictionary {
+  constructor() {
+    this.trigrams = new Map();
+    this.bigrams = new Map();
+    this.sequence = new Map();
+    this.nextSequence = 0;
+  }
+
+  /**
+   * Number of terms in the dictionary
+   * @returns {number} Term count
+   */
+  get size() {
+    return this.sequence.size;
+  }
+
+  /**
+   * Add a term, or move it to the end if it's already there
+   * @param {string} term - Lowercase term
+   * @returns {number} Trigram postings added
+   */
+  add(term) {
+    this.delete(term);
+    this.sequence.set(term, this.nextSequence++);
+
+    const trigrams = getTrigrams(term);
+    trigrams.forEach(trigram => {
+      if (!this.trigrams.has(trigram)) {
+        this.trigrams.set(trigram, new Set());
+        getBigrams(trigram).forEach(bigram => {
+          if (!this.bigrams.has(bigram)) {
+            this.bigrams.set(bigram, new Set());
+          }
+          this.bigrams.get(bigram).add(trigram);
+        });
+      }
+      this.trigrams.get(trigram).add(term);
+    });
+    return trigrams.length;
+  }
+
+  /**
+   * Remove a term
+   * @param {string} term - Lowercase term
+   * @returns {number} Trigram postings removed
+   */
+  delete(term) {
+    if (!this.sequence.delete(term)) return 0;
+
+    const trigrams = getTrigrams(term);
+    trigrams.forEach(trigram => {
+      const terms = this.trigrams.get(trigram);
+      if (terms) {
+        terms.delete(term);
+        if (terms.size === 0) {
+          this.trigrams.delete(trigram);
+          getBigrams(trigram).forEach(bigram => {
+            const trigrams = this.bigrams.get(bigram);
+            trigrams.delete(trigram);
+            if (trigrams.size === 0) {
+              this.bigrams.delete(bigram);
+            }
+          });
+        }
+      }
+    });
+    return trigrams.length;
+  }
+
+  /**
+   * Find every term that contains a piece of text
+   * @param {string} fragment - Lowercase text, at least two characters
+   * @returns {Array<string>} Matching terms, in the order they were added
+   */
+  findContaining(fragment) {
+    if (fragment.length >= GRAM_SIZE) {
+      const candidates = [];
+      for (const trigram of getTrigrams(fragment)) {
+        const terms = this.trigrams.get(trigram);
+        if (!terms) return [];
+        candidates.push(terms);
+      }
+
+      // Walk the smallest set; sets keep insertion order, so the result does too
+      const [smallest, ...rest] = candidates.sort((a, b) => a.size - b.size);
+      const found = [];
+      smallest.forEach(term => {
+        if (rest.every(terms => terms.has(term)) && term.includes(fragment)) {
+          found.push(term);
+        }
+      });
+      return found;
+    }
+
+    // Too short for a trigram: a longer term has it inside one of its trigrams
+    const found = new Set();
+    if (this.sequence.has(fragment)) {
+      found.add(fragment);
+    }
+    (this.bigrams.get(fragment) || []).forEach(trigram => {
+      this.trigrams.get(trigram).forEach(term => found.add(term));
+    });
+    return Array.from(found).sort((a, b) => this.sequence.get(a) - this.sequence.get(b));
+  }
+
+  /**
+   * Remove every term
+   */
+  clear() {
+    this.trigrams.clear();
+    this.bigrams.clear();
+    this.sequence.clear();
+    this.nextSequence = 0;
+  }
+}
+
+/**
+ * Distinct trigrams of a term
+ * @param {string} term - Term
+ * @returns {Array<string>} Trigrams, none for terms shorter than three characters
+ */
+function getTrigrams(term) {
+  const trigrams = new Set();
+  for (let i = 0; i + GRAM_SIZE <= term.length; i++) {
+    trigrams.add(term.slice(i, i + GRAM_SIZE));
+  }
+  return Array.from(trigrams);
+}
+
+/**
+ * Bigrams a trigram contains
+ * @param {string} trigram - Trigram
+ * @returns {Array<string>} Its leading and trailing two characters, once each
+ */
+function getBigrams(trigram) {
+  const leading = trigram.slice(0, GRAM_SIZE - 1);
+  const trailing = trigram.slice(1);
+  return leading === trailing ? [leading] : [leading, trailing];
+}
+
+export { TermDictionary, GRAM_SIZE };
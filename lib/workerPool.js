@@ -0,0 +1,143 @@
+/**
+ * Worker Pool Module - The Logfather
+ * "Keep the crew small, and keep them busy."
+ */
+
+import { Worker } from 'worker_threads';
+
+const WORKER_URL = new URL('./parseWorker.js', import.meta.url);
+
+/**
+ * Runs parse tasks (see parseFileRange) in worker threads, so reading
+ * and parsing log files doesn't hold up the host application's requests.
+ *
+ * Workers are started when there is work for them and kept for the next
+ * task. An idle worker doesn't keep the process alive. Tasks beyond the
+ * pool size wait in line. Workers only know the built-in parsers.
+ */
+class ParseWorkerPool {
+  /**
+   * @param {Object} options - Pool options
+   * @param {number} options.size - Worker threads to run at most (default: 1)
+   * @param {Redactor} options.redactor - Redactor to rebuild in every worker (optional)
+   */
+  constructor(options = {}) {
+    this.size = Math.max(1, Math.floor(options.size) || 1);
+    this.workerData = { redaction: options.redactor ? options.redactor.getSettings() : null };
+    this.workers = [];
+    this.idle = [];
+    this.queue = [];
+  }
+
+  /**
+   * Parse part of a file in a worker
+   * @param {Object} task - Task for parseFileRange
+   * @param {Function} onBatch - Called with every batch of entries, on this thread
+   * @returns {Promise<Object>} Position reading got to, as parseFileRange returns
+   */
+  run(task, onBatch) {
+    return new Promise((resolve, reject) => {
+      this.queue.push({ task, onBatch, resolve, reject });
+      this.dispatch();
+    });
+  }
+
+  /**
+   * Hand waiting tasks to idle workers, starting workers as needed
+   */
+  dispatch() {
+    while (this.queue.length > 0) {
+      let worker = this.idle.pop();
+      if (!worker && this.workers.length < this.size) {
+        worker = this.startWorker();
+      }
+      if (!worker) return;
+
+      const job = this.queue.shift();
+      worker.job = job;
+      worker.ref();
+      worker.postMessage({ type: 'parse', task: job.task });
+    }
+  }
+
+  /**
+   * Start a worker thread
+   * @returns {Worker} New worker
+   */
+  startWorker() {
+    const worker = new Worker(WORKER_URL, { workerData: this.workerData });
+    worker.job = null;
+
+    worker.on('message', message => this.handleMessage(worker, message));
+    worker.on('error', error => this.retire(worker, error));
+    worker.on('exit', code => this.retire(worker, new Error(`Parse worker stopped with exit code ${code}.`)));
+
+    this.workers.push(worker);
+    return worker;
+  }
+
+  /**
+   * Pass a batch on, or finish the worker's task
+   * @param {Worker} worker - Worker the message came from
+   * @param {Object} message - Message from parseWorker.js
+   */
+  handleMessage(worker, message) {
+    const job = worker.job;
+    if (!job) return;
+
+    if (message.type === 'batch') {
+      try {
+        job.onBatch({ entries: message.entries, offsets: message.offsets, terms: message.terms });
+      } catch (error) {
+        // The task can't go on; the worker is mid-task, so it goes too
+        this.retire(worker, error);
+        worker.terminate();
+        return;
+      }
+      worker.postMessage({ type: 'ack', batch: message.batch });
+      return;
+    }
+
+    worker.job = null;
+    worker.unref();
+    this.idle.push(worker);
+
+    if (message.type === 'done') {
+      job.resolve(message.position);
+    } else {
+      const error = new Error(message.error.message);
+      error.code = message.error.code;
+      error.position = message.error.position;
+      job.reject(error);
+    }
+    this.dispatch();
+  }
+
+  /**
+   * Forget a worker that failed or stopped, failing its task
+   * @param {Worker} worker - Worker to forget
+   * @param {Error} error - Why its task failed
+   */
+  retire(worker, error) {
+    this.workers = this.workers.filter(other => other !== worker);
+    this.idle = this.idle.filter(other => other !== worker);
+
+    const job = worker.job;
+    worker.job = null;
+    if (job) {
+      job.reject(error);
+    }
+    this.dispatch();
+  }
+
+  /**
+   * Stop every worker. Tasks still running or waiting fail.
+   * @returns {Promise<void>} Resolves once the workers have stopped
+   */
+  async close() {
+    this.queue.splice(0).forEach(job => job.reject(new Error('The parse worker pool was closed.')));
+    await Promise.all(this.workers.map(worker => worker.terminate()));
+  }
+}
+
+export { ParseWorkerPool };
@@ -3,6 +3,16 @@
  * "The frontend that makes offers you can't refuse."
  */
 
+// Facets that can be narrowed to several values, sent as repeated query parameters
+const FACET_KEYS = ['source', 'level', 'sourceFile', 'directory', 'facet'];
+
+/**
+ * Filters with nothing selected
+ */
+function emptyFilters() {
+  return { source: [], level: [], sourceFile: [], directory: [], facet: [], startDate: '', endDate: '' };
+}
+
 // Main Vue Application
 const logfatherApp = new Vue({
   el: '#app',
@@ -13,11 +23,20 @@ const logfatherApp = new Vue({
     
     // Search and filters
     searchQuery: '',
-    filters: {
-      level: '',
-      startDate: '',
-      endDate: ''
-    },
+    queryError: '',
+    highlightTerms: [],
+    
+    // Regex mode sends the search box as a regular expression
+    regexMode: false,
+    regexField: 'message',
+    regexIgnoreCase: false,
+    regexScan: null,
+    filters: emptyFilters(),
+    
+    // Facet counts of the last search, and the fields counted (null for the server's default)
+    facets: null,
+    facetFields: null,
+    newFacetField: '',
     
     // Results
     logEntries: [],
@@ -26,12 +45,22 @@ const logfatherApp = new Vue({
       totalPages: 0
     },
     
+    // Cursors before the first and after the last entry shown, to load more around them
+    cursors: { previous: null, next: null },
+    hasPreviousResults: false,
+    hasNextResults: false,
+    loadingMore: null,
+    
     // Stats
     stats: {
       totalEntries: 0,
       lastIndexTime: null
     },
     
+    // Status of the refresh running in the background, null when there is none
+    refreshStatus: null,
+    refreshPollInterval: 500,
+    
     // Pagination
     currentPage: 1,
     pageSize: 100,
@@ -43,13 +72,223 @@ const logfatherApp = new Vue({
     // UI state
     expandedMessages: new Set(),
     
+    // Surrounding lines shown under expanded entries, by entry ID
+    contextViews: {},
+    contextStep: 10,
+    
+    // Live tail
+    liveMode: false,
+    liveSource: null,
+    maxLiveEntries: 1000,
+    
+    // Export
+    exportFormat: 'csv',
+    
+    // Saved searches
+    savedSearches: [],
+    savedSearchesEnabled: false,
+    selectedSavedSearch: '',
+    
+    // Timeline
+    histogram: null,
+    timelineDrag: null,
+    
     // Debounce timer
     searchDebounceTimer: null
   },
   
   computed: {
-    totalPages() {
-      return this.searchResults.totalPages || 1;
+    /**
+     * Share of the files the running refresh has read, in percent
+     */
+    refreshPercent() {
+      const status = this.refreshStatus;
+      if (!status || !status.filesTotal) return 0;
+      return Math.round((status.filesDone / status.filesTotal) * 100);
+    },
+    
+    /**
+     * Labels of the buttons that load results before and after the ones shown
+     */
+    loadMoreLabels() {
+      if (this.sortField !== 'timestamp') {
+        return { previous: 'LOAD PREVIOUS', next: 'LOAD MORE' };
+      }
+      return this.sortOrder === 'desc'
+        ? { previous: 'LOAD NEWER', next: 'LOAD OLDER' }
+        : { previous: 'LOAD OLDER', next: 'LOAD NEWER' };
+    },
+    
+    /**
+     * Whether there are results to load above the ones shown. Newer
+     * entries can turn up at any time, so that side is always offered.
+     */
+    canLoadPrevious() {
+      return Boolean(this.cursors.previous) &&
+        (this.hasPreviousResults || (this.sortField === 'timestamp' && this.sortOrder === 'desc'));
+    },
+    
+    /**
+     * Whether there are results to load below the ones shown
+     */
+    canLoadNext() {
+      return Boolean(this.cursors.next) &&
+        (this.hasNextResults || (this.sortField === 'timestamp' && this.sortOrder === 'asc'));
+    },
+    
+    truncatedFilesTitle() {
+      return (this.stats.truncatedFiles || [])
+        .map(file => `${file.path}: first ${file.skippedBytes} bytes skipped`)
+        .join('\n');
+    },
+    
+    /**
+     * Retention limits and evictions from the stats, or null without limits
+     */
+    retention() {
+      const retention = this.stats.retention;
+      if (!retention || !(retention.maxEntries || retention.maxAge || retention.maxMemoryMB)) return null;
+      return retention;
+    },
+    
+    /**
+     * Time window the retention limits leave searchable
+     */
+    searchableWindow() {
+      if (!this.retention) return '';
+      if (!this.retention.searchableFrom) return 'nothing indexed';
+      return `${this.formatDateTime(this.retention.searchableFrom)} – ${this.formatDateTime(this.retention.searchableTo)}`;
+    },
+    
+    retentionTitle() {
+      if (!this.retention) return '';
+      
+      const { maxEntries, maxAge, maxMemoryMB, evicted } = this.retention;
+      const limits = [
+        maxEntries ? `${maxEntries.toLocaleString()} entries` : null,
+        maxAge ? `${maxAge} old` : null,
+        maxMemoryMB ? `${maxMemoryMB} MB` : null
+      ].filter(Boolean).join(', ');
+      const sizeMB = (this.stats.estimatedMemoryBytes || 0) / (1024 * 1024);
+      
+      return [
+        `Older entries are evicted to stay within: ${limits}`,
+        `Evicted so far: ${evicted.total.toLocaleString()} ` +
+          `(${evicted.maxEntries} by count, ${evicted.maxAge} by age, ${evicted.maxMemory} by memory)`,
+        `Estimated index size: ${sizeMB.toFixed(1)} MB`
+      ].join('\n');
+    },
+    
+    /**
+     * Timeline bars in a 0-100 coordinate space, each a stack of level segments
+     */
+    timelineBars() {
+      if (!this.histogram || this.histogram.buckets.length === 0) return [];
+      
+      const buckets = this.histogram.buckets;
+      const maxTotal = Math.max(1, ...buckets.map(bucket => bucket.total));
+      const width = 100 / buckets.length;
+      // Most severe at the bottom, where it's easiest to compare
+      const order = ['error', 'warning', 'info', 'debug'];
+      const levels = this.histogram.levels.slice().sort((a, b) => {
+        const rank = level => (order.includes(level) ? order.indexOf(level) : order.length);
+        return rank(a) - rank(b);
+      });
+      
+      return buckets.map((bucket, i) => {
+        let y = 100;
+        const segments = levels
+          .filter(level => bucket.counts[level])
+          .map(level => {
+            const height = (bucket.counts[level] / maxTotal) * 100;
+            y -= height;
+            return { level, y, height };
+          });
+        
+        return {
+          x: i * width,
+          width,
+          segments,
+          title: `${this.formatDateTime(bucket.start)}: ${bucket.total} ` +
+            levels.filter(level => bucket.counts[level]).map(level => `${level} ${bucket.counts[level]}`).join(', ')
+        };
+      });
+    },
+    
+    /**
+     * Selection being dragged on the timeline, as a 0-100 range
+     */
+    timelineSelection() {
+      if (!this.timelineDrag) return null;
+      
+      const from = Math.min(this.timelineDrag.from, this.timelineDrag.to);
+      const to = Math.max(this.timelineDrag.from, this.timelineDrag.to);
+      return { x: from * 100, width: (to - from) * 100 };
+    },
+    
+    /**
+     * Log sources the switcher offers, from the stats
+     */
+    sources() {
+      return this.stats.sources || [];
+    },
+    
+    /**
+     * Facet sidebar groups: sources (when there are several), levels,
+     * files, directories, then the counted fields
+     */
+    facetGroups() {
+      if (!this.facets) return [];
+      
+      const groups = [
+        ...(this.sources.length > 1 ? [{ key: 'source', title: 'Source', ...this.facets.source }] : []),
+        { key: 'level', title: 'Level', ...this.facets.level },
+        { key: 'sourceFile', title: 'File', ...this.facets.sourceFile },
+        { key: 'directory', title: 'Directory', ...this.facets.directory }
+      ];
+      Object.entries(this.facets.fields).forEach(([field, facet]) => {
+        groups.push({ key: field, title: field.replace(/^fields\./, ''), removable: true, ...facet });
+      });
+      
+      return groups;
+    },
+    
+    /**
+     * Structured fields that could be added to the facet sidebar
+     */
+    addableFacetFields() {
+      if (!this.facets) return [];
+      return this.facets.availableFields.filter(field => !(field in this.facets.fields));
+    },
+    
+    /**
+     * Whether any facet value is ticked
+     */
+    hasFacetSelections() {
+      return FACET_KEYS.some(key => this.filters[key].length > 0);
+    },
+    
+    /**
+     * Patterns for the highlighted parts of messages: the search terms and the regex
+     */
+    highlightPatterns() {
+      const patterns = [];
+      
+      if (this.highlightTerms.length > 0) {
+        // Longest first so a phrase wins over the words inside it
+        const terms = this.highlightTerms.slice().sort((a, b) => b.length - a.length);
+        patterns.push(new RegExp(terms.map(term => this.escapeRegex(term).replace(/\s+/g, '\\s+')).join('|'), 'gi'));
+      }
+      
+      if (this.regexScan) {
+        try {
+          patterns.push(new RegExp(this.regexScan.pattern, this.regexScan.flags + 'g'));
+        } catch (error) {
+          console.warn('Cannot highlight regex:', error.message);
+        }
+      }
+      
+      return patterns;
     }
   },
   
@@ -72,11 +311,11 @@ const logfatherApp = new Vue({
      */
     resetUserSettings() {
       this.searchQuery = '';
-      this.filters = {
-        level: '',
-        startDate: '',
-        endDate: ''
-      };
+      this.regexMode = false;
+      this.regexField = 'message';
+      this.regexIgnoreCase = false;
+      this.filters = emptyFilters();
+      this.facetFields = null;
       this.currentPage = 1;
       this.pageSize = 100;
       this.sortField = 'timestamp';
@@ -91,33 +330,191 @@ const logfatherApp = new Vue({
     async init() {
       console.log('The Logfather is awakening...');
       
-      // Reset all user settings on page load
-      this.resetUserSettings();
+      // Start from the search in the URL, so links can be shared
+      this.restoreUrlState();
       
       await this.checkHealth();
+      this.loadSavedSearches();
+      
+      // Ensure logs are indexed before performing initial search. Only the
+      // first tab scans; later ones follow a scan that's running, if any.
+      try {
+        const status = await this.fetchRefreshStatus();
+        if (status.state === 'idle') {
+          await this.runRefresh();
+          console.log('Logs refreshed during initialization');
+        } else if (status.state === 'running') {
+          await this.followRefresh(status);
+        }
+      } catch (error) {
+        console.warn('Failed to refresh logs during initialization:', error.message);
+      }
+      
       await this.loadStats();
+      await this.performSearch(this.currentPage, { updateUrl: false });
+    },
+    
+    /**
+     * Current search settings, as used in URLs and saved searches
+     */
+    getSearchState() {
+      return {
+        ...this.getQueryParams(),
+        ...this.filters,
+        sortBy: this.sortField,
+        sortOrder: this.sortOrder,
+        facetFields: this.facetFields ? this.facetFields.join(',') : ''
+      };
+    },
+    
+    /**
+     * Replace the search settings, falling back to the defaults
+     */
+    applySearchState(state) {
+      this.resetUserSettings();
+      this.searchQuery = state.regex || state.q || '';
+      this.regexMode = Boolean(state.regex);
+      this.regexField = state.regexField === 'raw' ? 'raw' : 'message';
+      this.regexIgnoreCase = (state.regexFlags || '').includes('i');
+      this.filters = {
+        ...emptyFilters(),
+        startDate: state.startDate || '',
+        endDate: state.endDate || ''
+      };
+      FACET_KEYS.forEach(key => {
+        this.filters[key] = [].concat(state[key] || []).filter(Boolean);
+      });
+      this.facetFields = state.facetFields ? state.facetFields.split(',') : null;
+      if (['timestamp', 'level', 'sourceFile'].includes(state.sortBy)) {
+        this.sortField = state.sortBy;
+      }
+      if (['asc', 'desc'].includes(state.sortOrder)) {
+        this.sortOrder = state.sortOrder;
+      }
+    },
+    
+    /**
+     * Load the search settings and page from the URL
+     */
+    restoreUrlState() {
+      const params = new URLSearchParams(window.location.search);
+      const state = {};
+      params.forEach((value, key) => {
+        state[key] = FACET_KEYS.includes(key) ? params.getAll(key) : value;
+      });
+      
+      this.applySearchState(state);
+      const page = parseInt(state.page, 10);
+      this.currentPage = page > 0 ? page : 1;
+    },
+    
+    /**
+     * Record the current search in the URL and browser history
+     */
+    updateUrl() {
+      const params = new URLSearchParams();
+      Object.entries(this.getSearchState()).forEach(([key, value]) => {
+        [].concat(value).forEach(item => {
+          if (item) params.append(key, item);
+        });
+      });
+      
+      // Leave defaults out to keep links short
+      if (params.get('sortBy') === 'timestamp') params.delete('sortBy');
+      if (params.get('sortOrder') === 'desc') params.delete('sortOrder');
+      if (params.get('regexField') === 'message') params.delete('regexField');
+      if (this.currentPage > 1) params.set('page', this.currentPage);
+      
+      const search = params.toString() ? `?${params.toString()}` : '';
+      if (search !== window.location.search) {
+        window.history.pushState(null, '', window.location.pathname + search);
+      }
+    },
+    
+    /**
+     * Follow the browser's back and forward buttons
+     */
+    handlePopState() {
+      this.restoreUrlState();
+      this.performSearch(this.currentPage, { updateUrl: false });
+    },
+    
+    /**
+     * Load the saved searches, if the server keeps them
+     */
+    async loadSavedSearches() {
+      try {
+        const response = await fetch('/logs/api/searches');
+        if (response.status === 404) {
+          this.savedSearchesEnabled = false;
+          return;
+        }
+        if (!response.ok) throw new Error(`HTTP ${response.status}`);
+        const data = await response.json();
+        this.savedSearches = data.data;
+        this.savedSearchesEnabled = true;
+      } catch (error) {
+        console.error('Failed to load saved searches:', error.message);
+      }
+    },
+    
+    /**
+     * Run the saved search picked in the dropdown
+     */
+    applySavedSearch() {
+      const saved = this.savedSearches.find(search => search.id === this.selectedSavedSearch);
+      if (!saved) return;
+      
+      this.applySearchState(saved.search);
+      this.performSearch(1);
+    },
+    
+    /**
+     * Save the current search under a name, replacing one with the same name
+     */
+    async saveCurrentSearch() {
+      const selected = this.savedSearches.find(search => search.id === this.selectedSavedSearch);
+      const name = window.prompt('Name this search:', selected ? selected.name : '');
+      if (!name || !name.trim()) return;
+      
+      const existing = this.savedSearches.find(search => search.name.toLowerCase() === name.trim().toLowerCase());
+      if (existing && !window.confirm(`Replace the saved search "${existing.name}"?`)) return;
       
-      // Ensure logs are indexed before performing initial search
       try {
-        const refreshResponse = await fetch('/logs/api/refresh', {
-          method: 'POST',
+        const response = await fetch(existing ? `/logs/api/searches/${existing.id}` : '/logs/api/searches', {
+          method: existing ? 'PUT' : 'POST',
           headers: {
             'Content-Type': 'application/json'
-          }
+          },
+          body: JSON.stringify({ name, search: this.getSearchState() })
         });
-        if (refreshResponse.ok) {
-          const refreshData = await refreshResponse.json();
-          if (refreshData.success) {
-            this.stats = refreshData.data.stats;
-            this.stats.lastIndexTime = refreshData.data.lastScanTime;
-            console.log('Logs refreshed during initialization');
-          }
-        }
+        const data = await response.json();
+        if (!data.success) throw new Error(data.message);
+        
+        await this.loadSavedSearches();
+        this.selectedSavedSearch = data.data.id;
       } catch (error) {
-        console.warn('Failed to refresh logs during initialization:', error.message);
+        this.showError('Failed to save search: ' + error.message);
       }
+    },
+    
+    /**
+     * Delete the saved search picked in the dropdown
+     */
+    async deleteSavedSearch() {
+      const saved = this.savedSearches.find(search => search.id === this.selectedSavedSearch);
+      if (!saved || !window.confirm(`Delete the saved search "${saved.name}"?`)) return;
       
-      await this.performSearch();
+      try {
+        const response = await fetch(`/logs/api/searches/${saved.id}`, { method: 'DELETE' });
+        const data = await response.json();
+        if (!data.success) throw new Error(data.message);
+        
+        this.selectedSavedSearch = '';
+        await this.loadSavedSearches();
+      } catch (error) {
+        this.showError('Failed to delete search: ' + error.message);
+      }
     },
     
       /**
@@ -155,7 +552,7 @@ const logfatherApp = new Vue({
       /**
    * Perform search with current query and filters
    */
-  async performSearch(page) {
+  async performSearch(page, options = {}) {
     // Reset to page 1 if no page specified or if it's an event object
     if (!page || typeof page === 'object') {
       page = 1;
@@ -163,27 +560,31 @@ const logfatherApp = new Vue({
     this.loading = true;
     this.currentPage = page;
     
+    if (options.updateUrl !== false) {
+      this.updateUrl();
+    }
+    
     try {
-      const params = new URLSearchParams({
-        q: this.searchQuery,
-        page: page,
-        pageSize: this.pageSize,
-        sortBy: this.sortField,
-        sortOrder: this.sortOrder
-      });
+      const response = await fetch(`/logs/api/logs?${this.getSearchParams({ page }).toString()}`);
       
-      // Add filters if they have values
-      if (this.filters.level) params.append('level', this.filters.level);
-      if (this.filters.startDate) params.append('startDate', this.filters.startDate);
-      if (this.filters.endDate) params.append('endDate', this.filters.endDate);
-      
-      const url = `/logs/api/logs?${params.toString()}`;
+      // A malformed query is the user's to fix, not a failure
+      if (response.status === 400) {
+        const errorData = await response.json();
+        this.queryError = errorData.message;
+        return;
+      }
       
-      const response = await fetch(url);
       if (!response.ok) throw new Error(`HTTP ${response.status}`);
       const data = await response.json();
       
       if (data.success) {
+        this.queryError = '';
+        if (page === 1) {
+          this.loadHistogram();
+        }
+        this.highlightTerms = data.data.searchMeta.highlightTerms || [];
+        this.regexScan = data.data.searchMeta.regex || null;
+        this.facets = data.data.facets || null;
         // Force Vue reactivity by creating new array references
         this.logEntries = [...data.data.entries];
         this.searchResults = { 
@@ -191,8 +592,19 @@ const logfatherApp = new Vue({
           totalPages: data.data.pagination.totalPages
         };
         this.currentPage = data.data.pagination.currentPage;
+        this.cursors = {
+          previous: data.data.pagination.previousCursor,
+          next: data.data.pagination.nextCursor
+        };
+        this.hasPreviousResults = data.data.pagination.hasPreviousPage;
+        this.hasNextResults = data.data.pagination.hasNextPage;
         this.stats.lastIndexTime = data.meta.lastScanTime;
         
+        // Live stream follows the current query and facet selections
+        if (this.liveMode) {
+          this.startLive();
+        }
+        
         console.log(`Found ${this.searchResults.totalCount} entries`);
       } else {
         throw new Error(data.message || 'Search failed');
@@ -205,6 +617,7 @@ const logfatherApp = new Vue({
         this.logEntries = [];
         this.searchResults = { totalCount: 0, totalPages: 0 };
         this.currentPage = 1;
+        this.cursors = { previous: null, next: null };
       }
     } finally {
       this.loading = false;
@@ -212,51 +625,458 @@ const logfatherApp = new Vue({
   },
     
       /**
-   * Refresh logs from files
+   * Query string of the current search
    */
-  async refreshLogs() {
-    this.loading = true;
+  getSearchParams(extra = {}) {
+    const params = new URLSearchParams({
+      ...this.getQueryParams(),
+      ...extra,
+      pageSize: this.pageSize,
+      sortBy: this.sortField,
+      sortOrder: this.sortOrder
+    });
+    
+    this.appendFilterParams(params);
+    if (this.facetFields) {
+      params.set('facetFields', this.facetFields.join(','));
+    }
+    return params;
+  },
+    
+      /**
+   * Load the results before the first entry shown or after the last one,
+   * keeping the ones already shown in place
+   * @param {string} side - previous or next
+   */
+  async loadMore(side) {
+    const cursor = this.cursors[side];
+    if (!cursor || this.loadingMore) return;
+    this.loadingMore = side;
     
     try {
-      const response = await fetch('/logs/api/refresh', {
-        method: 'POST',
-        headers: {
-          'Content-Type': 'application/json'
-        }
-      });
-      
-      if (!response.ok) throw new Error(`HTTP ${response.status}`);
+      const response = await fetch(`/logs/api/logs?${this.getSearchParams({ cursor }).toString()}`);
       const data = await response.json();
+      if (!response.ok || !data.success) {
+        throw new Error(data.message || `HTTP ${response.status}`);
+      }
       
-      if (data.success) {
-        this.stats = data.data.stats;
-        this.stats.lastIndexTime = data.data.lastScanTime;
-        
-        // Perform search again to get updated results
-        await this.performSearch(1);
-        
-        console.log('Logs refreshed successfully');
+      const { entries, pagination } = data.data;
+      // Live tail may have shown some of them already
+      const shown = new Set(this.logEntries.map(entry => entry.id));
+      const added = entries.filter(entry => !shown.has(entry.id));
+      
+      if (side === 'previous') {
+        this.logEntries = [...added, ...this.logEntries];
+        this.hasPreviousResults = pagination.hasPreviousPage;
       } else {
-        throw new Error(data.message || 'Refresh failed');
+        this.logEntries = [...this.logEntries, ...added];
+        this.hasNextResults = pagination.hasNextPage;
       }
+      this.cursors = { ...this.cursors, [side]: side === 'previous' ? pagination.previousCursor : pagination.nextCursor };
+      this.searchResults = { ...this.searchResults, totalCount: pagination.totalCount, totalPages: pagination.totalPages };
+      this.stats.lastIndexTime = data.meta.lastScanTime;
+      
+      console.log(`Loaded ${added.length} more entries`);
+    } catch (error) {
+      console.error('Loading more results failed:', error.message);
+      this.showError('Loading more results failed: ' + error.message);
+    } finally {
+      this.loadingMore = null;
+    }
+  },
+    
+      /**
+   * Refresh logs from files
+   */
+  async refreshLogs() {
+    try {
+      await this.runRefresh();
+      await this.loadStats();
+      
+      // Perform search again to get updated results
+      await this.performSearch(1);
+      
+      console.log('Logs refreshed successfully');
     } catch (error) {
       console.error('Refresh failed:', error.message);
       this.showError('Refresh failed: ' + error.message);
+    }
+  },
+    
+      /**
+   * Ask the server how its refresh is going
+   * @returns {Promise<Object>} Refresh status
+   */
+  async fetchRefreshStatus() {
+    const response = await fetch('/logs/api/refresh/status');
+    if (!response.ok) throw new Error(`HTTP ${response.status}`);
+    return (await response.json()).data;
+  },
+    
+      /**
+   * Start a refresh on the server, or join the one running, and follow
+   * its progress until it finishes
+   * @returns {Promise<Object>} Final status of the refresh
+   */
+  async runRefresh() {
+    const response = await fetch('/logs/api/refresh', {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json'
+      }
+    });
+    if (!response.ok) throw new Error(`HTTP ${response.status}`);
+    const data = await response.json();
+    if (!data.success) throw new Error(data.message || 'Refresh failed');
+    
+    return this.followRefresh(data.data);
+  },
+    
+      /**
+   * Show a refresh's progress until it finishes
+   * @param {Object} status - Status of the refresh so far
+   * @returns {Promise<Object>} Final status of the refresh
+   */
+  async followRefresh(status) {
+    this.refreshStatus = status;
+    try {
+      while (status.state === 'running') {
+        await new Promise(resolve => setTimeout(resolve, this.refreshPollInterval));
+        status = await this.fetchRefreshStatus();
+        this.refreshStatus = status;
+      }
     } finally {
-      this.loading = false;
+      this.refreshStatus = null;
     }
+    
+    if (status.state === 'failed') throw new Error(status.error || 'Refresh failed');
+    if (status.errors && status.errors.length > 0) {
+      console.warn(`The Logfather couldn't read ${status.errors.length} files:`, status.errors);
+    }
+    return status;
   },
     
+    /**
+     * Toggle live tail mode on or off
+     */
+    toggleLive() {
+      this.liveMode = !this.liveMode;
+      
+      if (this.liveMode) {
+        this.startLive();
+      } else {
+        this.stopLive();
+      }
+    },
+    
+    /**
+     * Open (or reopen) the live entry stream for the current search
+     */
+    startLive() {
+      this.stopLive();
+      
+      const params = new URLSearchParams(this.getQueryParams());
+      this.appendFilterParams(params);
+      
+      this.liveSource = new EventSource(`/logs/api/tail?${params.toString()}`);
+      this.liveSource.addEventListener('entries', event => {
+        this.receiveLiveEntries(JSON.parse(event.data));
+      });
+      this.liveSource.addEventListener('partial', event => {
+        const scan = JSON.parse(event.data);
+        console.warn(`The Logfather's regex ran out of time on live entries, ${scan.total - scan.scanned} skipped`);
+      });
+      this.liveSource.onerror = () => {
+        console.warn('The Logfather lost the live stream, reconnecting...');
+      };
+      
+      console.log('Live tail started');
+    },
+    
+    /**
+     * Close the live entry stream
+     */
+    stopLive() {
+      if (this.liveSource) {
+        this.liveSource.close();
+        this.liveSource = null;
+        console.log('Live tail stopped');
+      }
+    },
+    
+    /**
+     * Add streamed entries to the table in the current sort direction
+     */
+    receiveLiveEntries(entries) {
+      // A stack trace that kept growing arrives again under the same ID
+      const updates = new Map(entries.map(entry => [entry.id, entry]));
+      const current = this.logEntries.map(entry => updates.get(entry.id) || entry);
+      const added = entries.filter(entry => !this.logEntries.some(existing => existing.id === entry.id));
+      const newest = added.slice().reverse();
+      
+      if (this.sortOrder === 'asc') {
+        this.logEntries = [...current, ...added].slice(-this.maxLiveEntries);
+      } else {
+        this.logEntries = [...newest, ...current].slice(0, this.maxLiveEntries);
+      }
+      
+      this.searchResults = {
+        ...this.searchResults,
+        totalCount: (this.searchResults.totalCount || 0) + added.length
+      };
+    },
+    
+    /**
+     * Show or hide the lines around an entry in its file
+     */
+    toggleContext(entryId) {
+      if (this.contextViews[entryId]) {
+        this.$delete(this.contextViews, entryId);
+      } else {
+        this.loadContext(entryId, this.contextStep, this.contextStep);
+      }
+    },
+    
+    /**
+     * Load more lines before or after an entry's context
+     */
+    loadMoreContext(entryId, direction) {
+      const view = this.contextViews[entryId];
+      if (!view || view.loading) return;
+      
+      this.loadContext(
+        entryId,
+        view.beforeCount + (direction === 'before' ? this.contextStep : 0),
+        view.afterCount + (direction === 'after' ? this.contextStep : 0)
+      );
+    },
+    
+    /**
+     * Fetch an entry with the given number of lines around it
+     */
+    async loadContext(entryId, before, after) {
+      const previous = this.contextViews[entryId];
+      this.$set(this.contextViews, entryId, { ...(previous || { entries: [] }), loading: true });
+      
+      try {
+        const params = new URLSearchParams({ before, after });
+        const response = await fetch(`/logs/api/entry/${encodeURIComponent(entryId)}?${params.toString()}`);
+        if (!response.ok) throw new Error(`HTTP ${response.status}`);
+        const data = await response.json();
+        
+        // Hidden again while loading
+        if (!this.contextViews[entryId]) return;
+        
+        this.$set(this.contextViews, entryId, {
+          entries: [...data.context.before, data.data, ...data.context.after],
+          beforeCount: before,
+          afterCount: after,
+          hasMoreBefore: data.context.hasMoreBefore,
+          hasMoreAfter: data.context.hasMoreAfter,
+          loading: false
+        });
+      } catch (error) {
+        this.$delete(this.contextViews, entryId);
+        this.showError('Failed to load context: ' + error.message);
+      }
+    },
+    
+    /**
+     * Load entry counts over time for the current search
+     */
+    async loadHistogram() {
+      const params = new URLSearchParams(this.getQueryParams());
+      this.appendFilterParams(params);
+      
+      try {
+        const response = await fetch(`/logs/api/histogram?${params.toString()}`);
+        if (!response.ok) throw new Error(`HTTP ${response.status}`);
+        const data = await response.json();
+        this.histogram = data.success ? data.data : null;
+      } catch (error) {
+        this.histogram = null;
+        console.error('Failed to load timeline:', error.message);
+      }
+    },
+    
+    /**
+     * Position of a mouse event across the timeline, from 0 to 1
+     */
+    getTimelinePosition(event) {
+      const rect = this.$refs.timeline.getBoundingClientRect();
+      return Math.min(1, Math.max(0, (event.clientX - rect.left) / rect.width));
+    },
+    
+    /**
+     * Start selecting a time range on the timeline
+     */
+    startTimelineDrag(event) {
+      const position = this.getTimelinePosition(event);
+      this.timelineDrag = { from: position, to: position };
+    },
+    
+    /**
+     * Follow the mouse while selecting a time range
+     */
+    moveTimelineDrag(event) {
+      if (this.timelineDrag) {
+        this.timelineDrag = { ...this.timelineDrag, to: this.getTimelinePosition(event) };
+      }
+    },
+    
+    /**
+     * Filter the search to the selected time range
+     */
+    endTimelineDrag() {
+      const drag = this.timelineDrag;
+      this.timelineDrag = null;
+      if (!drag || !this.histogram || !this.histogram.start) return;
+      
+      // A click is not a selection
+      if (Math.abs(drag.to - drag.from) < 0.005) return;
+      
+      const start = new Date(this.histogram.start).getTime();
+      const span = new Date(this.histogram.end).getTime() - start;
+      this.filters.startDate = this.toDateTimeInput(new Date(start + Math.min(drag.from, drag.to) * span));
+      this.filters.endDate = this.toDateTimeInput(new Date(start + Math.max(drag.from, drag.to) * span));
+      this.performSearch(1);
+    },
+    
+    /**
+     * Format a date for a datetime-local input (local time, to the second)
+     */
+    toDateTimeInput(date) {
+      const pad = value => String(value).padStart(2, '0');
+      return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}` +
+        `T${pad(date.getHours())}:${pad(date.getMinutes())}:${pad(date.getSeconds())}`;
+    },
+    
+    /**
+     * Where a facet's selected values are kept: built-in facets have their
+     * own list, field values share `facet` as `fields.<name>:<value>`
+     */
+    getFacetSelection(key, value) {
+      return FACET_KEYS.includes(key)
+        ? { list: key, item: value }
+        : { list: 'facet', item: `${key}:${value}` };
+    },
+    
+    /**
+     * Whether a facet value is ticked
+     */
+    isFacetSelected(key, value) {
+      const { list, item } = this.getFacetSelection(key, value);
+      return this.filters[list].includes(item);
+    },
+    
+    /**
+     * Tick or untick a facet value and search again
+     */
+    toggleFacet(key, value) {
+      const { list, item } = this.getFacetSelection(key, value);
+      const selected = this.filters[list];
+      this.filters[list] = selected.includes(item)
+        ? selected.filter(existing => existing !== item)
+        : [...selected, item];
+      this.performSearch(1);
+    },
+    
+    /**
+     * Show one log source, or all of them with no name
+     */
+    switchSource(name) {
+      this.filters.source = name ? [name] : [];
+      this.performSearch(1);
+    },
+    
+    /**
+     * Untick every facet value
+     */
+    clearFacets() {
+      FACET_KEYS.forEach(key => {
+        this.filters[key] = [];
+      });
+      this.performSearch(1);
+    },
+    
+    /**
+     * Count the values of another structured field in the sidebar
+     */
+    addFacetField() {
+      if (!this.newFacetField) return;
+      
+      this.facetFields = [...Object.keys(this.facets.fields), this.newFacetField];
+      this.newFacetField = '';
+      this.performSearch(this.currentPage);
+    },
+    
+    /**
+     * Stop counting a structured field, dropping its ticked values
+     */
+    removeFacetField(field) {
+      this.facetFields = Object.keys(this.facets.fields).filter(existing => existing !== field);
+      this.filters.facet = this.filters.facet.filter(item => !item.startsWith(`${field}:`));
+      this.performSearch(1);
+    },
+    
+    /**
+     * Query parameters for the search box: a query, or a regex in regex mode
+     */
+    getQueryParams() {
+      if (!this.regexMode || !this.searchQuery) {
+        return { q: this.searchQuery };
+      }
+      
+      return {
+        regex: this.searchQuery,
+        regexField: this.regexField,
+        regexFlags: this.regexIgnoreCase ? 'i' : ''
+      };
+    },
+    
+    /**
+     * Switch the search box between queries and regular expressions
+     */
+    toggleRegexMode() {
+      this.regexMode = !this.regexMode;
+      this.queryError = '';
+      if (this.searchQuery) {
+        this.performSearch(1);
+      }
+    },
+    
+    /**
+     * Add the filters that have values to a set of query parameters
+     */
+    appendFilterParams(params) {
+      FACET_KEYS.forEach(key => {
+        this.filters[key].forEach(value => params.append(key, value));
+      });
+      if (this.filters.startDate) params.append('startDate', this.filters.startDate);
+      if (this.filters.endDate) params.append('endDate', this.filters.endDate);
+    },
+    
+    /**
+     * Download every result of the current search in the chosen format
+     */
+    exportResults() {
+      const params = new URLSearchParams({
+        ...this.getQueryParams(),
+        sortBy: this.sortField,
+        sortOrder: this.sortOrder,
+        format: this.exportFormat
+      });
+      this.appendFilterParams(params);
+      
+      window.location.href = `/logs/api/export?${params.toString()}`;
+    },
+    
     /**
      * Clear all filters and search
      */
     clearFilters() {
       this.searchQuery = '';
-      this.filters = {
-        level: '',
-        startDate: '',
-        endDate: ''
-      };
+      this.filters = emptyFilters();
       this.performSearch(1);
     },
     
@@ -273,15 +1093,6 @@ const logfatherApp = new Vue({
       this.performSearch(this.currentPage);
     },
     
-    /**
-     * Go to specific page
-     */
-    goToPage(page) {
-      if (page >= 1 && page <= this.totalPages) {
-        this.performSearch(page);
-      }
-    },
-    
     /**
      * Toggle message expansion for long messages
      */
@@ -324,24 +1135,92 @@ const logfatherApp = new Vue({
     },
     
     /**
-     * Highlight search terms in text
+     * Line number, or line range for an entry that spans several lines
      */
-    highlightSearch(text) {
-      if (!this.searchQuery || !text) return text;
+    formatLineRange(entry) {
+      return entry.endLineNumber ? `${entry.lineNumber}-${entry.endLineNumber}` : String(entry.lineNumber);
+    },
+    
+    /**
+     * Number of lines merged into an entry after its first one
+     */
+    countTraceLines(entry) {
+      return entry.trace ? entry.trace.split('\n').length : 0;
+    },
+    
+    /**
+     * Check whether an entry has structured fields to show
+     */
+    hasFields(entry) {
+      return Boolean(entry.fields) && Object.keys(entry.fields).length > 0;
+    },
+    
+    /**
+     * Flatten nested structured fields into dotted key/value rows
+     */
+    flattenFields(fields, prefix = '') {
+      const rows = [];
       
-      const query = this.searchQuery.trim();
-      if (!query) return text;
+      Object.keys(fields).forEach(key => {
+        const value = fields[key];
+        const path = prefix + key;
+        
+        if (value && typeof value === 'object' && !Array.isArray(value)) {
+          rows.push(...this.flattenFields(value, `${path}.`));
+        } else {
+          rows.push({
+            key: path,
+            value: typeof value === 'string' ? value : JSON.stringify(value)
+          });
+        }
+      });
       
-      // Split query into terms
-      const terms = query.split(/\s+/).filter(term => term.length > 0);
-      let highlightedText = text;
+      return rows;
+    },
+    
+    /**
+     * Highlight the terms and phrases of the last search, and its regex
+     * matches, in text. Terms come from the server's parsed query, so
+     * operators, negated terms and field qualifiers are never highlighted.
+     */
+    highlightSearch(text) {
+      if (!text) return text;
+      text = String(text);
+      
+      const ranges = [];
+      this.highlightPatterns.forEach(pattern => {
+        for (const match of text.matchAll(pattern)) {
+          if (match[0].length > 0) {
+            ranges.push([match.index, match.index + match[0].length]);
+          }
+        }
+      });
+      ranges.sort((a, b) => a[0] - b[0]);
       
-      terms.forEach(term => {
-        const regex = new RegExp(`(${this.escapeRegex(term)})`, 'gi');
-        highlightedText = highlightedText.replace(regex, '<span class="search-highlight">$1</span>');
+      // Matched on the plain text, escaped piece by piece since it's
+      // rendered as HTML and stack frames are full of "<anonymous>"
+      let html = '';
+      let position = 0;
+      ranges.forEach(([start, end]) => {
+        if (end <= position) return;
+        start = Math.max(start, position);
+        html += this.escapeHtml(text.slice(position, start)) +
+          `<span class="search-highlight">${this.escapeHtml(text.slice(start, end))}</span>`;
+        position = end;
       });
       
-      return highlightedText;
+      return html + this.escapeHtml(text.slice(position));
+    },
+    
+    /**
+     * Escape text for use as HTML
+     */
+    escapeHtml(text) {
+      return String(text)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;');
     },
     
     /**
@@ -365,6 +1244,7 @@ const logfatherApp = new Vue({
    * Component lifecycle hooks
    */
   async mounted() {
+    window.addEventListener('popstate', this.handlePopState);
     await this.init();
 
   },
@@ -4,14 +4,105 @@
  */
 
 import express from 'express';
-import { scanLogDirectories, readLogFile } from '../lib/fileReader.js';
-import { parseLogContent } from '../lib/logParser.js';
+import crypto from 'crypto';
+import { Readable, pipeline } from 'stream';
+import { scanLogDirectories, normalizeLogPaths } from '../lib/fileReader.js';
+import { ParserRegistry, compileMultiline } from '../lib/logParser.js';
 import { LogSearchEngine } from '../lib/searchEngine.js';
+import { LogLoader } from '../lib/logLoader.js';
+import { LogTailer } from '../lib/logTailer.js';
+import { parseQuery, parseFieldFilter, QuerySyntaxError } from '../lib/queryParser.js';
+import { HistogramOptionsError, parseInterval } from '../lib/histogram.js';
+import { CursorError, decodeCursor } from '../lib/cursor.js';
+import { compileRegexSearch, filterByRegex, RegexSearchError } from '../lib/regexSearch.js';
+import { createFacetFilters, normalizeFacetFields, FacetOptionsError } from '../lib/facets.js';
+import { AlertManager } from '../lib/alerts.js';
+import { SavedSearchStore, SavedSearchError } from '../lib/savedSearches.js';
+import { AccessControl } from '../lib/accessControl.js';
+import { Redactor } from '../lib/redaction.js';
+import { IndexCache } from '../lib/indexCache.js';
+import { normalizeExportOptions, createExportChunks, ExportOptionsError, EXPORT_FORMATS } from '../lib/exporter.js';
+
+const HEARTBEAT_INTERVAL = 15000;
+const MAX_CONTEXT_ENTRIES = 500;
+const INDEX_SAVE_DELAY = 10000;
+// A save writes the whole index, so saves are at least this far apart
+const INDEX_SAVE_INTERVAL = 60000;
+// Live batches arrive while the tailer waits, so each client's regex gets less time
+const LIVE_REGEX_TIME_BUDGET = 100;
+
+/**
+ * Error thrown for search parameters that can't be used
+ */
+class SearchParamsError extends Error {
+  /**
+   * @param {string} message - Description of the problem
+   */
+  constructor(message) {
+    super(message);
+    this.name = 'SearchParamsError';
+  }
+}
 
 function createApiRoutes(config) {
   const router = express.Router();
-  const searchEngine = new LogSearchEngine();
+  const searchEngine = new LogSearchEngine({
+    maxEntries: config.maxEntries,
+    maxAge: config.maxAge,
+    maxMemoryMB: config.maxMemoryMB
+  });
+  const parsers = new ParserRegistry(config.parsers);
+  const refreshInterval = parseRefreshInterval(config.refreshInterval);
+  const redactor = config.redaction ? new Redactor(config.redaction) : null;
+  const loader = new LogLoader(searchEngine, {
+    logPaths: config.logPaths,
+    logger: config.logger,
+    maxFileSize: config.maxFileSize,
+    parsers,
+    redactor,
+    parseWorkers: config.parseWorkers
+  });
+  const indexCache = config.cacheDir
+    ? new IndexCache(config.cacheDir, {
+      settings: {
+        logPaths: normalizeLogPaths(config.logPaths),
+        maxFileSize: config.maxFileSize,
+        retention: [config.maxEntries, config.maxAge, config.maxMemoryMB],
+        parsers: config.parsers,
+        redaction: config.redaction,
+        // A random hash key changes on every start, and so would every hashed value
+        redactionHashKey: redactor && redactor.hashes ? redactor.hashKey : null
+      },
+      logger: config.logger
+    })
+    : null;
+  
+  // Fail fast on a parser name typo or a bad pattern rather than on the first refresh
+  normalizeLogPaths(config.logPaths).forEach(source => {
+    if (source.parser !== 'auto') {
+      parsers.get(source.parser);
+    }
+    compileMultiline(source.multiline);
+  });
+  const access = new AccessControl({
+    authorize: config.authorize,
+    roles: config.roles,
+    getRoles: config.getRoles,
+    logPaths: config.logPaths,
+    logger: config.logger
+  });
+  const savedSearches = config.savedSearchesFile ? new SavedSearchStore(config.savedSearchesFile) : null;
+  const alerts = config.alertRules && config.alertRules.length > 0
+    ? new AlertManager(searchEngine, { rules: config.alertRules, onAlert: config.onAlert, logger: config.logger })
+    : null;
   let lastScanTime = null;
+  let refreshJob = null;
+  let indexRestore = null;
+  let indexSave = Promise.resolve();
+  let indexSaveTimer = null;
+  let lastIndexSave = 0;
+  let tailer = null;
+  const liveClients = new Set();
 
   // Middleware for JSON parsing
   router.use(express.json());
@@ -21,29 +112,33 @@ function createApiRoutes(config) {
    */
   router.get('/logs', async (req, res) => {
     try {
+      const { query, options } = parseSearchParams(req);
       const {
-        q = '',           // Search query
-        level = null,     // Log level filter
-        startDate = null, // Start date filter
-        endDate = null,   // End date filter
+        facetFields = config.facetFields || [], // Fields to count top values for, e.g. fields.status
+        facetSize = null, // Values listed per facet
         page = 1,         // Page number
-        pageSize = config.pageSize || 100,
-        sortBy = 'timestamp',
-        sortOrder = 'desc'
+        cursor = null,    // nextCursor or previousCursor of a previous page, instead of page
+        pageSize = config.pageSize || 100
       } = req.query;
+      const facets = { fields: normalizeFacetFields(facetFields), size: facetSize };
+      if (cursor) {
+        decodeCursor(cursor, options.sortBy, options.sortOrder);
+      }
 
       // Ensure logs are loaded
       await ensureLogsLoaded();
+      const scope = await getAccessScope(req);
+      const logPaths = scope ? await scope.filterLogPaths() : config.logPaths;
+      if (sendNotModified(req, res, [getVisibleSourceFiles(scope), logPaths])) return;
 
       // Perform search
-      const results = searchEngine.search(q, {
-        level,
-        startDate,
-        endDate,
+      const results = searchEngine.search(query, {
+        ...options,
+        canReadFile: readFilter(scope),
+        facets,
         page: parseInt(page),
-        pageSize: parseInt(pageSize),
-        sortBy,
-        sortOrder
+        cursor,
+        pageSize: parseInt(pageSize)
       });
 
       res.json({
@@ -52,33 +147,126 @@ function createApiRoutes(config) {
         meta: {
           lastScanTime,
           config: {
-            logPaths: config.logPaths
+            logPaths
           }
         }
       });
           } catch (error) {
-        config.logger.error('The Logfather encountered an error during search:', error);
-        res.status(500).json({
-          success: false,
-          error: 'Search operation failed',
-          message: error.message
-        });
+        sendSearchError(res, error, 'during search');
+      }
+  });
+
+  /**
+   * GET /api/histogram - Count matching entries per level over time
+   */
+  router.get('/histogram', async (req, res) => {
+    try {
+      const { query, options } = parseSearchParams(req);
+      const {
+        interval = 'auto', // Bucket size, e.g. 1m, 1h or 1d
+        buckets = null    // Target bucket count for automatic intervals
+      } = req.query;
+
+      await ensureLogsLoaded();
+      const scope = await getAccessScope(req);
+
+      const histogram = searchEngine.getHistogram(query, {
+        ...options,
+        canReadFile: readFilter(scope),
+        interval,
+        buckets
+      });
+
+      res.json({
+        success: true,
+        data: histogram
+      });
+          } catch (error) {
+        sendSearchError(res, error, 'building a histogram', 'Histogram operation failed');
       }
   });
 
   /**
-   * POST /api/refresh - Refresh log data from files
+   * GET /api/export - Download every search result as CSV, NDJSON or JSON
+   */
+  router.get('/export', async (req, res) => {
+    try {
+      const { query, options } = parseSearchParams(req);
+      const {
+        format,           // csv, ndjson or json
+        columns,          // Comma separated or repeated column names
+        limit             // Maximum rows, 0 for all
+      } = req.query;
+
+      const exportOptions = normalizeExportOptions({ format, columns, limit });
+
+      await ensureLogsLoaded();
+      const scope = await getAccessScope(req);
+
+      const { entries, regexScan } = searchEngine.findMatches(query, {
+        ...options,
+        canReadFile: readFilter(scope)
+      });
+
+      const { contentType, extension } = EXPORT_FORMATS[exportOptions.format];
+      const stamp = new Date().toISOString().replace(/[:.]/g, '-');
+      const rowCount = exportOptions.limit ? Math.min(exportOptions.limit, entries.length) : entries.length;
+
+      res.writeHead(200, {
+        'Content-Type': contentType,
+        'Content-Disposition': `attachment; filename="logfather-export-${stamp}.${extension}"`,
+        'Cache-Control': 'no-store',
+        'X-Total-Count': String(rowCount),
+        'X-Match-Count': String(entries.length),
+        ...(regexScan && regexScan.partial ? { 'X-Partial-Results': 'true' } : {})
+      });
+
+      pipeline(Readable.from(createExportChunks(entries, exportOptions)), res, error => {
+        if (error && error.code !== 'ERR_STREAM_PREMATURE_CLOSE') {
+          config.logger.error('The Logfather couldn\'t finish an export:', error);
+        }
+      });
+          } catch (error) {
+        sendSearchError(res, error, 'during export', 'Export operation failed');
+      }
+  });
+
+  /**
+   * POST /api/refresh - Re-scan log files in the background. Responds
+   * with the job's status right away (?wait=true waits for it to finish
+   * and adds the new stats). A refresh that's already running is joined.
    */
   router.post('/refresh', async (req, res) => {
     try {
-      await loadLogs();
+      const job = startRefresh();
+      if (req.query.wait !== 'true') {
+        return res.status(202).json({
+          success: true,
+          message: 'The Logfather is on it',
+          data: await getRefreshStatus(req, job)
+        });
+      }
+
+      await job.done;
+      const scope = await getAccessScope(req);
+      if (job.state === 'failed') {
+        return res.status(500).json({
+          success: false,
+          error: 'Refresh operation failed',
+          message: job.error
+        });
+      }
       
       res.json({
         success: true,
         message: 'Logs refreshed successfully',
         data: {
+          ...await getRefreshStatus(req, job),
           lastScanTime,
-          stats: searchEngine.getIndexStats()
+          stats: {
+            ...searchEngine.getIndexStats(readFilter(scope)),
+            truncatedFiles: visibleFiles(scope, loader.getTruncatedFiles())
+          }
         }
       });
           } catch (error) {
@@ -91,21 +279,47 @@ function createApiRoutes(config) {
       }
   });
 
+  /**
+   * GET /api/refresh/status - Progress of the running refresh, or the
+   * outcome of the last one
+   */
+  router.get('/refresh/status', async (req, res) => {
+    try {
+      res.json({
+        success: true,
+        data: await getRefreshStatus(req, refreshJob)
+      });
+          } catch (error) {
+        config.logger.error('The Logfather encountered an error getting refresh status:', error);
+        res.status(500).json({
+          success: false,
+          error: 'Refresh status failed',
+          message: error.message
+        });
+      }
+  });
+
   /**
    * GET /api/stats - Get index statistics
    */
   router.get('/stats', async (req, res) => {
     try {
       await ensureLogsLoaded();
+      const scope = await getAccessScope(req);
+      const logPaths = scope ? await scope.filterLogPaths() : config.logPaths;
+      if (sendNotModified(req, res, [getVisibleSourceFiles(scope), logPaths])) return;
       
-      const stats = searchEngine.getIndexStats();
+      const stats = searchEngine.getIndexStats(readFilter(scope));
       
       res.json({
         success: true,
         data: {
           ...stats,
           lastScanTime,
-          logPaths: config.logPaths
+          logPaths,
+          sources: describeSources(logPaths, stats.sourceCounts),
+          maxFileSize: config.maxFileSize,
+          truncatedFiles: visibleFiles(scope, loader.getTruncatedFiles())
         }
       });
           } catch (error) {
@@ -123,18 +337,34 @@ function createApiRoutes(config) {
    */
   router.get('/files', async (req, res) => {
     try {
-      const files = await scanLogDirectories(config.logPaths);
+      const allFiles = await scanLogDirectories(config.logPaths);
+      const scope = await getAccessScope(req, allFiles.map(file => file.path));
+      const files = visibleFiles(scope, allFiles);
+      // Files change between refreshes, so their sizes and times are part of the tag
+      const listing = files.map(file => [file.path, file.size, file.lastModified]);
+      if (sendNotModified(req, res, [listing])) return;
       
       res.json({
         success: true,
-        data: files.map(file => ({
-          name: file.name,
-          path: file.path,
-          size: file.size,
-          lastModified: file.lastModified,
-          level: file.level,
-          directory: file.directory
-        }))
+        data: files.map(file => {
+          const indexInfo = loader.getFileInfo(file.path);
+          
+          return {
+            name: file.name,
+            path: file.path,
+            size: file.size,
+            compressed: file.compressed,
+            compressedSize: file.compressed ? file.size : null,
+            uncompressedSize: file.uncompressedSize,
+            lastModified: file.lastModified,
+            level: file.level,
+            source: file.source,
+            directory: file.directory,
+            indexed: Boolean(indexInfo),
+            truncated: indexInfo ? indexInfo.truncated : false,
+            skippedBytes: indexInfo ? indexInfo.skippedBytes : 0
+          };
+        })
       });
           } catch (error) {
         config.logger.error('The Logfather encountered an error listing files:', error);
@@ -147,14 +377,18 @@ function createApiRoutes(config) {
   });
 
   /**
-   * GET /api/entry/:id - Get specific log entry details
+   * GET /api/entry/:id - Get specific log entry details, optionally with
+   * the entries around it in its file (?before=N&after=N or ?context=N)
    */
   router.get('/entry/:id', async (req, res) => {
     try {
       await ensureLogsLoaded();
       
       const entryId = req.params.id;
-      const entry = searchEngine.entries.find(e => e.id === entryId);
+      const found = searchEngine.getEntry(entryId);
+      const scope = found ? await getAccessScope(req, [found.sourceFile]) : null;
+      // An entry the caller may not see is reported the same as a missing one
+      const entry = found && (!scope || scope.canRead(found.sourceFile)) ? found : null;
       
       if (!entry) {
         return res.status(404).json({
@@ -164,9 +398,35 @@ function createApiRoutes(config) {
         });
       }
       
+      const { context, before = context, after = context } = req.query;
+      if (before === undefined && after === undefined) {
+        return res.json({
+          success: true,
+          data: entry
+        });
+      }
+      
+      const counts = [before, after].map(value => (value === undefined || value === '' ? 0 : Number(value)));
+      if (counts.some(count => !Number.isInteger(count) || count < 0 || count > MAX_CONTEXT_ENTRIES)) {
+        return res.status(400).json({
+          success: false,
+          error: 'Invalid context size',
+          message: `before, after and context need to be whole numbers from 0 to ${MAX_CONTEXT_ENTRIES}`
+        });
+      }
+      
+      const { before: beforeEntries, after: afterEntries, hasMoreBefore, hasMoreAfter } =
+        searchEngine.getContext(entryId, { before: counts[0], after: counts[1] });
+      
       res.json({
         success: true,
-        data: entry
+        data: entry,
+        context: {
+          before: beforeEntries,
+          after: afterEntries,
+          hasMoreBefore,
+          hasMoreAfter
+        }
       });
           } catch (error) {
         config.logger.error('The Logfather encountered an error getting entry:', error);
@@ -179,40 +439,676 @@ function createApiRoutes(config) {
   });
 
   /**
-   * Load logs from files into search engine
+   * GET /api/alerts - List alert rules and how they last evaluated
    */
-  async function loadLogs() {
-    config.logger.log('The Logfather is scanning for logs...');
+  router.get('/alerts', (req, res) => {
+    res.json({
+      success: true,
+      data: alerts ? alerts.getRules() : []
+    });
+  });
+
+  /**
+   * GET /api/alerts/history - Alerts fired, newest first (?rule=name to narrow down)
+   */
+  router.get('/alerts/history', async (req, res) => {
+    const { rule = null } = req.query;
+    const history = alerts ? alerts.getHistory(rule) : [];
+    const scope = access.forRequest(req);
+    
+    if (scope) {
+      await scope.resolve(history.flatMap(alert => alert.sample.map(entry => entry.sourceFile)));
+    }
     
-    const files = await scanLogDirectories(config.logPaths, config.logger);
-    const allEntries = [];
+    res.json({
+      success: true,
+      data: scope
+        ? history.map(alert => ({ ...alert, sample: alert.sample.filter(entry => scope.canRead(entry.sourceFile)) }))
+        : history
+    });
+  });
+
+  /**
+   * Saved searches are only available with a store file configured
+   */
+  router.use('/searches', (req, res, next) => {
+    if (savedSearches) return next();
+    
+    res.status(404).json({
+      success: false,
+      error: 'Saved searches are not enabled',
+      message: 'Set the savedSearchesFile option to keep saved searches.'
+    });
+  });
+
+  /**
+   * GET /api/searches - List saved searches
+   */
+  router.get('/searches', async (req, res) => {
+    try {
+      res.json({
+        success: true,
+        data: await savedSearches.list()
+      });
+    } catch (error) {
+      sendSavedSearchError(res, error, 'listing saved searches');
+    }
+  });
+
+  /**
+   * POST /api/searches - Save a search: { name, search: { q, level, startDate, endDate, sortBy, sortOrder, filter } }
+   */
+  router.post('/searches', async (req, res) => {
+    try {
+      res.status(201).json({
+        success: true,
+        data: await savedSearches.create(req.body)
+      });
+    } catch (error) {
+      sendSavedSearchError(res, error, 'saving a search');
+    }
+  });
+
+  /**
+   * PUT /api/searches/:id - Rename a saved search or change its settings
+   */
+  router.put('/searches/:id', async (req, res) => {
+    try {
+      res.json({
+        success: true,
+        data: await savedSearches.update(req.params.id, req.body)
+      });
+    } catch (error) {
+      sendSavedSearchError(res, error, 'updating a saved search');
+    }
+  });
+
+  /**
+   * DELETE /api/searches/:id - Delete a saved search
+   */
+  router.delete('/searches/:id', async (req, res) => {
+    try {
+      res.json({
+        success: true,
+        data: await savedSearches.remove(req.params.id)
+      });
+    } catch (error) {
+      sendSavedSearchError(res, error, 'deleting a saved search');
+    }
+  });
+
+  /**
+   * Respond to a failed saved search operation
+   * @param {Object} res - Express response
+   * @param {Error} error - What went wrong
+   * @param {string} action - What was being done, for the log
+   */
+  function sendSavedSearchError(res, error, action) {
+    if (error instanceof SavedSearchError) {
+      const [status, label] = {
+        invalid: [400, 'Invalid saved search'],
+        not_found: [404, 'Saved search not found'],
+        conflict: [409, 'Saved search name taken']
+      }[error.code];
+      return res.status(status).json({
+        success: false,
+        error: label,
+        message: error.message
+      });
+    }
     
-    for (const file of files) {
-      try {
-        const content = await readLogFile(file.path, config.logger);
-        const entries = parseLogContent(content, file.path);
-        allEntries.push(...entries);
-      } catch (error) {
-        config.logger.warn(`The Logfather couldn't read file: ${file.path}`, error.message);
+    config.logger.error(`The Logfather encountered an error ${action}:`, error);
+    res.status(500).json({
+      success: false,
+      error: 'Saved search operation failed',
+      message: error.message
+    });
+  }
+
+  /**
+   * Read and check the search parameters shared by the search, export,
+   * histogram and live tail routes. Everything a request could get wrong
+   * is found here, before any work is done.
+   * @param {Object} req - Express request
+   * @returns {Object} The query as given, and search options for the search engine
+   * @throws {QuerySyntaxError|RegexSearchError|FacetOptionsError|SearchParamsError} If a parameter is invalid
+   */
+  function parseSearchParams(req) {
+    const {
+      q = '',           // Search query
+      source = null,    // Log source name, repeat for several
+      level = null,     // Log level filter, repeat for several
+      sourceFile = null, // File path, name or path suffix, repeat for several
+      directory = null, // Directory, repeat for several
+      facet = [],       // Field value selections, e.g. fields.status:500, repeat for several
+      startDate = null, // Start date filter
+      endDate = null,   // End date filter
+      filter = [],      // Structured field filters, e.g. fields.durationMs>500
+      regex = '',       // Regular expression to match against message or raw
+      regexField,       // message or raw (default: message)
+      regexFlags,       // Any of i, m, s and u
+      sortBy = 'timestamp',
+      sortOrder = 'desc'
+    } = req.query;
+
+    const options = {
+      queryTree: parseQuery(q),
+      source,
+      level,
+      sourceFile,
+      directory,
+      fieldValues: toArray(facet),
+      startDate: parseDateParam(startDate, 'startDate'),
+      endDate: parseDateParam(endDate, 'endDate'),
+      fieldFilters: toArray(filter).map(parseFieldFilter),
+      regex: parseRegex(regex, regexField, regexFlags),
+      regexTimeBudget: config.regexTimeBudget,
+      sortBy,
+      sortOrder
+    };
+    createFacetFilters({ source, level, sourceFile, directory, fields: options.fieldValues });
+
+    return { query: q, options };
+  }
+
+  /**
+   * Respond to a failed search, export, histogram or live tail request
+   * @param {Object} res - Express response
+   * @param {Error} error - What went wrong
+   * @param {string} action - What was being done, for the log
+   * @param {string} failure - Error label when it's not the request's fault (default: 'Search operation failed')
+   */
+  function sendSearchError(res, error, action, failure = 'Search operation failed') {
+    if (error instanceof QuerySyntaxError) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid search query',
+        message: error.message,
+        position: error.position
+      });
+    }
+
+    const label = [
+      [RegexSearchError, 'Invalid regex'],
+      [FacetOptionsError, 'Invalid facet options'],
+      [CursorError, 'Invalid cursor'],
+      [ExportOptionsError, 'Invalid export options'],
+      [HistogramOptionsError, 'Invalid histogram options'],
+      [SearchParamsError, 'Invalid search parameters']
+    ].find(([ErrorClass]) => error instanceof ErrorClass);
+    if (label) {
+      return res.status(400).json({
+        success: false,
+        error: label[1],
+        message: error.message
+      });
+    }
+
+    config.logger.error(`The Logfather encountered an error ${action}:`, error);
+    res.status(500).json({
+      success: false,
+      error: failure,
+      message: error.message
+    });
+  }
+
+  /**
+   * GET /api/tail - Stream newly appended log entries (Server-Sent Events)
+   */
+  router.get('/tail', (req, res) => {
+    let search;
+    try {
+      search = parseSearchParams(req);
+    } catch (error) {
+      return sendSearchError(res, error, 'starting a live tail');
+    }
+    const { queryTree, regex, source, level, sourceFile, directory, fieldValues } = search.options;
+    const filters = { source, level, sourceFile, directory, fields: fieldValues };
+
+    res.writeHead(200, {
+      'Content-Type': 'text/event-stream',
+      'Cache-Control': 'no-cache',
+      'Connection': 'keep-alive',
+      'X-Accel-Buffering': 'no'
+    });
+    res.write(': The Logfather is listening\n\n');
+
+    const client = { res, query: queryTree, regex, filters, scope: access.forRequest(req), queue: Promise.resolve() };
+    liveClients.add(client);
+
+    const heartbeat = setInterval(() => {
+      res.write(': heartbeat\n\n');
+    }, HEARTBEAT_INTERVAL);
+
+    req.on('close', () => {
+      clearInterval(heartbeat);
+      liveClients.delete(client);
+      if (liveClients.size === 0) {
+        stopTailing();
+      }
+    });
+
+    ensureLogsLoaded()
+      .then(() => {
+        if (liveClients.has(client)) {
+          startTailing();
+        }
+      })
+      .catch(error => {
+        config.logger.error('The Logfather failed to load logs for tailing:', error);
+      });
+  });
+
+  /**
+   * Start watching log directories for live clients
+   */
+  function startTailing() {
+    if (tailer) return;
+
+    // Entries reach live clients through the loader, whichever read them first
+    tailer = new LogTailer(config.logPaths, loader, { logger: config.logger });
+    tailer.start();
+  }
+
+  /**
+   * Stop watching once the last live client is gone. Alert rules need
+   * to see new entries, so with rules configured watching never stops.
+   */
+  function stopTailing() {
+    if (!tailer || alerts) return;
+
+    tailer.stop();
+    tailer = null;
+  }
+
+  /**
+   * Push new entries to every live client whose search they match
+   * @param {Array<Object>} entries - Newly parsed log entries
+   */
+  function broadcastEntries(entries) {
+    liveClients.forEach(client => {
+      let matching = entries.filter(entry => searchEngine.matchesEntry(entry, client.query, client.filters));
+      if (client.regex && matching.length > 0) {
+        const budget = Math.min(LIVE_REGEX_TIME_BUDGET, config.regexTimeBudget || LIVE_REGEX_TIME_BUDGET);
+        const scan = filterByRegex(matching, client.regex, budget);
+        if (scan.partial) {
+          client.res.write(`event: partial\ndata: ${JSON.stringify({ scanned: scan.scanned, total: scan.total })}\n\n`);
+        }
+        matching = scan.entries;
+      }
+
+      if (matching.length === 0) return;
+      if (!client.scope) {
+        client.res.write(`event: entries\ndata: ${JSON.stringify(matching)}\n\n`);
+        return;
       }
+
+      // Access to new files may need the authorize hook; queued so batches keep their order
+      client.queue = client.queue
+        .then(() => client.scope.resolve(matching.map(entry => entry.sourceFile)))
+        .then(scope => {
+          const visible = matching.filter(entry => scope.canRead(entry.sourceFile));
+          if (visible.length > 0 && liveClients.has(client)) {
+            client.res.write(`event: entries\ndata: ${JSON.stringify(visible)}\n\n`);
+          }
+        })
+        .catch(error => {
+          config.logger.error('The Logfather couldn\'t check access for live entries:', error);
+        });
+    });
+  }
+
+  /**
+   * Decide which files a request may see
+   * @param {Object} req - Express request
+   * @param {Array<string>} filePaths - Files to decide on (default: every indexed file)
+   * @returns {Promise<AccessScope|null>} Scope, or null when access isn't restricted
+   */
+  async function getAccessScope(req, filePaths = searchEngine.getSourceFiles()) {
+    const scope = access.forRequest(req);
+    return scope ? scope.resolve(filePaths) : null;
+  }
+
+  /**
+   * Start a refresh job unless one is running. Refreshes are single
+   * flight: the refresh route, the first request, scheduled re-scans and
+   * alerting all share the job that's running rather than start another.
+   * @returns {Object} The running job
+   */
+  function startRefresh() {
+    if (refreshJob && refreshJob.state === 'running') {
+      return refreshJob;
     }
+
+    const job = {
+      id: refreshJob ? refreshJob.id + 1 : 1,
+      state: 'running',
+      startedAt: new Date(),
+      finishedAt: null,
+      filesTotal: 0,
+      filesDone: 0,
+      entriesParsed: 0,
+      errors: [],
+      summary: null,
+      error: null
+    };
+    job.done = loadLogs(progress => Object.assign(job, progress))
+      .then(summary => {
+        job.state = 'done';
+        job.summary = summary;
+      })
+      .catch(error => {
+        job.state = 'failed';
+        job.error = error.message;
+        config.logger.error('The Logfather encountered an error during refresh:', error);
+      })
+      .then(() => {
+        job.finishedAt = new Date();
+      });
+
+    refreshJob = job;
+    return job;
+  }
+
+  /**
+   * Describe a refresh job to a request
+   * @param {Object} req - Express request
+   * @param {Object|null} job - Refresh job, or null if there hasn't been one
+   * @returns {Promise<Object>} Job status, without errors about files the request may not see
+   */
+  async function getRefreshStatus(req, job) {
+    const scope = job ? await getAccessScope(req, job.errors.map(error => error.path)) : null;
+    return describeRefresh(job, scope);
+  }
+
+  /**
+   * Load logs from files into search engine
+   * @param {Function} onProgress - Called as files are read (optional, see LogLoader#load)
+   * @returns {Promise<Object>} Load summary
+   */
+  async function loadLogs(onProgress) {
+    await indexRestore;
+
+    config.logger.log('The Logfather is scanning for logs...');
     
-    searchEngine.indexEntries(allEntries);
+    const firstScan = !lastScanTime;
+    const summary = await loader.load({ onProgress });
     lastScanTime = new Date();
+    searchEngine.enforceRetention();
+    
+    if (tailer) {
+      tailer.syncWatches();
+    }
     
-    config.logger.log(`The Logfather indexed ${allEntries.length} log entries from ${files.length} files.`);
+    config.logger.log(`The Logfather indexed ${summary.added} new log entries from ${summary.files} files ` +
+      `(${summary.removed} removed, ${summary.reread} re-read, ${searchEngine.documents.size} total).`);
+
+    if (indexCache && firstScan) {
+      await saveIndex();
+    } else if (indexCache && (summary.added > 0 || summary.removed > 0)) {
+      scheduleIndexSave();
+    }
+    return summary;
+  }
+
+  /**
+   * Load the index saved by a previous run, if there is one
+   */
+  async function restoreIndex() {
+    const restored = await indexCache.restore(searchEngine, loader);
+    if (restored) {
+      config.logger.log(`The Logfather restored ${restored.entries} log entries from its index cache ` +
+        `(${restored.kept.length} files unchanged or appended to, ${restored.dropped.length} changed).`);
+    }
+  }
+
+  /**
+   * Save the index to the cache directory. A failed save is logged: the
+   * index in memory is still good, the next start just reads more.
+   */
+  async function saveIndex() {
+    clearTimeout(indexSaveTimer);
+    indexSaveTimer = null;
+    lastIndexSave = Date.now();
+
+    // One save at a time, as they share a temporary file
+    indexSave = indexSave.catch(() => {}).then(() => indexCache.save(searchEngine, loader));
+    try {
+      await indexSave;
+    } catch (error) {
+      config.logger.warn('The Logfather couldn\'t save its index cache:', error.message);
+    }
   }
 
   /**
-   * Ensure logs are loaded (lazy loading)
+   * Save the index a little after entries arrive, once per burst and no
+   * sooner than INDEX_SAVE_INTERVAL after the last save
+   */
+  function scheduleIndexSave() {
+    if (indexSaveTimer) return;
+
+    const wait = Math.max(INDEX_SAVE_DELAY, lastIndexSave + INDEX_SAVE_INTERVAL - Date.now());
+    indexSaveTimer = setTimeout(saveIndex, wait);
+    indexSaveTimer.unref();
+  }
+
+  /**
+   * Tag a response with an ETag made from the index version and the
+   * request URL, and answer 304 when the client already has that version,
+   * before any work is done to build it. Only call it once the request's
+   * parameters are known to be valid, so an error is never answered with 304. A scan that finds nothing new
+   * leaves the tag alone, so lastScanTime in a cached response can lag.
+   * @param {Object} req - Express request
+   * @param {Object} res - Express response
+   * @param {Array} parts - Whatever else the response depends on, such as what the request may see
+   * @returns {boolean} True if 304 was sent and there is nothing left to do
+   */
+  function sendNotModified(req, res, parts) {
+    const hash = crypto.createHash('sha1')
+      .update(JSON.stringify([searchEngine.version, req.originalUrl, ...parts]))
+      .digest('hex');
+    res.set({
+      ETag: `W/"${hash}"`,
+      'Cache-Control': 'private, no-cache'
+    });
+
+    if (req.fresh) {
+      res.status(304).end();
+      return true;
+    }
+    return false;
+  }
+
+  /**
+   * Indexed files a request may see
+   * @param {AccessScope|null} scope - Resolved access scope of the request
+   * @returns {Array<string>|null} File paths, or null when access isn't restricted
+   */
+  function getVisibleSourceFiles(scope) {
+    return scope ? searchEngine.getSourceFiles().filter(filePath => scope.canRead(filePath)) : null;
+  }
+
+  /**
+   * Log sources a request may see, with their entry counts
+   * @param {Array<string|Object>} logPaths - Visible log paths, as configured
+   * @param {Object} counts - Entries per source name, from getIndexStats
+   * @returns {Array<Object>} Sources with name, path and entries
+   */
+  function describeSources(logPaths, counts) {
+    const sources = new Map();
+    normalizeLogPaths(config.logPaths).forEach((source, i) => {
+      // A directory listed twice under one name is one source
+      if (logPaths.includes(config.logPaths[i]) && !sources.has(source.name)) {
+        sources.set(source.name, { name: source.name, path: source.path, entries: counts[source.name] || 0 });
+      }
+    });
+    return Array.from(sources.values());
+  }
+
+  /**
+   * Ensure logs are loaded (lazy loading). The first scan is waited for;
+   * later refreshes run in the background while the index serves requests.
    */
   async function ensureLogsLoaded() {
     if (!lastScanTime) {
-      await loadLogs();
+      const job = startRefresh();
+      await job.done;
+      if (job.state === 'failed') {
+        throw new Error(job.error);
+      }
+    }
+    // Entries age out of maxAge even when nothing new arrives
+    searchEngine.enforceRetention();
+  }
+
+  if (indexCache) {
+    // Restore right away; the first scan waits for it and then reads only what changed
+    indexRestore = restoreIndex().catch(error => {
+      searchEngine.clearIndex();
+      loader.reset();
+      config.logger.error('The Logfather failed to restore its index cache:', error);
+    });
+    loader.on('entries', scheduleIndexSave);
+  }
+
+  // A refresh and the tailer read files from the same offsets, so live
+  // entries can come from either. The first scan is the backlog, not news.
+  loader.on('entries', entries => {
+    if (lastScanTime && liveClients.size > 0) {
+      broadcastEntries(entries);
     }
+  });
+
+  if (alerts) {
+    // Like live tail, rules only count what arrives after the first scan,
+    // so a restart doesn't fire them again for the backlog
+    loader.on('entries', entries => {
+      if (lastScanTime) {
+        alerts.evaluate(entries);
+      }
+    });
+    
+    ensureLogsLoaded()
+      .then(startTailing)
+      .catch(error => {
+        config.logger.error('The Logfather failed to load logs for alerting:', error);
+      });
+  }
+
+  if (refreshInterval) {
+    // A re-scan that's due while one is still running joins it
+    const refreshTimer = setInterval(startRefresh, refreshInterval);
+    refreshTimer.unref();
   }
 
   return router;
 }
 
+/**
+ * Read the refreshInterval option
+ * @param {string|number} refreshInterval - Interval such as 30s or 5m, or milliseconds
+ * @returns {number|null} Milliseconds, or null when scheduled re-scans are off
+ * @throws {Error} If the interval is malformed
+ */
+function parseRefreshInterval(refreshInterval) {
+  if (refreshInterval === undefined || refreshInterval === null || refreshInterval === 0) {
+    return null;
+  }
+
+  let ms;
+  try {
+    ms = typeof refreshInterval === 'number' ? refreshInterval : parseInterval(refreshInterval);
+  } catch (error) {
+    ms = NaN;
+  }
+  if (!(ms > 0)) {
+    throw new Error('options.refreshInterval needs to be a duration such as 30s or 5m, or milliseconds.');
+  }
+  return ms;
+}
+
+/**
+ * Describe a refresh job
+ * @param {Object|null} job - Refresh job, or null if there hasn't been one
+ * @param {AccessScope|null} scope - Scope resolved for the files in the job's errors
+ * @returns {Object} Job status, without errors about files outside the scope
+ */
+function describeRefresh(job, scope) {
+  if (!job) {
+    return { state: 'idle' };
+  }
+
+  const { summary } = job;
+  return {
+    id: job.id,
+    state: job.state,
+    startedAt: job.startedAt,
+    finishedAt: job.finishedAt,
+    filesTotal: job.filesTotal,
+    filesDone: job.filesDone,
+    entriesParsed: job.entriesParsed,
+    errors: visibleFiles(scope, job.errors),
+    added: summary ? summary.added : null,
+    removed: summary ? summary.removed : null,
+    error: job.error
+  };
+}
+
+/**
+ * Turn an access scope into a file filter for the search engine
+ * @param {AccessScope|null} scope - Access scope of the request
+ * @returns {Function|null} Filter, or null when access isn't restricted
+ */
+function readFilter(scope) {
+  return scope ? filePath => scope.canRead(filePath) : null;
+}
+
+/**
+ * Keep the files of a list that a request may see
+ * @param {AccessScope|null} scope - Resolved access scope of the request
+ * @param {Array<Object>} files - Objects with a path
+ * @returns {Array<Object>} Visible files
+ */
+function visibleFiles(scope, files) {
+  return scope ? files.filter(file => scope.canRead(file.path)) : files;
+}
+
+/**
+ * Compile the regex query parameters, if a pattern was given
+ * @param {string} pattern - Regular expression source
+ * @param {string} field - message or raw
+ * @param {string} flags - Regex flags
+ * @returns {Object|null} Compiled regex search, or null without a pattern
+ * @throws {RegexSearchError} If the pattern is invalid or unsafe
+ */
+function parseRegex(pattern, field, flags) {
+  if (!pattern) return null;
+  return compileRegexSearch(String(pattern), { field, flags });
+}
+
+/**
+ * Check a date query parameter
+ * @param {string} value - Date, as anything Date can parse
+ * @param {string} name - Parameter name, for the error message
+ * @returns {string|null} The value, or null when it's not set
+ * @throws {SearchParamsError} If the value isn't a date
+ */
+function parseDateParam(value, name) {
+  if (value === null || value === undefined || value === '') return null;
+  if (typeof value !== 'string' || isNaN(new Date(value).getTime())) {
+    throw new SearchParamsError(`${name} needs to be a date, such as 2025-01-20 or 2025-01-20T10:00:00Z.`);
+  }
+  return value;
+}
+
+/**
+ * Normalize a query parameter that may be given once or repeated
+ * @param {string|Array<string>} value - Query parameter value
+ * @returns {Array<string>} Non-empty values
+ */
+function toArray(value) {
+  if (value === undefined || value === null) return [];
+  return (Array.isArray(value) ? value : [value]).filter(item => item !== '');
+}
+
 export default createApiRoutes;
\ No newline at end of file
@@ -6,12 +6,20 @@
 import express from 'express';
 import path from 'path';
 import { fileURLToPath } from 'url';
+import { AccessControl } from '../lib/accessControl.js';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
 
 function createUiRoutes(config) {
   const router = express.Router();
+  const access = new AccessControl({
+    authorize: config.authorize,
+    roles: config.roles,
+    getRoles: config.getRoles,
+    logPaths: config.logPaths,
+    logger: config.logger
+  });
 
   /**
    * GET / - Serve the main log viewer interface
@@ -23,14 +31,16 @@ function createUiRoutes(config) {
   /**
    * GET /health - Health check endpoint
    */
-  router.get('/health', (req, res) => {
+  router.get('/health', async (req, res) => {
+    const scope = access.forRequest(req);
+    
     res.json({
       status: 'alive',
       service: 'The Logfather',
       tagline: 'We tail everything.',
       timestamp: new Date().toISOString(),
       config: {
-        logPaths: config.logPaths,
+        logPaths: scope ? await scope.filterLogPaths() : config.logPaths,
         maxFileSize: config.maxFileSize,
         pageSize: config.pageSize
       }
@@ -0,0 +1,186 @@
+/**
+ * Search Benchmark - The Logfather
+ * "Numbers don't lie. People do."
+ *
+ * Generates synthetic logs, indexes them and times searches with the
+ * term dictionary against a scan over every indexed term, checking that
+ * both return the same entries in the same order.
+ *
+ * Usage: node scripts/benchmark.js [--entries 100000] [--seed 42] [--iterations 10]
+ */
+
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { LogSearchEngine } from '../lib/searchEngine.js';
+import { LogLoader } from '../lib/logLoader.js';
+
+const DEFAULTS = { entries: 100000, seed: 42, iterations: 10 };
+
+const WORDS = ['payment', 'checkout', 'session', 'database', 'timeout', 'retry', 'cache', 'worker',
+  'request', 'response', 'upstream', 'connection', 'refused', 'started', 'finished', 'queue'];
+const LEVELS = ['debug', 'info', 'info', 'info', 'warn', 'error'];
+const PATHS = ['/api/orders', '/api/users', '/api/cart', '/health', '/api/search', '/static/app.js'];
+
+/**
+ * Read --name value pairs from the command line
+ * @param {Array<string>} args - Arguments after the script name
+ * @returns {Object} Settings with defaults filled in
+ * @throws {Error} If a value isn't a positive number
+ */
+function parseArgs(args) {
+  const settings = { ...DEFAULTS };
+  for (let i = 0; i < args.length; i += 2) {
+    const name = args[i].replace(/^--/, '');
+    const value = Number(args[i + 1]);
+    if (!(name in DEFAULTS) || !(value > 0)) {
+      throw new Error(`Unknown option or bad value: ${args[i]} ${args[i + 1]}`);
+    }
+    settings[name] = value;
+  }
+  return settings;
+}
+
+/**
+ * Seeded random numbers (mulberry32), so every run indexes the same logs
+ * @param {number} seed - Seed
+ * @returns {Function} Returns the next number in [0, 1)
+ */
+function createRandom(seed) {
+  let state = seed >>> 0;
+  return () => {
+    state = (state + 0x6D2B79F5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+/**
+ * Write a log file of JSON lines full of IDs, hashes and URLs, the kind
+ * of text that fills a term index with distinct terms
+ * @param {string} filePath - File to write
+ * @param {number} count - Lines to write
+ * @param {Function} random - Random number source
+ * @returns {Array<string>} A few hashes and request IDs that were written, to search for
+ */
+function writeLogs(filePath, count, random) {
+  const pick = list => list[Math.floor(random() * list.length)];
+  const hex = length => Array.from({ length }, () => Math.floor(random() * 16).toString(16)).join('');
+  const start = Date.UTC(2026, 0, 1);
+  const samples = [];
+  const lines = [];
+
+  for (let i = 0; i < count; i++) {
+    const requestId = `req-${hex(12)}`;
+    const hash = hex(32);
+    if (i % Math.ceil(count / 5) === 0) samples.push(hash, requestId);
+
+    lines.push(JSON.stringify({
+      time: new Date(start + i * 1000).toISOString(),
+      level: pick(LEVELS),
+      msg: `${pick(WORDS)} ${pick(WORDS)} ${requestId} ${pick(PATHS)}?id=${hash} user${Math.floor(random() * 5000)}`,
+      durationMs: Math.floor(random() * 2000)
+    }));
+  }
+
+  fs.writeFileSync(filePath, `${lines.join('\n')}\n`);
+  return samples;
+}
+
+/**
+ * The term lookup the dictionary replaced: every indexed term is checked
+ * @param {string} term - Lowercase query term
+ * @returns {Set<number>} Matching document IDs
+ */
+function scanTermDocIds(term) {
+  const matchingDocIds = new Set();
+  this.indexedTerms.forEach((docIds, indexedTerm) => {
+    if (indexedTerm.includes(term)) {
+      docIds.forEach(docId => matchingDocIds.add(docId));
+    }
+  });
+  return matchingDocIds;
+}
+
+/**
+ * Time a search, median of several runs
+ * @param {LogSearchEngine} engine - Engine to search
+ * @param {string} query - Search query
+ * @param {number} iterations - Runs to take the median of
+ * @returns {Object} Median milliseconds and the IDs found
+ */
+function timeSearch(engine, query, iterations) {
+  const times = [];
+  let ids = [];
+  for (let i = 0; i < iterations; i++) {
+    const started = process.hrtime.bigint();
+    ids = engine.searchAll(query, { sortBy: null }).map(entry => entry.id);
+    times.push(Number(process.hrtime.bigint() - started) / 1e6);
+  }
+  times.sort((a, b) => a - b);
+  return { ms: times[Math.floor(times.length / 2)], ids };
+}
+
+async function main() {
+  const settings = parseArgs(process.argv.slice(2));
+  const random = createRandom(settings.seed);
+  const directory = fs.mkdtempSync(path.join(os.tmpdir(), 'logfather-bench-'));
+
+  try {
+    console.log(`Generating ${settings.entries} entries (seed ${settings.seed})...`);
+    const samples = writeLogs(path.join(directory, 'debug1.log'), settings.entries, random);
+
+    const engine = new LogSearchEngine();
+    const loader = new LogLoader(engine, { logPaths: [directory], logger: { log() {}, warn() {}, error() {} } });
+    let started = Date.now();
+    await loader.load();
+    console.log(`Indexed ${engine.documents.size} entries, ${engine.indexedTerms.size} distinct terms in ${Date.now() - started} ms`);
+
+    // Same index, looked up the old way
+    const scanning = Object.create(engine);
+    scanning.findTermDocIds = scanTermDocIds;
+
+    const [hash, requestId] = samples;
+    const queries = [
+      ['exact term', 'checkout'],
+      ['two characters', 'ch'],
+      ['prefix of a hash', hash.slice(0, 6)],
+      ['infix of a hash', hash.slice(10, 18)],
+      ['request ID', requestId],
+      ['two terms', `timeout ${hash.slice(0, 4)}`],
+      ['phrase', '"connection refused"'],
+      ['no match', 'zzzqqq']
+    ];
+
+    console.log('\nquery              dictionary ms   scan ms   speedup   results');
+    let mismatches = 0;
+    queries.forEach(([label, query]) => {
+      const fast = timeSearch(engine, query, settings.iterations);
+      const slow = timeSearch(scanning, query, settings.iterations);
+      const same = fast.ids.length === slow.ids.length && fast.ids.every((id, i) => id === slow.ids[i]);
+      if (!same) mismatches++;
+
+      console.log(`${label.padEnd(18)} ${fast.ms.toFixed(2).padStart(13)} ${slow.ms.toFixed(2).padStart(9)} ` +
+        `${(slow.ms / Math.max(fast.ms, 0.001)).toFixed(1).padStart(8)}x ${String(fast.ids.length).padStart(9)}` +
+        `${same ? '' : '  MISMATCH'}`);
+    });
+
+    started = Date.now();
+    engine.removeSourceFile(path.join(directory, 'debug1.log'));
+    console.log(`\nRemoved every entry in ${Date.now() - started} ms`);
+
+    if (mismatches > 0) {
+      console.error(`${mismatches} queries returned different results.`);
+      process.exitCode = 1;
+    }
+  } finally {
+    fs.rmSync(directory, { recursive: true, force: true });
+  }
+}
+
+main().catch(error => {
+  console.error(error);
+  process.exitCode = 1;
+});
@@ -0,0 +1,68 @@
+/**
+ * Access Control Tests - The Logfather
+ * "What you don't know can't hurt the family."
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import path from 'path';
+import { createLogDir, startServer, request } from './helpers.js';
+
+/**
+ * Serve two directories with different structured fields, readable by
+ * the role named in the x-role header
+ * @returns {Promise<Object>} Log directory, base URL and close()
+ */
+async function startScopedServer() {
+  const dir = createLogDir({
+    'frontend/debug.log': `${JSON.stringify({ level: 'info', message: 'page shown', page: '/home' })}\n`,
+    'payments/debug.log': `${JSON.stringify({ level: 'error', message: 'card declined', cardLast4: '4242' })}\n`
+  });
+  const server = await startServer({
+    logPaths: [{ path: dir, recursive: true }],
+    roles: { support: [path.join(dir, 'frontend')], oncall: '*' }
+  }, (req, res, next) => {
+    req.user = { role: req.headers['x-role'] };
+    next();
+  });
+  return { dir, ...server };
+}
+
+test('facets only expose the fields of readable files', async () => {
+  const { dir, base, close } = await startScopedServer();
+  try {
+    const facets = async role => (await request(`${base}/logs`, { headers: { 'x-role': role } })).json().data.facets;
+
+    const support = await facets('support');
+    assert.deepEqual(support.availableFields, ['fields.page']);
+    assert.deepEqual(support.sourceFile.values.map(value => value.label), ['debug.log']);
+
+    const oncall = await facets('oncall');
+    assert.deepEqual(oncall.availableFields, ['fields.cardLast4', 'fields.page']);
+
+    const nobody = await facets('visitor');
+    assert.deepEqual(nobody.availableFields, []);
+  } finally {
+    await close();
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+});
+
+test('searches and entries of unreadable files stay hidden', async () => {
+  const { dir, base, close } = await startScopedServer();
+  try {
+    const search = async (role, q) => (await request(`${base}/logs?q=${q}`, { headers: { 'x-role': role } })).json().data;
+
+    assert.equal((await search('support', 'declined')).pagination.totalCount, 0);
+    const [payment] = (await search('oncall', 'declined')).entries;
+    assert.ok(payment);
+
+    const entryUrl = `${base}/entry/${encodeURIComponent(payment.id)}`;
+    assert.equal((await request(entryUrl, { headers: { 'x-role': 'support' } })).status, 404);
+    assert.equal((await request(entryUrl, { headers: { 'x-role': 'oncall' } })).status, 200);
+  } finally {
+    await close();
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+});
@@ -0,0 +1,86 @@
+/**
+ * Alert Tests - The Logfather
+ * "When something goes wrong, you'll hear from us."
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import path from 'path';
+import { AlertManager } from '../lib/alerts.js';
+import { LogSearchEngine } from '../lib/searchEngine.js';
+import { createLogDir, startServer, request, quietLogger } from './helpers.js';
+
+/**
+ * Build an error entry
+ * @param {number} lineNumber - Line number, also used in the ID
+ * @param {number} time - Timestamp in milliseconds
+ * @returns {Object} Log entry
+ */
+function createEntry(lineNumber, time) {
+  return {
+    id: `debug.log:${lineNumber}`,
+    level: 'error',
+    message: 'payment failed',
+    timestamp: new Date(time),
+    sourceFile: '/logs/debug.log',
+    lineNumber,
+    raw: 'payment failed'
+  };
+}
+
+/**
+ * JSON log lines for error entries stamped now
+ * @param {Array<string>} messages - Messages
+ * @returns {string} Lines, newline-terminated
+ */
+function errorLines(messages) {
+  const timestamp = new Date().toISOString();
+  return messages.map(message => `${JSON.stringify({ level: 'error', message, timestamp })}\n`).join('');
+}
+
+test('rules count the window from the entries they are given, without searching', () => {
+  const engine = new LogSearchEngine();
+  engine.searchAll = () => assert.fail('evaluate should not search the index');
+  const alerts = new AlertManager(engine, {
+    rules: [{ name: 'payments', query: 'payment', level: 'error', window: '1m', threshold: 2 }],
+    logger: quietLogger
+  });
+  const start = Date.UTC(2025, 0, 20, 10, 0, 0);
+
+  assert.equal(alerts.evaluate([createEntry(1, start), createEntry(2, start)], start).length, 0);
+  // A re-read entry doesn't count twice
+  assert.equal(alerts.evaluate([createEntry(2, start)], start).length, 0);
+  assert.equal(alerts.getRules()[0].lastEvaluation.count, 2);
+
+  // The first two have left the window by now
+  const later = start + 90 * 1000;
+  assert.equal(alerts.evaluate([createEntry(3, later), createEntry(4, later)], later).length, 0);
+  assert.equal(alerts.getRules()[0].lastEvaluation.count, 2);
+
+  const [alert] = alerts.evaluate([createEntry(5, later + 1000)], later + 1000);
+  assert.equal(alert.count, 3);
+  assert.deepEqual(alert.sample.map(entry => entry.id), ['debug.log:5', 'debug.log:3', 'debug.log:4']);
+});
+
+test('the backlog read on startup does not fire alerts', async () => {
+  const dir = createLogDir({ 'debug.log': errorLines(['old 1', 'old 2', 'old 3', 'old 4']) });
+  const { base, close } = await startServer({
+    logPaths: [dir],
+    alertRules: [{ name: 'errors', level: 'error', window: '5m', threshold: 2 }]
+  });
+  try {
+    await request(`${base}/logs`);
+    assert.deepEqual((await request(`${base}/alerts/history`)).json().data, []);
+
+    fs.appendFileSync(path.join(dir, 'debug.log'), errorLines(['new 1', 'new 2', 'new 3']));
+    await request(`${base}/refresh?wait=true`, { method: 'POST' });
+
+    const [alert] = (await request(`${base}/alerts/history`)).json().data;
+    assert.equal(alert.count, 3);
+    assert.deepEqual(alert.sample.map(entry => entry.message).sort(), ['new 1', 'new 2', 'new 3']);
+  } finally {
+    await close();
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+});
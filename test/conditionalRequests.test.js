@@ -0,0 +1,45 @@
+/**
+ * Conditional Request Tests - The Logfather
+ * "If nothing's changed, we don't need to talk."
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import { createLogDir, startServer, request } from './helpers.js';
+
+test('a search that has not changed is answered with 304', async () => {
+  const dir = createLogDir({ 'debug.log': 'hello\nworld\n' });
+  const { base, close } = await startServer({ logPaths: [dir] });
+  try {
+    const first = await request(`${base}/logs?q=hello`);
+    assert.equal(first.status, 200);
+    assert.ok(first.headers.etag);
+
+    const repeat = await request(`${base}/logs?q=hello`, { headers: { 'If-None-Match': first.headers.etag } });
+    assert.equal(repeat.status, 304);
+  } finally {
+    await close();
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+});
+
+test('invalid search parameters are never answered with 304', async () => {
+  const dir = createLogDir({ 'debug.log': 'hello\n' });
+  const { base, close } = await startServer({ logPaths: [dir] });
+  try {
+    const invalid = ['q=(hello', 'regex=(a%2B)%2B', 'startDate=garbage', 'cursor=zzz', 'facet=nope', 'facetFields=a..b'];
+    for (const params of invalid) {
+      const first = await request(`${base}/logs?${params}`);
+      assert.equal(first.status, 400, params);
+
+      for (const tag of [first.headers.etag, '*'].filter(Boolean)) {
+        const repeat = await request(`${base}/logs?${params}`, { headers: { 'If-None-Match': tag } });
+        assert.equal(repeat.status, 400, params);
+      }
+    }
+  } finally {
+    await close();
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+});
@@ -0,0 +1,43 @@
+/**
+ * Facet Tests - The Logfather
+ * "Everyone has their price. We just count them."
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { LogSearchEngine } from '../lib/searchEngine.js';
+
+/**
+ * Build a structured entry
+ * @param {string} sourceFile - File the entry came from
+ * @param {number} lineNumber - Line number
+ * @param {Object} fields - Structured fields
+ * @returns {Object} Log entry
+ */
+function createEntry(sourceFile, lineNumber, fields) {
+  return {
+    id: `${sourceFile}:${lineNumber}`,
+    level: 'info',
+    message: 'request done',
+    timestamp: new Date(Date.UTC(2025, 0, 20, 10, 0, lineNumber)),
+    sourceFile,
+    lineNumber,
+    raw: JSON.stringify({ message: 'request done', ...fields }),
+    fields,
+    isStructured: true
+  };
+}
+
+test('available facet fields only come from files the caller may read', () => {
+  const engine = new LogSearchEngine();
+  engine.addEntries([
+    createEntry('/logs/frontend/debug.log', 1, { status: 200, page: '/home' }),
+    createEntry('/logs/payments/debug.log', 1, { status: 500, cardLast4: '4242' })
+  ]);
+  const facets = canReadFile => engine.search('', { facets: { fields: [] }, canReadFile }).facets;
+
+  assert.deepEqual(facets(null).availableFields, ['fields.cardLast4', 'fields.page', 'fields.status']);
+  assert.deepEqual(facets(file => file.startsWith('/logs/frontend/')).availableFields, ['fields.page', 'fields.status']);
+  assert.deepEqual(facets(file => file.startsWith('/logs/payments/')).availableFields, ['fields.cardLast4', 'fields.status']);
+  assert.deepEqual(facets(() => false).availableFields, []);
+});
@@ -0,0 +1,130 @@
+/**
+ * Test Helpers - The Logfather
+ * "Keep your friends close and your fixtures closer."
+ */
+
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import http from 'http';
+import express from 'express';
+import createLogfatherMiddleware from '../index.js';
+
+const quietLogger = { log() {}, warn() {}, error() {} };
+
+/**
+ * Make a temporary log directory with the given files
+ * @param {Object} files - File contents by relative path
+ * @returns {string} Directory path
+ */
+function createLogDir(files = {}) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'logfather-test-'));
+  Object.entries(files).forEach(([name, content]) => {
+    fs.mkdirSync(path.dirname(path.join(dir, name)), { recursive: true });
+    fs.writeFileSync(path.join(dir, name), content);
+  });
+  return dir;
+}
+
+/**
+ * Serve the plugin on a free port
+ * @param {Object} options - Plugin options; logger defaults to a silent one
+ * @param {Function} beforePlugin - Middleware to run before the plugin, e.g. to set req.user (optional)
+ * @returns {Promise<Object>} Server, its base URL and close()
+ */
+function startServer(options, beforePlugin = null) {
+  const app = express();
+  if (beforePlugin) app.use(beforePlugin);
+  app.use('/logs', createLogfatherMiddleware({ express, logger: quietLogger, ...options }));
+
+  return new Promise(resolve => {
+    const server = app.listen(0, () => {
+      resolve({
+        server,
+        base: `http://localhost:${server.address().port}/logs/api`,
+        close: () => new Promise(done => {
+          server.closeAllConnections();
+          server.close(done);
+        })
+      });
+    });
+  });
+}
+
+/**
+ * Make a request and read the whole response
+ * @param {string} url - URL
+ * @param {Object} options - Method and headers (optional)
+ * @returns {Promise<Object>} Status, headers, body text and json() to parse it
+ */
+function request(url, options = {}) {
+  return new Promise((resolve, reject) => {
+    const req = http.request(url, { method: options.method || 'GET', headers: options.headers || {} }, res => {
+      let body = '';
+      res.setEncoding('utf8');
+      res.on('data', chunk => { body += chunk; });
+      res.on('end', () => resolve({ status: res.statusCode, headers: res.headers, body, json: () => JSON.parse(body) }));
+    });
+    req.on('error', reject);
+    req.end();
+  });
+}
+
+/**
+ * Open a Server-Sent Events stream and collect its events
+ * @param {string} url - Stream URL
+ * @returns {Promise<Object>} Stream with events, waitFor(predicate, ms) and close()
+ */
+function openStream(url) {
+  return new Promise((resolve, reject) => {
+    const req = http.get(url, res => {
+      const stream = { status: res.statusCode, events: [], waiters: [] };
+      let buffer = '';
+
+      res.setEncoding('utf8');
+      res.on('data', chunk => {
+        buffer += chunk;
+        const blocks = buffer.split('\n\n');
+        buffer = blocks.pop();
+        blocks.forEach(block => {
+          const event = block.match(/^event: (.*)$/m);
+          const data = block.match(/^data: (.*)$/m);
+          if (event && data) stream.events.push({ event: event[1], data: JSON.parse(data[1]) });
+        });
+        stream.waiters.forEach(waiter => waiter());
+      });
+
+      stream.waitFor = (predicate, ms = 3000) => new Promise((done, fail) => {
+        const check = () => {
+          const found = stream.events.find(predicate);
+          if (!found) return;
+          clearTimeout(timer);
+          stream.waiters = stream.waiters.filter(waiter => waiter !== check);
+          done(found);
+        };
+        const timer = setTimeout(() => {
+          stream.waiters = stream.waiters.filter(waiter => waiter !== check);
+          fail(new Error(`No matching event within ${ms}ms, got ${JSON.stringify(stream.events)}`));
+        }, ms);
+        stream.waiters.push(check);
+        check();
+      });
+      stream.close = () => req.destroy();
+
+      // The stream is ready once the server says it's listening
+      res.once('data', () => resolve(stream));
+    });
+    req.on('error', reject);
+  });
+}
+
+/**
+ * Wait a while
+ * @param {number} ms - Milliseconds
+ * @returns {Promise<void>}
+ */
+function delay(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+export { createLogDir, startServer, request, openStream, delay, quietLogger };
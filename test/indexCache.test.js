@@ -0,0 +1,71 @@
+/**
+ * Index Cache Tests - The Logfather
+ * "A man who doesn't remember the family doesn't have one."
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import path from 'path';
+import zlib from 'zlib';
+import { IndexCache, SNAPSHOT_FILE } from '../lib/indexCache.js';
+import { LogSearchEngine } from '../lib/searchEngine.js';
+import { LogLoader } from '../lib/logLoader.js';
+import { createLogDir, quietLogger } from './helpers.js';
+
+/**
+ * Index a log directory
+ * @param {string} dir - Log directory
+ * @returns {Promise<Object>} Engine and loader
+ */
+async function indexDir(dir) {
+  const searchEngine = new LogSearchEngine();
+  const loader = new LogLoader(searchEngine, { logPaths: [dir], logger: quietLogger });
+  await loader.load();
+  return { searchEngine, loader };
+}
+
+test('a saved index is written in chunks and restores to the same search results', async () => {
+  const lines = Array.from({ length: 2500 }, (_, i) =>
+    JSON.stringify({ level: i % 3 ? 'info' : 'error', message: `request user-${i} done`, status: 200 + (i % 5) }));
+  const dir = createLogDir({ 'debug.log': `${lines.join('\n')}\n` });
+  const cacheDir = path.join(dir, 'cache');
+  try {
+    const original = await indexDir(dir);
+    const cache = new IndexCache(cacheDir, { settings: { dir }, logger: quietLogger });
+    assert.ok(await cache.save(original.searchEngine, original.loader) > 0);
+
+    const snapshotLines = zlib.gunzipSync(fs.readFileSync(path.join(cacheDir, SNAPSHOT_FILE))).toString().trim().split('\n');
+    assert.ok(snapshotLines.length > 3);
+
+    const searchEngine = new LogSearchEngine();
+    const loader = new LogLoader(searchEngine, { logPaths: [dir], logger: quietLogger });
+    const restored = await cache.restore(searchEngine, loader);
+    assert.equal(restored.entries, 2500);
+
+    for (const query of ['user-1234', 'level:error', 'fields.status:203', '']) {
+      const ids = engine => engine.search(query, { pageSize: 50 }).entries.map(entry => entry.id);
+      assert.deepEqual(ids(searchEngine), ids(original.searchEngine), query);
+    }
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+});
+
+test('an index saved with other settings is not restored', async () => {
+  const dir = createLogDir({ 'debug.log': 'hello\n' });
+  const cacheDir = path.join(dir, 'cache');
+  try {
+    const original = await indexDir(dir);
+    await new IndexCache(cacheDir, { settings: { maxFileSize: 1 }, logger: quietLogger })
+      .save(original.searchEngine, original.loader);
+
+    const searchEngine = new LogSearchEngine();
+    const loader = new LogLoader(searchEngine, { logPaths: [dir], logger: quietLogger });
+    const cache = new IndexCache(cacheDir, { settings: { maxFileSize: 2 }, logger: quietLogger });
+    assert.equal(await cache.restore(searchEngine, loader), null);
+    assert.equal(searchEngine.documents.size, 0);
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+});
@@ -0,0 +1,72 @@
+/**
+ * Live Tail Tests - The Logfather
+ * "Nothing happens in this family without us hearing about it."
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import path from 'path';
+import { createLogDir, startServer, request, openStream, delay } from './helpers.js';
+
+test('entries read by a refresh reach live clients', async () => {
+  const dir = createLogDir({ 'debug.log': 'first line\n' });
+  const { base, close } = await startServer({ logPaths: [dir] });
+  try {
+    await request(`${base}/logs`);
+    const stream = await openStream(`${base}/tail?q=appended`);
+
+    // The tailer waits a moment before reading, so the refresh gets there first
+    fs.appendFileSync(path.join(dir, 'debug.log'), 'appended line\n');
+    const refresh = await request(`${base}/refresh?wait=true`, { method: 'POST' });
+    assert.equal(refresh.json().data.added, 1);
+
+    const { data } = await stream.waitFor(event => event.event === 'entries');
+    assert.deepEqual(data.map(entry => entry.message), ['appended line']);
+    stream.close();
+  } finally {
+    await close();
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+});
+
+test('the first scan is not pushed to live clients', async () => {
+  const dir = createLogDir({ 'debug.log': 'old line\n' });
+  const { base, close } = await startServer({ logPaths: [dir] });
+  try {
+    const stream = await openStream(`${base}/tail`);
+    await request(`${base}/logs`);
+    fs.appendFileSync(path.join(dir, 'debug.log'), 'new line\n');
+    await request(`${base}/refresh?wait=true`, { method: 'POST' });
+
+    const { data } = await stream.waitFor(event => event.event === 'entries');
+    assert.deepEqual(data.map(entry => entry.message), ['new line']);
+    stream.close();
+  } finally {
+    await close();
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+});
+
+test('entries read by scheduled re-scans reach live clients', async () => {
+  const dir = createLogDir({ 'debug.log': 'first line\n' });
+  // Re-scans run more often than the tailer's debounce, so they read most appends
+  const { base, close } = await startServer({ logPaths: [dir], refreshInterval: 20 });
+  try {
+    await request(`${base}/logs`);
+    const stream = await openStream(`${base}/tail`);
+
+    for (const line of ['one', 'two', 'three']) {
+      fs.appendFileSync(path.join(dir, 'debug.log'), `${line}\n`);
+      await delay(150);
+    }
+
+    await stream.waitFor(() => stream.events.filter(event => event.event === 'entries').length >= 3);
+    const messages = stream.events.flatMap(event => event.data.map(entry => entry.message));
+    assert.deepEqual(messages, ['one', 'two', 'three']);
+    stream.close();
+  } finally {
+    await close();
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+});
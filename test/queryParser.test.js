@@ -0,0 +1,46 @@
+/**
+ * Query Parser Tests - The Logfather
+ * "Say exactly what you mean. We'll find exactly that."
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import { parseQuery, QuerySyntaxError } from '../lib/queryParser.js';
+import { createLogDir, startServer, request } from './helpers.js';
+
+test('syntax errors give the same 0-based offset in the message and position', () => {
+  const cases = [
+    ['payment OR', 8],
+    ['(timeout', 0],
+    ['a AND', 2],
+    ['level:error file:{abc', 12],
+    ['fields.durationMs>slow', 0]
+  ];
+
+  cases.forEach(([query, position]) => {
+    assert.throws(() => parseQuery(query), error => {
+      assert.ok(error instanceof QuerySyntaxError, query);
+      assert.equal(error.position, position, query);
+      assert.match(error.message, new RegExp(`\\(at position ${position}\\)$`), query);
+      return true;
+    });
+  });
+});
+
+test('the API reports the same position as the message', async () => {
+  const dir = createLogDir({ 'debug.log': 'hello\n' });
+  const { base, close } = await startServer({ logPaths: [dir] });
+  try {
+    const response = await request(`${base}/logs?q=${encodeURIComponent('payment OR')}`);
+    assert.equal(response.status, 400);
+
+    const { position, message } = response.json();
+    assert.equal(position, 8);
+    assert.match(message, /\(at position 8\)$/);
+    assert.equal('payment OR'.slice(position), 'OR');
+  } finally {
+    await close();
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+});
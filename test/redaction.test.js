@@ -0,0 +1,57 @@
+/**
+ * Redaction Tests - The Logfather
+ * "What's said in the family, stays in the family."
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import { Redactor } from '../lib/redaction.js';
+import { parseLogLine } from '../lib/logParser.js';
+import { logfmtParser } from '../lib/parsers/logfmtParser.js';
+import { createLogDir, startServer, request } from './helpers.js';
+
+const JSON_LINE = JSON.stringify({
+  level: 'info',
+  message: 'login',
+  token: 'abc123',
+  user: { name: 'vito', db_password: 'hunter2', 'vito@corleone.example': 'owner' },
+  card: 4111111111111111
+});
+
+test('built-in detectors redact structured field keys and values', () => {
+  const entry = new Redactor(true).redact(parseLogLine(JSON_LINE, '/logs/debug.log', 1));
+
+  assert.deepEqual(entry.fields, {
+    token: '[REDACTED:password]',
+    user: { name: 'vito', db_password: '[REDACTED:password]', '[REDACTED:email]': 'owner' },
+    card: '[REDACTED:card]'
+  });
+  for (const secret of ['abc123', 'hunter2', 'vito@corleone.example', '4111111111111111']) {
+    assert.ok(!entry.raw.includes(secret), secret);
+  }
+});
+
+test('built-in detectors redact logfmt fields', () => {
+  const line = 'level=info msg=login password=hunter2';
+  const entry = new Redactor(true).redact(parseLogLine(line, '/logs/debug.log', 1, { parser: logfmtParser }));
+
+  assert.equal(entry.fields.password, '[REDACTED:password]');
+  assert.equal(entry.raw, 'level=info msg=login password=[REDACTED:password]');
+});
+
+test('redacted JSON fields cannot be searched for', async () => {
+  const dir = createLogDir({ 'debug.log': `${JSON_LINE}\n` });
+  const { base, close } = await startServer({ logPaths: [dir], redaction: true });
+  try {
+    const count = async q => (await request(`${base}/logs?q=${encodeURIComponent(q)}`)).json().data.pagination.totalCount;
+
+    assert.equal(await count('login'), 1);
+    for (const query of ['abc123', 'hunter2', 'fields.token:abc123', 'fields.user.db_password:hunter2', '4111111111111111']) {
+      assert.equal(await count(query), 0, query);
+    }
+  } finally {
+    await close();
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+});
@@ -0,0 +1,53 @@
+/**
+ * Term Dictionary Tests - The Logfather
+ * "You don't search every house. You know which street to knock on."
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { TermDictionary } from '../lib/termDictionary.js';
+
+/**
+ * Terms containing a fragment, found the slow way
+ * @param {Array<string>} terms - Terms in the order they were added
+ * @param {string} fragment - Text to find
+ * @returns {Array<string>} Matching terms
+ */
+function scan(terms, fragment) {
+  return terms.filter(term => term.includes(fragment));
+}
+
+test('lookups find the same terms as a scan, in the same order', () => {
+  const dictionary = new TermDictionary();
+  let terms = ['error', 'timeout', 'er', 'user', 'errno', 'retry', 'aaaa', 'ab', 'terror'];
+  terms.forEach(term => dictionary.add(term));
+
+  // Removing and re-adding moves a term to the end
+  dictionary.delete('user');
+  dictionary.delete('retry');
+  dictionary.add('user');
+  terms = [...terms.filter(term => term !== 'user' && term !== 'retry'), 'user'];
+
+  for (const fragment of ['er', 'rr', 'aa', 'ab', 'ou', 'zz', 'err', 'rro', 'aaa', 'out', 'retry']) {
+    assert.deepEqual(dictionary.findContaining(fragment), scan(terms, fragment), fragment);
+  }
+});
+
+test('two-character lookups do not walk every trigram', () => {
+  const dictionary = new TermDictionary();
+  ['payment', 'declined', 'pending'].forEach(term => dictionary.add(term));
+  dictionary.trigrams.forEach = () => assert.fail('findContaining should not walk every trigram');
+
+  assert.deepEqual(dictionary.findContaining('en'), ['payment', 'pending']);
+  assert.deepEqual(dictionary.findContaining('ne'), ['declined']);
+});
+
+test('deleting every term leaves no bigrams behind', () => {
+  const dictionary = new TermDictionary();
+  ['payment', 'pay', 'repay'].forEach(term => dictionary.add(term));
+  ['payment', 'pay', 'repay'].forEach(term => dictionary.delete(term));
+
+  assert.equal(dictionary.trigrams.size, 0);
+  assert.equal(dictionary.bigrams.size, 0);
+  assert.deepEqual(dictionary.findContaining('pa'), []);
+});